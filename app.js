@@ -2,11 +2,39 @@
   Glucose Log + Predictor (Offline-First)
   ======================================
   - Local-first glucose logging (add/edit/delete/undo)
+  - History table: filtered, searchable, paged; bulk delete/re-tag/export
+  - Change journal: persistent multi-step undo/redo + audit trail
+  - Profiles: per-person readings, events, targets, prediction + alert settings
+  - Event log: meals, insulin, exercise, medication (chart markers + export)
+  - IndexedDB record store (localStorage fallback)
+  - Versioned schema migrations with pre-migration backups + rollback
+  - CSV import (round-trips exportCSV; generic CSVs via column mapping)
+  - CGM imports: Dexcom Clarity CSV, LibreView CSV, Nightscout entries.json
   - Summary KPIs (TIR, avg, median, std dev, fasting avg)
-  - Trend chart from logged readings
+  - Consensus CGM metrics (GMI, CV, TBR/TAR tiers, LBGI/HBGI, MAGE; time-weighted)
+  - mg/dL or mmol/L display (values stored in mg/dL)
+  - Trend chart from logged readings (time axis, zoom/pan, hover, click-to-edit)
+  - AGP: 24-hour percentile profile, time-in-ranges bar, daily strip (+ report)
+  - Insights: recurring highs/lows by time of day, weekday, context, notes
   - Food sugar prediction curve (explainable forward model)
-  - Synthetic test set (~90 days, ~500 points) generator
-  - Backtest: baseline vs improved alert logic (FP reduction)
+  - Stacked prediction: timed carbs, rapid insulin (IOB) and exercise
+  - Prediction uncertainty: 50% / 90% bands + chance of leaving the target
+  - Prediction accuracy tracker (MAE, bias, Clarke zones vs later readings)
+  - Personal food-model calibration from pre/post-meal readings
+  - Synthetic test set generator: seeded, patient presets, sensor artifacts,
+    ground truth; export + reload for exact replays
+  - Backtest: pluggable alert strategies (linear, smoothed, Kalman, trend
+    arrows, food model) scored per hypo/hyper episode with lead time +
+    alerts/day; threshold/horizon/cooldown sweep with ROC + PR chart
+  - Backtest on logged history too (split at gaps, resampled, coverage report)
+  - Live alerts: the backtest's improved rule on each new reading (banner,
+    optional browser notification, settings + alert history in meta)
+  - Encrypted backup/restore (PBKDF2 + AES-GCM, checksum, merge or replace;
+    older backups upgrade through the migrations)
+  - App lock: passphrase/PIN, data + meta encrypted at rest, locked screen,
+    auto-lock when idle, change passphrase (re-encrypts), forgot = erase
+  - Installable PWA: sw.js precaches the app shell (versioned, "update
+    available" prompt); quick-log shortcut opens ./?action=log
 
   SAFETY / SCOPE:
   - Educational decision-support only; not medical advice.
@@ -19,9 +47,15 @@
    Storage schema + versioning
 ---------------------------- */
 
-const SCHEMA_VERSION = 3;
-const STORAGE_KEY = "glucose_log_records_v3";
+// Current data schema; upgrades live in MIGRATIONS (see "Schema migrations")
+const SCHEMA_VERSION = 10;
+const STORAGE_KEY = "glucose_log_records_v3"; // legacy + fallback record array
+const EVENTS_KEY = "glucose_log_events_v7"; // fallback event array (IndexedDB unavailable)
+const PREDICTIONS_KEY = "glucose_log_predictions_v8"; // fallback saved-prediction array
+const JOURNAL_KEY = "glucose_log_journal_v10"; // fallback change journal (undo/redo)
 const META_KEY = "glucose_log_meta_v3";
+const LOCK_KEY = "glucose_log_lock_v10"; // app lock settings (no data; see "App lock")
+const VAULT_KEY = "glucose_log_vault_v10"; // encrypted data while locked, when IndexedDB is unavailable
 
 /* ---------------------------
    DOM helper
@@ -29,12 +63,39 @@ const META_KEY = "glucose_log_meta_v3";
 const el = (id) => document.getElementById(id);
 
 /* ---------------------------
-   Meta + Records persistence
+   Meta + localStorage arrays (legacy / fallback backend)
 ---------------------------- */
 
+// While the app lock is on, the data keys below live in this decrypted map
+// instead of localStorage; every write re-encrypts it (see "App lock").
+let vault = null;
+
+function dataGet(key) {
+  return vault ? (vault[key] ?? null) : localStorage.getItem(key);
+}
+
+function dataSet(key, value) {
+  if (!vault) {
+    localStorage.setItem(key, value);
+    return;
+  }
+  if (vault[key] === value) return;
+  vault[key] = value;
+  saveVaultSoon(key);
+}
+
+function dataRemove(key) {
+  if (!vault) {
+    localStorage.removeItem(key);
+    return;
+  }
+  delete vault[key];
+  saveVaultSoon(key);
+}
+
 function loadMeta() {
   try {
-    const meta = JSON.parse(localStorage.getItem(META_KEY) || "null");
+    const meta = JSON.parse(dataGet(META_KEY) || "null");
     return meta || { schemaVersion: SCHEMA_VERSION };
   } catch {
     return { schemaVersion: SCHEMA_VERSION };
@@ -42,1012 +103,6643 @@ function loadMeta() {
 }
 
 function saveMeta(meta) {
-  localStorage.setItem(META_KEY, JSON.stringify(meta));
+  dataSet(META_KEY, JSON.stringify(meta));
 }
 
-function loadRecords() {
+function loadLocalArray(key) {
   try {
-    const arr = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    const arr = JSON.parse(dataGet(key) || "[]");
     return Array.isArray(arr) ? arr : [];
   } catch {
     return [];
   }
 }
 
+function saveLocalArray(key, items) {
+  dataSet(key, JSON.stringify(items));
+}
+
+function loadRecords() {
+  return loadLocalArray(STORAGE_KEY);
+}
+
 function saveRecords(records) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+  saveLocalArray(STORAGE_KEY, records);
 }
 
-function migrateIfNeeded() {
-  const meta = loadMeta();
-  if (!meta.schemaVersion) meta.schemaVersion = SCHEMA_VERSION;
-  // Future migrations go here (kept simple for now)
-  meta.schemaVersion = SCHEMA_VERSION;
+/* ---------------------------
+   Profiles (one person's data + settings each)
+---------------------------- */
+
+/**
+ * meta.profiles = [{ id, name, targetLow, targetHigh, prediction, foodModel,
+ * alerts, alertState, alertLog }], meta.activeProfile = id of the one shown.
+ * Readings, events and saved predictions carry the profileId they belong to.
+ */
+const DEFAULT_PROFILE_ID = "default";
+const DEFAULT_PROFILE_NAME = "Me";
+
+// A fresh install has no profiles yet; it behaves as one empty default profile.
+function profileList(meta = loadMeta()) {
+  return Array.isArray(meta.profiles) && meta.profiles.length
+    ? meta.profiles
+    : [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME, alerts: { ...DEFAULT_ALERT_SETTINGS }, alertLog: [] }];
+}
+
+function activeProfile(meta = loadMeta()) {
+  const profiles = profileList(meta);
+  return profiles.find(p => p.id === meta.activeProfile) || profiles[0];
+}
+
+// Shallow-merges patch into the active profile and saves meta
+function saveProfile(patch, meta = loadMeta()) {
+  const id = activeProfile(meta).id;
+  meta.profiles = profileList(meta).map(p => (p.id === id ? { ...p, ...patch } : p));
+  meta.activeProfile = id;
   saveMeta(meta);
 }
 
 /* ---------------------------
-   Small utilities
+   Repository: records, events, predictions (IndexedDB, localStorage fallback)
 ---------------------------- */
 
-function uid() {
-  return Math.random().toString(16).slice(2) + Date.now().toString(16);
+/**
+ * All record/event reads and writes go through the async repo* functions below.
+ * Each takes an optional store name (RECORD_STORE by default, EVENT_STORE or
+ * PREDICTION_STORE).
+ * - IndexedDB: one object store per kind keyed by id, indexed on dtIso and
+ *   profileId (+ context for records, type for events). dtIso is always
+ *   toISOString() output, so string order == time order.
+ * - localStorage: one whole-array key per kind, used when IndexedDB is
+ *   unavailable (old browsers, some private modes)
+ * - encrypted: with the app lock on, the same whole-array keys in the
+ *   decrypted vault (db is null; the vault itself sits in VAULT_STORE)
+ * Items carry a profileId. Reads, adds and clears only see the active
+ * profile (activeProfileId); repoAllProfiles and repoReplaceAll work on
+ * everything (migrations, backups).
+ */
+
+const DB_NAME = "glucose_log";
+const DB_VERSION = 8;
+const RECORD_STORE = "records";
+const EVENT_STORE = "events"; // meals, insulin, exercise, medication (see "Event log")
+const PREDICTION_STORE = "predictions"; // saved runPrediction results (see "Prediction accuracy")
+const BACKUP_STORE = "backups"; // pre-migration snapshots (see saveBackup)
+const JOURNAL_STORE = "journal"; // undoable change operations (see "Change journal")
+const VAULT_STORE = "vault"; // encrypted data while the app lock is on (see "App lock")
+
+const LOCAL_KEYS = {
+  [RECORD_STORE]: STORAGE_KEY,
+  [EVENT_STORE]: EVENTS_KEY,
+  [PREDICTION_STORE]: PREDICTIONS_KEY,
+  [JOURNAL_STORE]: JOURNAL_KEY
+};
+
+let db = null;
+let vaultDb = null; // IndexedDB holding the vault while locked (null = VAULT_KEY in localStorage)
+let storageBackend = "localStorage";
+let activeProfileId = DEFAULT_PROFILE_ID; // set from meta.activeProfile in init
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const idb = req.result;
+      if (e.oldVersion < 1) {
+        const store = idb.createObjectStore(RECORD_STORE, { keyPath: "id" });
+        store.createIndex("dtIso", "dtIso");
+        store.createIndex("context", "context");
+      }
+      if (e.oldVersion < 2) idb.createObjectStore(BACKUP_STORE, { keyPath: "key" });
+      if (e.oldVersion < 3) {
+        const store = idb.createObjectStore(EVENT_STORE, { keyPath: "id" });
+        store.createIndex("dtIso", "dtIso");
+        store.createIndex("type", "type");
+      }
+      if (e.oldVersion < 4) {
+        const store = idb.createObjectStore(PREDICTION_STORE, { keyPath: "id" });
+        store.createIndex("dtIso", "dtIso");
+      }
+      if (e.oldVersion < 5) {
+        [RECORD_STORE, EVENT_STORE, PREDICTION_STORE].forEach(name => {
+          req.transaction.objectStore(name).createIndex("profileId", "profileId");
+        });
+      }
+      if (e.oldVersion < 6) {
+        const store = idb.createObjectStore(JOURNAL_STORE, { keyPath: "id" });
+        store.createIndex("dtIso", "dtIso");
+        store.createIndex("profileId", "profileId");
+      }
+      if (e.oldVersion < 7) idb.createObjectStore(VAULT_STORE, { keyPath: "key" });
+      if (e.oldVersion < 8) req.transaction.objectStore(JOURNAL_STORE).createIndex("profileSeq", ["profileId", "seq"]);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("IndexedDB upgrade blocked by another tab"));
+  });
 }
 
-function pad2(n) {
-  return String(n).padStart(2, "0");
+// Runs fn(store) in one transaction; resolves after commit with fn's return
+// value (or the request's result when fn returns an IDBRequest).
+function idbTx(mode, fn, storeName = RECORD_STORE, idb = db) {
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(storeName, mode);
+    const out = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(out && typeof out === "object" && "readyState" in out ? out.result : out);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
 }
 
-function toLocalInputValue(date) {
-  // Date -> "YYYY-MM-DDTHH:mm"
-  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}T${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+async function repoInit() {
+  if (typeof indexedDB === "undefined") return storageBackend;
+  try {
+    db = await openDb();
+    storageBackend = "indexeddb";
+  } catch {
+    db = null;
+    storageBackend = "localStorage";
+  }
+  return storageBackend;
 }
 
-function formatLocal(iso) {
-  return new Date(iso).toLocaleString();
+function byDtAsc(a, b) {
+  return a.dtIso < b.dtIso ? -1 : (a.dtIso > b.dtIso ? 1 : 0);
 }
 
-function clampNumber(n, min, max) {
-  if (Number.isNaN(n)) return null;
-  return Math.max(min, Math.min(max, n));
+function loadLocal(storeName) {
+  return loadLocalArray(LOCAL_KEYS[storeName]);
 }
 
-function escapeHtml(s) {
-  return String(s || "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;");
+function saveLocal(storeName, items) {
+  saveLocalArray(LOCAL_KEYS[storeName], items);
 }
 
-function withinDays(dtIso, days) {
-  if (days >= 99999) return true;
-  const t = new Date(dtIso).getTime();
-  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
-  return t >= cutoff;
+function inActiveProfile(item) {
+  return item.profileId === activeProfileId;
 }
 
-/* ---------------------------
-   Stats (KPIs)
----------------------------- */
+// Bumped by every repo write, so derived views (accuracy) know when to recompute
+const storeRevs = {};
 
-function mean(values) {
-  if (!values.length) return null;
-  return values.reduce((a, b) => a + b, 0) / values.length;
+function touchStore(storeName) {
+  storeRevs[storeName] = (storeRevs[storeName] || 0) + 1;
 }
 
-function median(values) {
-  if (!values.length) return null;
-  const sorted = [...values].sort((a, b) => a - b);
-  const mid = Math.floor(sorted.length / 2);
-  return (sorted.length % 2 === 0) ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+async function repoAll(storeName = RECORD_STORE) {
+  if (db) return (await idbTx("readonly", store => store.index("profileId").getAll(activeProfileId), storeName)).sort(byDtAsc);
+  return loadLocal(storeName).filter(inActiveProfile).sort(byDtAsc);
 }
 
-function stdDev(values) {
-  if (values.length < 2) return null;
-  const m = mean(values);
-  const variance = values.reduce((acc, v) => acc + (v - m) ** 2, 0) / values.length;
-  return Math.sqrt(variance);
+// Every profile's items (migrations, backups)
+async function repoAllProfiles(storeName = RECORD_STORE) {
+  if (db) return idbTx("readonly", store => store.index("dtIso").getAll(), storeName);
+  return loadLocal(storeName).sort(byDtAsc);
 }
 
-function statusFor(value, low, high) {
-  if (value < low) return { label: "LOW", cls: "badge--low" };
-  if (value > high) return { label: "HIGH", cls: "badge--high" };
-  return { label: "IN RANGE", cls: "badge--in" };
+async function repoGet(id, storeName = RECORD_STORE) {
+  if (db) return (await idbTx("readonly", store => store.get(id), storeName)) || null;
+  return loadLocal(storeName).find(r => r.id === id) || null;
 }
 
-function computeSummary(records, low, high) {
-  const values = records.map(r => r.value);
-  const total = values.length;
-
-  const inRange = records.filter(r => r.value >= low && r.value <= high).length;
-  const lowCount = records.filter(r => r.value < low).length;
-  const highCount = records.filter(r => r.value > high).length;
+/**
+ * Active-profile items with fromIso <= dtIso <= toIso (either bound may be null),
+ * optionally limited to one record context ("ALL" = no filter). Sorted oldest first.
+ */
+async function repoQueryRange(fromIso, toIso, context = "ALL", storeName = RECORD_STORE) {
+  const inRange = (r) => inActiveProfile(r) && (!fromIso || r.dtIso >= fromIso) && (!toIso || r.dtIso <= toIso);
 
-  const tirPct = total ? Math.round((inRange / total) * 100) : null;
+  if (!db) return loadLocal(storeName).filter(r => inRange(r) && (context === "ALL" || r.context === context)).sort(byDtAsc);
 
-  const fastingVals = records.filter(r => r.context === "Fasting").map(r => r.value);
+  // With a time bound the dtIso index reads only the window; the context
+  // index would read that context's items from all time
+  if (context !== "ALL" && !fromIso && !toIso) {
+    const rows = await idbTx("readonly", store => store.index("context").getAll(context), storeName);
+    return rows.filter(inRange).sort(byDtAsc);
+  }
 
-  return {
-    total,
-    tirPct,
-    inRange,
-    lowCount,
-    highCount,
-    avg: mean(values),
-    med: median(values),
-    sd: stdDev(values),
-    fastingAvg: mean(fastingVals),
-    fastingCount: fastingVals.length
-  };
+  let range = null;
+  if (fromIso && toIso) range = IDBKeyRange.bound(fromIso, toIso);
+  else if (fromIso) range = IDBKeyRange.lowerBound(fromIso);
+  else if (toIso) range = IDBKeyRange.upperBound(toIso);
+  const rows = await idbTx("readonly", store => store.index("dtIso").getAll(range), storeName);
+  return rows.filter(r => inActiveProfile(r) && (context === "ALL" || r.context === context));
 }
 
-/* ---------------------------
-   Canvas charts (no libraries)
----------------------------- */
+async function repoLatest(storeName = RECORD_STORE) {
+  if (!db) return loadLocal(storeName).filter(inActiveProfile).sort(byDtAsc).pop() || null;
+  return idbTx("readonly", store => {
+    const out = { record: null };
+    store.index("dtIso").openCursor(null, "prev").onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      if (inActiveProfile(cursor.value)) out.record = cursor.value;
+      else cursor.continue();
+    };
+    return out;
+  }, storeName).then(out => out.record);
+}
 
-function drawSeriesChart(canvas, records, low, high) {
-  const ctx = canvas.getContext("2d");
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
+/**
+ * The active profile's journal entries, highest seq first: `limit` of them
+ * after skipping `offset`, plus how many there are. IndexedDB reads only the page.
+ */
+async function repoJournalPage(offset, limit) {
+  if (!db) {
+    const all = loadLocal(JOURNAL_STORE).filter(inActiveProfile).sort((a, b) => b.seq - a.seq);
+    return { entries: all.slice(offset, offset + limit), total: all.length };
+  }
+  const range = IDBKeyRange.bound([activeProfileId, -Infinity], [activeProfileId, Infinity]);
+  return idbTx("readonly", store => {
+    const index = store.index("profileSeq");
+    const out = { entries: [], total: 0 };
+    index.count(range).onsuccess = (e) => { out.total = e.target.result; };
+    let skipped = offset === 0;
+    index.openCursor(range, "prev").onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      if (!skipped) {
+        skipped = true;
+        cursor.advance(offset);
+        return;
+      }
+      out.entries.push(cursor.value);
+      if (out.entries.length < limit) cursor.continue();
+    };
+    return out;
+  }, JOURNAL_STORE);
+}
 
-  const pts = records
-    .slice()
-    .sort((a, b) => new Date(a.dtIso) - new Date(b.dtIso))
-    .slice(-60);
+async function repoAdd(record, storeName = RECORD_STORE) {
+  const full = { id: uid(), profileId: activeProfileId, ...record };
+  touchStore(storeName);
+  if (db) {
+    await idbTx("readwrite", store => store.add(full), storeName);
+  } else {
+    const items = loadLocal(storeName);
+    items.push(full);
+    saveLocal(storeName, items);
+  }
+  return full;
+}
 
-  if (pts.length < 2) {
-    ctx.font = "16px system-ui";
-    ctx.fillText("Add at least 2 readings to see a trend.", 16, 40);
+// Insert-or-replace by id (imports, undo, migration); new items join the active profile
+async function repoPutMany(items, storeName = RECORD_STORE) {
+  if (!items.length) return;
+  const records = items.map(r => (r.profileId ? r : { ...r, profileId: activeProfileId }));
+  touchStore(storeName);
+  if (db) {
+    await idbTx("readwrite", store => { records.forEach(r => store.put(r)); }, storeName);
     return;
   }
+  const byId = new Map(loadLocal(storeName).map(r => [r.id, r]));
+  records.forEach(r => byId.set(r.id, r));
+  saveLocal(storeName, [...byId.values()]);
+}
 
-  const values = pts.map(r => r.value);
-  const minV = Math.min(...values, low - 20);
-  const maxV = Math.max(...values, high + 20);
-
-  const padL = 56, padR = 16, padT = 16, padB = 28;
-  const W = canvas.width - padL - padR;
-  const H = canvas.height - padT - padB;
+async function repoUpdate(id, patch, storeName = RECORD_STORE) {
+  touchStore(storeName);
+  if (db) {
+    const out = await idbTx("readwrite", store => {
+      const res = { record: null };
+      store.get(id).onsuccess = (e) => {
+        if (!e.target.result) return;
+        res.record = { ...e.target.result, ...patch };
+        store.put(res.record);
+      };
+      return res;
+    }, storeName);
+    return out.record;
+  }
 
-  // Axes
-  ctx.globalAlpha = 0.35;
-  ctx.strokeStyle = "#888";
-  ctx.beginPath();
-  ctx.moveTo(padL, padT);
-  ctx.lineTo(padL, padT + H);
-  ctx.lineTo(padL + W, padT + H);
-  ctx.stroke();
-  ctx.globalAlpha = 1;
+  const items = loadLocal(storeName);
+  const idx = items.findIndex(r => r.id === id);
+  if (idx === -1) return null;
+  items[idx] = { ...items[idx], ...patch };
+  saveLocal(storeName, items);
+  return items[idx];
+}
 
-  // Target band
-  const yHigh = padT + (1 - (high - minV) / (maxV - minV || 1)) * H;
-  const yLow = padT + (1 - (low - minV) / (maxV - minV || 1)) * H;
-  ctx.fillStyle = "rgba(17,115,75,0.10)";
-  ctx.fillRect(padL, yHigh, W, (yLow - yHigh));
+// Resolves with the deleted item (null if it did not exist)
+async function repoDelete(id, storeName = RECORD_STORE) {
+  touchStore(storeName);
+  if (db) {
+    const out = await idbTx("readwrite", store => {
+      const res = { record: null };
+      store.get(id).onsuccess = (e) => {
+        if (!e.target.result) return;
+        res.record = e.target.result;
+        store.delete(id);
+      };
+      return res;
+    }, storeName);
+    return out.record;
+  }
 
-  // Labels
-  ctx.fillStyle = "#777";
-  ctx.font = "12px system-ui";
-  ctx.fillText(String(Math.round(maxV)), 10, padT + 12);
-  ctx.fillText(String(Math.round(minV)), 10, padT + H);
+  const items = loadLocal(storeName);
+  const idx = items.findIndex(r => r.id === id);
+  if (idx === -1) return null;
+  const [removed] = items.splice(idx, 1);
+  saveLocal(storeName, items);
+  return removed;
+}
 
-  // Line
-  ctx.strokeStyle = "#111";
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  pts.forEach((r, i) => {
-    const x = padL + (i / (pts.length - 1)) * W;
-    const y = padT + (1 - (r.value - minV) / (maxV - minV || 1)) * H;
-    if (i === 0) ctx.moveTo(x, y);
-    else ctx.lineTo(x, y);
-  });
-  ctx.stroke();
+// Several deletes in one transaction (bulk delete); resolves with the removed items for undo
+async function repoDeleteMany(ids, storeName = RECORD_STORE) {
+  if (!ids.length) return [];
+  touchStore(storeName);
+  if (db) {
+    return idbTx("readwrite", store => {
+      const removed = [];
+      ids.forEach(id => {
+        store.get(id).onsuccess = (e) => {
+          if (!e.target.result) return;
+          removed.push(e.target.result);
+          store.delete(id);
+        };
+      });
+      return removed;
+    }, storeName);
+  }
 
-  // Points
-  ctx.fillStyle = "#111";
-  pts.forEach((r, i) => {
-    const x = padL + (i / (pts.length - 1)) * W;
-    const y = padT + (1 - (r.value - minV) / (maxV - minV || 1)) * H;
-    ctx.beginPath();
-    ctx.arc(x, y, 3, 0, Math.PI * 2);
-    ctx.fill();
-  });
+  const drop = new Set(ids);
+  const items = loadLocal(storeName);
+  saveLocal(storeName, items.filter(r => !drop.has(r.id)));
+  return items.filter(r => drop.has(r.id));
 }
 
-function drawPredictionChart(canvas, curvePoints, low, high) {
-  const ctx = canvas.getContext("2d");
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-  if (!curvePoints || curvePoints.length < 2) {
-    ctx.font = "16px system-ui";
-    ctx.fillText("Run a prediction to see the curve.", 16, 40);
+// Atomic swap of the whole set (migrations, rollback)
+async function repoReplaceAll(records, storeName = RECORD_STORE) {
+  touchStore(storeName);
+  if (db) {
+    await idbTx("readwrite", store => {
+      store.clear();
+      records.forEach(r => store.put(r));
+    }, storeName);
     return;
   }
+  saveLocal(storeName, records);
+}
 
-  const values = curvePoints.map(p => p.bg);
-  const minV = Math.min(...values, low - 20);
-  const maxV = Math.max(...values, high + 20);
-
-  const padL = 56, padR = 16, padT = 16, padB = 28;
-  const W = canvas.width - padL - padR;
-  const H = canvas.height - padT - padB;
-
-  // Axes
-  ctx.globalAlpha = 0.35;
-  ctx.strokeStyle = "#888";
-  ctx.beginPath();
-  ctx.moveTo(padL, padT);
-  ctx.lineTo(padL, padT + H);
-  ctx.lineTo(padL + W, padT + H);
-  ctx.stroke();
-  ctx.globalAlpha = 1;
-
-  // Target band
-  const yHigh = padT + (1 - (high - minV) / (maxV - minV || 1)) * H;
-  const yLow = padT + (1 - (low - minV) / (maxV - minV || 1)) * H;
-  ctx.fillStyle = "rgba(17,115,75,0.10)";
-  ctx.fillRect(padL, yHigh, W, (yLow - yHigh));
-
-  // Labels
-  ctx.fillStyle = "#777";
-  ctx.font = "12px system-ui";
-  ctx.fillText(String(Math.round(maxV)), 10, padT + 12);
-  ctx.fillText(String(Math.round(minV)), 10, padT + H);
-
-  const tMax = curvePoints[curvePoints.length - 1].tMin || 1;
-  ctx.fillText("0m", padL, padT + H + 18);
-  ctx.fillText(`${tMax}m`, padL + W - 24, padT + H + 18);
+// Removes the active profile's items only
+async function repoClear(storeName = RECORD_STORE) {
+  touchStore(storeName);
+  if (db) {
+    await idbTx("readwrite", store => {
+      store.index("profileId").getAllKeys(activeProfileId).onsuccess = (e) => {
+        e.target.result.forEach(id => store.delete(id));
+      };
+    }, storeName);
+    return;
+  }
+  saveLocal(storeName, loadLocal(storeName).filter(item => !inActiveProfile(item)));
+}
 
-  // Line
-  ctx.strokeStyle = "#111";
-  ctx.lineWidth = 2;
-  ctx.beginPath();
-  curvePoints.forEach((p, i) => {
-    const x = padL + (p.tMin / tMax) * W;
-    const y = padT + (1 - (p.bg - minV) / (maxV - minV || 1)) * H;
-    if (i === 0) ctx.moveTo(x, y);
-    else ctx.lineTo(x, y);
-  });
-  ctx.stroke();
+/**
+ * { backend, count, bytes, quota } — count is the active profile's readings;
+ * bytes/quota come from the Storage API when available (whole origin),
+ * otherwise a JSON-size estimate.
+ */
+async function repoUsage() {
+  const count = db
+    ? await idbTx("readonly", store => store.index("profileId").count(activeProfileId))
+    : loadRecords().filter(inActiveProfile).length;
+
+  if (db && navigator.storage && navigator.storage.estimate) {
+    try {
+      const est = await navigator.storage.estimate();
+      return { backend: storageBackend, count, bytes: est.usage || 0, quota: est.quota || null };
+    } catch {
+      // fall through to the local estimate
+    }
+  }
 
-  // Points
-  ctx.fillStyle = "#111";
-  curvePoints.forEach((p) => {
-    const x = padL + (p.tMin / tMax) * W;
-    const y = padT + (1 - (p.bg - minV) / (maxV - minV || 1)) * H;
-    ctx.beginPath();
-    ctx.arc(x, y, 2.5, 0, Math.PI * 2);
-    ctx.fill();
-  });
+  // localStorage is UTF-16: ~2 bytes per char, ~5 MB per origin in most browsers
+  const chars = [STORAGE_KEY, EVENTS_KEY, PREDICTIONS_KEY, META_KEY].reduce((n, key) => n + (dataGet(key) || "").length, 0);
+  return { backend: storageBackend, count, bytes: chars * 2, quota: db || vaultDb ? null : 5 * 1024 * 1024 };
 }
 
 /* ---------------------------
-   Food sugar prediction model
+   Schema migrations
 ---------------------------- */
 
 /**
- * Explainable “absorption curve” forward model:
- * - peakRise = gramsSugar * mgdlPerGram * activityFactor
- * - delta(t) = peakRise * (t/peakMin) * exp(1 - t/peakMin)
- *   (gamma-like curve: rises to peak at t=peakMin then decays)
+ * Ordered registry of schema steps. Each step upgrades { records, meta, events, predictions }
+ * from `version - 1` to `version` and must be pure (no storage access),
+ * so the same pipeline runs on live data, backups and test fixtures.
+ * A step returns only the parts it changed; the rest is carried over.
+ *
+ * To change the record or meta shape: bump SCHEMA_VERSION, append a step
+ * here and add a fixture for the previous version to dev/check-migrations.js.
  */
-function predictSugarCurve(currentBg, gramsSugar, mgdlPerGram, peakMin, horizonMin, activityFactor) {
-  const peakRise = gramsSugar * mgdlPerGram * activityFactor;
-  const step = 10; // minutes per point
-  const pts = [];
-
-  for (let t = 0; t <= horizonMin; t += step) {
-    const x = t / Math.max(1, peakMin);
-    const shape = x * Math.exp(1 - x); // peaks at x=1
-    const delta = peakRise * shape;
-    pts.push({ tMin: t, bg: currentBg + delta });
+const MIGRATIONS = [
+  {
+    version: 4,
+    name: "Records move from localStorage to IndexedDB",
+    // Shape is unchanged; writeMigrated() puts the records in the active backend.
+    up: (data) => data
+  },
+  {
+    version: 5,
+    name: "Normalize records (id, numeric value, ISO dtIso, notes, source)",
+    up({ records, meta }) {
+      const out = [];
+      const seen = new Set();
+      records.forEach(r => {
+        const t = Date.parse(r && r.dtIso);
+        const value = Number(r && r.value);
+        // Unreadable rows are dropped here; they stay in the pre-migration backup.
+        if (Number.isNaN(t) || !Number.isFinite(value)) return;
+
+        let id = r.id ? String(r.id) : uid();
+        if (seen.has(id)) id = uid();
+        seen.add(id);
+
+        out.push({
+          ...r,
+          id,
+          value: Math.round(value),
+          dtIso: new Date(t).toISOString(),
+          context: r.context || "Other",
+          notes: String(r.notes || ""),
+          source: r.source || "manual"
+        });
+      });
+
+      const m = { ...meta };
+      ["targetLow", "targetHigh", "windowDays"].forEach(k => {
+        if (m[k] != null) m[k] = Number(m[k]) || undefined;
+      });
+      return { records: out, meta: m };
+    }
+  },
+  {
+    version: 6,
+    name: "Display unit preference in meta (values stay mg/dL)",
+    up: ({ meta }) => ({ meta: { ...meta, unit: meta.unit === "mmol" ? "mmol" : "mgdl" } })
+  },
+  {
+    version: 7,
+    name: "Event log (meals, insulin, exercise, medication) next to readings",
+    up: ({ events }) => ({
+      events: (events || []).filter(e => e && e.id && EVENT_TYPES[e.type] && !Number.isNaN(Date.parse(e.dtIso)))
+    })
+  },
+  {
+    version: 8,
+    name: "Saved predictions for the accuracy tracker",
+    up: ({ predictions }) => ({
+      predictions: (predictions || []).filter(p => p && p.id && Array.isArray(p.curve) && !Number.isNaN(Date.parse(p.dtIso)))
+    })
+  },
+  {
+    version: 9,
+    name: "Alert settings + alert history in meta",
+    up: ({ meta }) => ({
+      meta: {
+        ...meta,
+        alerts: { ...DEFAULT_ALERT_SETTINGS, ...(meta.alerts || {}) },
+        alertLog: Array.isArray(meta.alertLog) ? meta.alertLog : []
+      }
+    })
+  },
+  {
+    version: 10,
+    name: "Named profiles: existing data moves into a default profile",
+    up({ meta, records, events, predictions }) {
+      const { patientName, targetLow, targetHigh, foodModel, alerts, alertLog, alertState, ...rest } = meta;
+      const profile = {
+        id: DEFAULT_PROFILE_ID,
+        name: patientName || DEFAULT_PROFILE_NAME,
+        targetLow,
+        targetHigh,
+        foodModel,
+        alerts: { ...DEFAULT_ALERT_SETTINGS, ...(alerts || {}) },
+        alertLog: Array.isArray(alertLog) ? alertLog : [],
+        alertState
+      };
+      const stamp = (items) => (items || []).map(x => (x.profileId ? x : { ...x, profileId: DEFAULT_PROFILE_ID }));
+      return {
+        meta: { ...rest, profiles: [profile], activeProfile: DEFAULT_PROFILE_ID },
+        records: stamp(records),
+        events: stamp(events),
+        predictions: stamp(predictions)
+      };
+    }
+  }
+];
+
+const BACKUP_KEY_PREFIX = "glucose_log_backup_v";
+const BACKUP_KEEP = 2; // pre-migration backups kept, newest schema versions first
+
+// Pure: runs every step after fromVersion, in order.
+function runMigrations(data, fromVersion, toVersion = SCHEMA_VERSION) {
+  let out = {
+    records: (data.records || []).map(r => ({ ...r })),
+    meta: { ...(data.meta || {}) },
+    events: data.events ? data.events.map(e => ({ ...e })) : undefined,
+    predictions: data.predictions ? data.predictions.map(p => ({ ...p })) : undefined
+  };
+  for (const step of MIGRATIONS) {
+    if (step.version <= fromVersion || step.version > toVersion) continue;
+    try {
+      out = { ...out, ...step.up(out) };
+    } catch (err) {
+      throw new Error(`Migration to v${step.version} (${step.name}) failed: ${err.message}`);
+    }
+    out.meta.schemaVersion = step.version;
   }
-  return pts;
+  return out;
 }
 
-/* ---------------------------
-   Synthetic test set generator
----------------------------- */
-
-function generateSyntheticSeries(days, approxPoints) {
-  const totalMinutes = days * 24 * 60;
-  const stepMin = Math.max(5, Math.round(totalMinutes / approxPoints));
-
-  const base = 115;
-  const noiseSd = 8;
-  const dailyAmp = 12;
-
-  const mealsPerDay = 3;
-  const mgdlPerGram = 1.4;
-  const peakMin = 45;
+// Schema version of what is on disk. No meta but legacy records = v3 data.
+function storedSchemaVersion() {
+  const raw = dataGet(META_KEY);
+  if (raw === null) return dataGet(STORAGE_KEY) !== null ? 3 : SCHEMA_VERSION;
+  return Number(loadMeta().schemaVersion) || 3;
+}
 
-  // Box-Muller gaussian noise
-  const randn = () => {
-    const u = Math.max(1e-9, Math.random());
-    const v = Math.max(1e-9, Math.random());
-    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
-  };
+async function saveBackup(version, data) {
+  const backup = { key: `${BACKUP_KEY_PREFIX}${version}`, version, createdAt: new Date().toISOString(), ...data };
+  if (db) await idbTx("readwrite", store => store.put(backup), BACKUP_STORE);
+  else dataSet(backup.key, JSON.stringify(backup));
+}
 
-  // Meal schedule
-  const mealTimes = [];
-  for (let d = 0; d < days; d++) {
-    const dayStart = d * 24 * 60;
-    mealTimes.push(dayStart + 8 * 60 + Math.round((Math.random() - 0.5) * 45));
-    mealTimes.push(dayStart + 13 * 60 + Math.round((Math.random() - 0.5) * 60));
-    mealTimes.push(dayStart + 19 * 60 + Math.round((Math.random() - 0.5) * 60));
-  }
-  const mealSugar = mealTimes.map(() => 20 + Math.round(Math.random() * 60)); // 20–80g
-
-  function mealDeltaAtMinute(minute) {
-    let total = 0;
-    for (let i = 0; i < mealTimes.length; i++) {
-      const dt = minute - mealTimes[i];
-      if (dt < 0) continue;
-      const x = dt / Math.max(1, peakMin);
-      const shape = x * Math.exp(1 - x);
-      total += (mealSugar[i] * mgdlPerGram) * shape;
-    }
-    return total;
+// Deletes all but the BACKUP_KEEP newest backups, from both backends
+async function pruneBackups() {
+  const idbKeys = db ? await idbTx("readonly", store => store.getAllKeys(), BACKUP_STORE) : [];
+  const localKeys = [];
+  for (let v = 3; v < SCHEMA_VERSION; v++) {
+    if (dataGet(`${BACKUP_KEY_PREFIX}${v}`) !== null) localKeys.push(`${BACKUP_KEY_PREFIX}${v}`);
   }
 
-  // Random hypo/hyper events
-  const hypoEvents = [];
-  const hyperEvents = [];
-  const numHypo = Math.max(1, Math.round(days / 18));
-  const numHyper = Math.max(1, Math.round(days / 12));
+  const versionOf = (key) => Number(key.slice(BACKUP_KEY_PREFIX.length));
+  const versions = [...new Set([...idbKeys, ...localKeys].map(versionOf))].sort((a, b) => b - a);
+  const keep = new Set(versions.slice(0, BACKUP_KEEP));
+  const stale = (key) => !keep.has(versionOf(key));
 
-  for (let i = 0; i < numHypo; i++) hypoEvents.push(Math.round(Math.random() * totalMinutes));
-  for (let i = 0; i < numHyper; i++) hyperEvents.push(Math.round(Math.random() * totalMinutes));
+  if (idbKeys.some(stale)) await idbTx("readwrite", store => { idbKeys.filter(stale).forEach(key => store.delete(key)); }, BACKUP_STORE);
+  localKeys.filter(stale).forEach(dataRemove);
+}
 
-  function eventDeltaAtMinute(minute) {
-    let delta = 0;
-    for (const t0 of hypoEvents) {
-      const dt = minute - t0;
-      const sigma = 35;
-      delta += -35 * Math.exp(-(dt * dt) / (2 * sigma * sigma));
-    }
-    for (const t0 of hyperEvents) {
-      const dt = minute - t0;
-      const sigma = 50;
-      delta += 55 * Math.exp(-(dt * dt) / (2 * sigma * sigma));
-    }
-    return delta;
+async function loadBackup(version) {
+  const key = `${BACKUP_KEY_PREFIX}${version}`;
+  if (db) return (await idbTx("readonly", store => store.get(key), BACKUP_STORE)) || null;
+  try {
+    return JSON.parse(dataGet(key) || "null");
+  } catch {
+    return null;
   }
+}
 
-  const startMs = Date.now() - days * 24 * 60 * 60 * 1000;
-  const series = [];
-
-  for (let m = 0; m <= totalMinutes; m += stepMin) {
-    const tMs = startMs + m * 60 * 1000;
-    const dayPhase = (m % (24 * 60)) / (24 * 60) * 2 * Math.PI;
-    const daily = dailyAmp * Math.sin(dayPhase - 0.8);
-    const meal = mealDeltaAtMinute(m);
-    const events = eventDeltaAtMinute(m);
-    const noise = noiseSd * randn();
-    const bg = base + daily + meal + events + noise;
-    series.push({ tMs, bg: Math.max(40, Math.min(400, bg)) });
+async function writeMigrated(data, fromLocalStorage) {
+  await repoReplaceAll(data.records);
+  await repoReplaceAll(data.events || [], EVENT_STORE);
+  await repoReplaceAll(data.predictions || [], PREDICTION_STORE);
+  // Journal entries hold whole items in the old shape; undoing one would write it back
+  await repoReplaceAll([], JOURNAL_STORE);
+  if (db && fromLocalStorage) {
+    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(EVENTS_KEY);
+    localStorage.removeItem(PREDICTIONS_KEY);
   }
+  saveMeta({ ...data.meta, storageBackend });
+}
 
-  return series;
+// True while readings, events or predictions still sit in the localStorage arrays
+function hasLocalData() {
+  return [STORAGE_KEY, EVENTS_KEY, PREDICTIONS_KEY].some(key => dataGet(key) !== null);
 }
 
-/* ---------------------------
-   Backtest: baseline vs improved alert logic
----------------------------- */
+// Same id in both places: the localStorage copy wins (it is the newer write)
+function unionById(current, legacy) {
+  return [...new Map([...current, ...legacy].map(r => [r.id || uid(), r])).values()];
+}
 
 /**
- * We define a “true event” in the future horizon:
- * - HYPO true if any future point < low
- * - HYPER true if any future point > high
- *
- * Baseline rule:
- * - Alert HYPO if current < low OR projected (linear trend) crosses low in horizon
- * - Alert HYPER if current > high OR projected crosses high in horizon
- *
- * Improved rule:
- * - Baseline + smoothing + persistence + cooldown + hysteresis
- * - This usually reduces noisy false alerts.
+ * Puts the data back as it was before the migration from `version`:
+ * records where they were read from (backup.location), meta as saved.
  */
-function backtest(series, low, high, horizonMin) {
-  if (!series || series.length < 20) return null;
-
-  const stepMin = (series[1].tMs - series[0].tMs) / 60000;
-  const horizonSteps = Math.max(1, Math.round(horizonMin / stepMin));
-
-  // Quick slope estimate over last k points using endpoints
-  function slopePerMin(i, k) {
-    const start = Math.max(0, i - k + 1);
-    const t0 = series[start].tMs;
-    const t1 = series[i].tMs;
-    const dt = (t1 - t0) / 60000;
-    if (dt <= 0) return 0;
-    return (series[i].bg - series[start].bg) / dt;
-  }
-
-  function projectedBg(i) {
-    const m = slopePerMin(i, 6);
-    return series[i].bg + m * horizonMin;
-  }
-
-  // Baseline counts
-  let baseTP = 0, baseFP = 0, baseFN = 0;
-
-  // Improved counts
-  let impTP = 0, impFP = 0, impFN = 0;
-
-  // Improved state (persistence + cooldown + hysteresis)
-  let active = "NONE";
-  let persist = 0;
-  let cooldownUntilMs = 0;
-
-  // Hysteresis thresholds
-  const hypoExit = low + 5;
-  const hyperExit = high - 10;
-
-  for (let i = 10; i < series.length - horizonSteps; i++) {
-    const now = series[i];
-
-    // Future truth labels
-    const future = series.slice(i + 1, i + 1 + horizonSteps);
-    const trueHypo = future.some(p => p.bg < low);
-    const trueHyper = future.some(p => p.bg > high);
-
-    // ---------- Baseline decision ----------
-    const proj = projectedBg(i);
-    const baseHypoAlert = (now.bg < low) || (proj < low);
-    const baseHyperAlert = (now.bg > high) || (proj > high);
-
-    // Evaluate baseline (count hypo+hyper alerts as “an alert”)
-    const baseAlert = baseHypoAlert || baseHyperAlert;
-    const trueEvent = trueHypo || trueHyper;
-
-    if (baseAlert && trueEvent) baseTP++;
-    if (baseAlert && !trueEvent) baseFP++;
-    if (!baseAlert && trueEvent) baseFN++;
-
-    // ---------- Improved decision ----------
-    // Smooth by averaging last 3 points (very lightweight smoothing)
-    const s1 = series[i].bg;
-    const s2 = series[i - 1].bg;
-    const s3 = series[i - 2].bg;
-    const smoothBg = (s1 + s2 + s3) / 3;
-
-    // Use smoothed value for “current”
-    const m = slopePerMin(i, 6);
-    const smoothProj = smoothBg + m * horizonMin;
-
-    const rawHypo = (smoothBg < low) || (smoothProj < low);
-    const rawHyper = (smoothBg > high) || (smoothProj > high);
-    const rawRisk = rawHypo ? "HYPO" : (rawHyper ? "HYPER" : "NONE");
-
-    // Persistence: risk must repeat twice before alerting
-    if (rawRisk !== "NONE") {
-      persist = (rawRisk === active) ? (persist + 1) : (persist + 1);
-      // Above is intentionally simple; we’ll enforce “2 consecutive risks” via a buffer:
-      // Better: track lastRisk; here we just require persist>=2 while risk present
-    } else {
-      persist = 0;
+async function rollbackMigration(version) {
+  const backup = await loadBackup(version);
+  if (!backup) throw new Error(`No backup for schema v${version}`);
+
+  if (backup.location === "indexeddb" && db) {
+    await repoReplaceAll(backup.records);
+    await repoReplaceAll(backup.events || [], EVENT_STORE);
+    await repoReplaceAll(backup.predictions || [], PREDICTION_STORE);
+  } else {
+    saveRecords(backup.records);
+    if (backup.events) saveLocalArray(EVENTS_KEY, backup.events);
+    if (backup.predictions) saveLocalArray(PREDICTIONS_KEY, backup.predictions);
+  }
+  saveMeta(backup.meta);
+  return backup;
+}
+
+/**
+ * Runs after repoInit().
+ * 1) reads the data from where its schema version kept it
+ * 2) backs it up under glucose_log_backup_v<from>
+ * 3) runs the pure steps, then writes the result in one go
+ * On failure the pre-migration data is restored and the app keeps running
+ * on it; the error is returned (and kept in meta) for the UI.
+ */
+async function migrateIfNeeded() {
+  const from = storedSchemaVersion();
+  const fromLocalStorage = hasLocalData();
+  const needsMove = Boolean(db) && fromLocalStorage;
+
+  if (from > SCHEMA_VERSION) {
+    return { ok: false, from, error: `Data was saved by a newer version (v${from}) of this app.` };
+  }
+  if (from === SCHEMA_VERSION && !needsMove) {
+    const meta = loadMeta();
+    if (meta.storageBackend !== storageBackend) saveMeta({ ...meta, schemaVersion: SCHEMA_VERSION, storageBackend });
+    await pruneBackups().catch(() => {}); // an extra backup left behind does no harm
+    return { ok: true, from, to: SCHEMA_VERSION, migrated: false };
+  }
+
+  // Union of both places, so data written during a localStorage-fallback
+  // session is not lost when IndexedDB becomes available again.
+  const records = unionById(db ? await repoAllProfiles() : [], fromLocalStorage ? loadRecords() : []);
+  const events = from >= 7
+    ? unionById(db ? await repoAllProfiles(EVENT_STORE) : [], loadLocalArray(EVENTS_KEY))
+    : undefined;
+  const predictions = from >= 8
+    ? unionById(db ? await repoAllProfiles(PREDICTION_STORE) : [], loadLocalArray(PREDICTIONS_KEY))
+    : undefined;
+
+  const meta = { ...loadMeta(), schemaVersion: from };
+  const before = { records, meta, events, predictions };
+
+  try {
+    await saveBackup(from, { ...before, location: fromLocalStorage ? "localStorage" : "indexeddb" });
+  } catch (err) {
+    return { ok: false, from, error: `Could not back up data before upgrading (${err.message}); nothing was changed.` };
+  }
+
+  try {
+    const after = runMigrations(before, from);
+    after.meta.migrationLog = [
+      ...(after.meta.migrationLog || []),
+      { from, to: SCHEMA_VERSION, at: new Date().toISOString(), records: after.records.length }
+    ];
+    delete after.meta.migrationError;
+    await writeMigrated(after, fromLocalStorage);
+  } catch (err) {
+    try {
+      await rollbackMigration(from);
+    } catch {
+      // Backup is still stored under its versioned key for a manual restore.
+    }
+    // Legacy data stays in localStorage, so keep using it for this session.
+    if (fromLocalStorage && db) {
+      db = null;
+      storageBackend = "localStorage";
+    }
+    saveMeta({ ...loadMeta(), migrationError: { from, to: SCHEMA_VERSION, message: err.message, at: new Date().toISOString() } });
+    return { ok: false, from, error: err.message };
+  }
+
+  await pruneBackups().catch(() => {});
+  return { ok: true, from, to: SCHEMA_VERSION, migrated: true };
+}
+
+/* ---------------------------
+   Schema invariants
+---------------------------- */
+
+// Invariants every fully migrated dataset must satisfy
+function schemaProblems(data) {
+  const problems = [];
+  if (data.meta.schemaVersion !== SCHEMA_VERSION) problems.push(`meta.schemaVersion is ${data.meta.schemaVersion}`);
+  if (!UNITS[data.meta.unit]) problems.push(`meta.unit is ${data.meta.unit}`);
+
+  if (!Array.isArray(data.events)) problems.push("events missing");
+  (data.events || []).forEach((e, i) => {
+    if (!e.id || !EVENT_TYPES[e.type]) problems.push(`event ${i}: missing id or unknown type`);
+    if (new Date(e.dtIso).toISOString() !== e.dtIso) problems.push(`event ${i}: dtIso not canonical`);
+  });
+
+  if (!Array.isArray(data.predictions)) problems.push("predictions missing");
+
+  const profiles = Array.isArray(data.meta.profiles) ? data.meta.profiles : [];
+  if (!profiles.length) problems.push("meta.profiles missing");
+  if (!profiles.some(p => p.id === data.meta.activeProfile)) problems.push("meta.activeProfile unknown");
+  profiles.forEach((p, i) => {
+    if (!p.id || !p.name) problems.push(`profile ${i}: missing id or name`);
+    if (!p.alerts || !Number.isFinite(p.alerts.horizonMin)) problems.push(`profile ${i}: alerts missing`);
+    if (!Array.isArray(p.alertLog)) problems.push(`profile ${i}: alertLog missing`);
+  });
+  const profileIds = new Set(profiles.map(p => p.id));
+  [["record", data.records], ["event", data.events || []], ["prediction", data.predictions || []]].forEach(([kind, items]) => {
+    items.forEach((x, i) => {
+      if (!profileIds.has(x.profileId)) problems.push(`${kind} ${i}: profileId ${x.profileId} unknown`);
+    });
+  });
+
+  const ids = new Set();
+  data.records.forEach((r, i) => {
+    if (typeof r.id !== "string" || !r.id) problems.push(`record ${i}: missing id`);
+    else if (ids.has(r.id)) problems.push(`record ${i}: duplicate id ${r.id}`);
+    ids.add(r.id);
+    if (!Number.isFinite(r.value)) problems.push(`record ${i}: value not numeric`);
+    if (new Date(r.dtIso).toISOString() !== r.dtIso) problems.push(`record ${i}: dtIso not canonical`);
+    ["context", "notes", "source"].forEach(k => {
+      if (typeof r[k] !== "string") problems.push(`record ${i}: ${k} not a string`);
+    });
+  });
+  return problems;
+}
+
+/* ---------------------------
+   Small utilities
+---------------------------- */
+
+function uid() {
+  return Math.random().toString(16).slice(2) + Date.now().toString(16);
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function toLocalInputValue(date) {
+  // Date -> "YYYY-MM-DDTHH:mm"
+  return `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}T${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+}
+
+function formatLocal(iso) {
+  return new Date(iso).toLocaleString();
+}
+
+function clampNumber(n, min, max) {
+  if (Number.isNaN(n)) return null;
+  return Math.max(min, Math.min(max, n));
+}
+
+function escapeHtml(s) {
+  return String(s || "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+// Lower bound for the "Window" filter (null = all time)
+function windowStartIso(days) {
+  if (days >= 99999) return null;
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/* ---------------------------
+   Units (stored mg/dL, displayed mg/dL or mmol/L)
+---------------------------- */
+
+/**
+ * Every stored glucose number (records, targets, prediction impact) is mg/dL.
+ * Conversion happens only where values enter (inputs, imports) or leave
+ * (labels, charts, export, report) the app.
+ */
+const MGDL_PER_MMOL = 18.0182;
+
+const UNITS = {
+  mgdl: { label: "mg/dL", decimals: 0, step: "1", rateStep: "0.1" },
+  mmol: { label: "mmol/L", decimals: 1, step: "0.1", rateStep: "0.01" }
+};
+
+let displayUnit = "mgdl";
+
+function unitLabel() {
+  return UNITS[displayUnit].label;
+}
+
+// mg/dL -> display number
+function toDisplay(mgdl) {
+  return displayUnit === "mmol" ? mgdl / MGDL_PER_MMOL : mgdl;
+}
+
+// display number -> mg/dL (unrounded)
+function fromDisplay(value) {
+  return displayUnit === "mmol" ? value * MGDL_PER_MMOL : value;
+}
+
+// mg/dL -> display string; mg/dL keeps `mgdlDecimals`, mmol/L always 1 decimal
+function fmtBg(mgdl, mgdlDecimals = 0) {
+  if (mgdl == null || Number.isNaN(mgdl)) return "—";
+  return displayUnit === "mmol" ? toDisplay(mgdl).toFixed(1) : mgdl.toFixed(mgdlDecimals);
+}
+
+function toInputValue(mgdl) {
+  return String(Number(toDisplay(mgdl).toFixed(UNITS[displayUnit].decimals)));
+}
+
+// Rates (mg/dL per gram) convert with the same factor but need more decimals
+function fmtRate(mgdlPerUnit) {
+  return displayUnit === "mmol" ? (mgdlPerUnit / MGDL_PER_MMOL).toFixed(3) : mgdlPerUnit.toFixed(1);
+}
+
+// Lossless export value: 2 mmol/L decimals still round-trip to the same integer mg/dL
+function fmtBgExport(mgdl) {
+  return displayUnit === "mmol" ? toDisplay(mgdl).toFixed(2) : String(Math.round(mgdl));
+}
+
+/**
+ * Glucose inputs remember the exact mg/dL they were filled with, so switching
+ * units back and forth (6.7 mmol/L <-> 120 mg/dL) does not drift the value.
+ */
+function writeBgInput(input, mgdl) {
+  const isRate = input.hasAttribute("data-bg-rate");
+  input.dataset.mgdlValue = String(mgdl);
+  input.value = isRate ? String(Number(fmtRate(mgdl))) : toInputValue(mgdl);
+}
+
+function readBgInput(input) {
+  if (input.value === "") return null;
+  const isRate = input.hasAttribute("data-bg-rate");
+  const exact = input.dataset.mgdlValue;
+  if (exact != null) {
+    const shown = isRate ? String(Number(fmtRate(Number(exact)))) : toInputValue(Number(exact));
+    if (Number(shown) === Number(input.value)) return Number(exact);
+  }
+  return fromDisplay(Number(input.value));
+}
+
+/* ---------------------------
+   Event log (meals, insulin, exercise, medication)
+---------------------------- */
+
+/**
+ * Events live in their own store next to readings:
+ * { id, type, dtIso, notes, ...type fields }
+ * - meal:       carbsG, sugarG, description
+ * - insulin:    insulinType, units
+ * - exercise:   durationMin, intensity
+ * - medication: name, dose
+ */
+const EVENT_TYPES = {
+  meal: { label: "Meal", marker: "M", color: "#c27c0e" },
+  insulin: { label: "Insulin", marker: "I", color: "#2b59c3" },
+  exercise: { label: "Exercise", marker: "E", color: "#11734b" },
+  medication: { label: "Medication", marker: "Rx", color: "#7a3db8" }
+};
+
+function eventSummary(e) {
+  const bits = [];
+  if (e.type === "meal") {
+    if (e.carbsG != null) bits.push(`${e.carbsG} g carbs`);
+    if (e.sugarG != null) bits.push(`${e.sugarG} g sugar`);
+    if (e.description) bits.push(e.description);
+  } else if (e.type === "insulin") {
+    bits.push(`${e.units} u ${e.insulinType || ""}`.trim());
+  } else if (e.type === "exercise") {
+    bits.push(`${e.durationMin} min${e.intensity ? ` ${e.intensity}` : ""}`);
+  } else if (e.type === "medication") {
+    bits.push([e.name, e.dose].filter(Boolean).join(" "));
+  }
+  return bits.join(" • ") || EVENT_TYPES[e.type]?.label || "Event";
+}
+
+// Returns a list of problems (empty = valid)
+function eventErrors(e) {
+  const errors = [];
+  if (!EVENT_TYPES[e.type]) errors.push("unknown event type");
+  if (!e.dtIso || Number.isNaN(Date.parse(e.dtIso))) errors.push("bad date");
+
+  const inRange = (v, min, max) => v == null || (Number.isFinite(v) && v >= min && v <= max);
+  if (e.type === "meal") {
+    if (e.carbsG == null && e.sugarG == null && !e.description) errors.push("enter carbs, sugar or a description");
+    if (!inRange(e.carbsG, 0, 500) || !inRange(e.sugarG, 0, 300)) errors.push("grams out of range");
+  }
+  if (e.type === "insulin" && !(Number.isFinite(e.units) && e.units > 0 && e.units <= 100)) errors.push("insulin units 0–100");
+  if (e.type === "exercise" && !(Number.isFinite(e.durationMin) && e.durationMin > 0 && e.durationMin <= 600)) errors.push("duration 1–600 min");
+  if (e.type === "medication" && !e.name) errors.push("enter the medication name");
+  return errors;
+}
+
+// CSV block written after the readings in exportCSV (and read back by import)
+const EVENT_EXPORT_COLUMNS = [
+  "event_datetime_iso", "event_datetime_local", "event_type",
+  "carbs_g", "sugar_g", "insulin_type", "insulin_units",
+  "duration_min", "intensity", "medication", "dose", "description", "notes"
+];
+
+function csvQuote(s) {
+  return `"${String(s ?? "").replaceAll('"', '""')}"`;
+}
+
+function eventToCsvRow(e) {
+  return [
+    e.dtIso,
+    csvQuote(new Date(e.dtIso).toLocaleString()),
+    e.type,
+    e.carbsG ?? "",
+    e.sugarG ?? "",
+    e.insulinType ?? "",
+    e.units ?? "",
+    e.durationMin ?? "",
+    e.intensity ?? "",
+    csvQuote(e.name),
+    csvQuote(e.dose),
+    csvQuote(e.description),
+    csvQuote(e.notes)
+  ].join(",");
+}
+
+function eventFromCsvRow(cells) {
+  const get = (name) => String(cells[EVENT_EXPORT_COLUMNS.indexOf(name)] ?? "").trim();
+  const num = (name) => (get(name) === "" ? null : Number(get(name)));
+  const date = parseDateLoose(get("event_datetime_iso"));
+
+  const e = { type: get("event_type"), dtIso: date ? date.toISOString() : "", notes: get("notes") };
+  if (e.type === "meal") Object.assign(e, { carbsG: num("carbs_g"), sugarG: num("sugar_g"), description: get("description") });
+  if (e.type === "insulin") Object.assign(e, { insulinType: get("insulin_type"), units: num("insulin_units") });
+  if (e.type === "exercise") Object.assign(e, { durationMin: num("duration_min"), intensity: get("intensity") });
+  if (e.type === "medication") Object.assign(e, { name: get("medication"), dose: get("dose") });
+
+  const errors = eventErrors(e);
+  return errors.length ? { ok: false, errors, cells } : { ok: true, event: e };
+}
+
+// Same event = same minute + same type
+function eventKey(e) {
+  return `${Math.floor(new Date(e.dtIso).getTime() / 60000)}|${e.type}`;
+}
+
+// Imported events that are valid and not already logged (or repeated in the file)
+function newImportEvents(results, existing) {
+  const seen = new Set(existing.map(eventKey));
+  const out = [];
+  results.forEach(r => {
+    if (!r.ok) return;
+    const key = eventKey(r.event);
+    if (seen.has(key)) return;
+    seen.add(key);
+    out.push(r.event);
+  });
+  return out;
+}
+
+/* ---------------------------
+   Stats (KPIs)
+---------------------------- */
+
+function mean(values) {
+  if (!values.length) return null;
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return (sorted.length % 2 === 0) ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function stdDev(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  const variance = values.reduce((acc, v) => acc + (v - m) ** 2, 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+function statusFor(value, low, high) {
+  if (value < low) return { label: "LOW", cls: "badge--low" };
+  if (value > high) return { label: "HIGH", cls: "badge--high" };
+  return { label: "IN RANGE", cls: "badge--in" };
+}
+
+/**
+ * International consensus CGM metrics (all mg/dL; fixed thresholds, not the
+ * user's target). Readings are weighted by the time they stand for: half the
+ * gap to each neighbour, each gap capped at CONSENSUS_MAX_GAP_MIN (longer gaps
+ * count as missing data), so bursts of fingersticks don't outweigh quiet hours.
+ */
+const CONSENSUS_MAX_GAP_MIN = 180;
+const CV_STABLE_PCT = 36;
+const CONSENSUS_RANGES = { veryLow: 54, low: 70, high: 180, veryHigh: 250 };
+
+// Minutes each (time-sorted) reading represents
+function readingWeights(sorted) {
+  if (sorted.length < 2) return sorted.map(() => 1);
+  const times = sorted.map(r => new Date(r.dtIso).getTime() / 60000);
+  const cap = (gap) => Math.min(gap, CONSENSUS_MAX_GAP_MIN);
+  const weights = times.map((t, i) => {
+    const prev = i > 0 ? cap(t - times[i - 1]) : null;
+    const next = i < times.length - 1 ? cap(times[i + 1] - t) : null;
+    return ((prev ?? next) + (next ?? prev)) / 2;
+  });
+  return weights.some(w => w > 0) ? weights : sorted.map(() => 1);
+}
+
+// Kovatchev risk transform: symmetric in log space, 0 at ~112 mg/dL
+function bgRisk(mgdl) {
+  const f = 1.509 * (Math.log(Math.max(mgdl, 1)) ** 1.084 - 5.381);
+  return { low: f < 0 ? 10 * f * f : 0, high: f > 0 ? 10 * f * f : 0 };
+}
+
+// Mean amplitude of glycemic excursions: turning-point swings larger than
+// 1 SD, averaged in the direction of the first such swing
+function computeMage(values, sd) {
+  const v = values.filter((x, i) => i === 0 || x !== values[i - 1]); // drop flat steps
+  if (v.length < 3 || !sd) return null;
+
+  const turns = [v[0]];
+  for (let i = 1; i < v.length - 1; i++) {
+    if ((v[i] - v[i - 1]) * (v[i + 1] - v[i]) < 0) turns.push(v[i]);
+  }
+  turns.push(v[v.length - 1]);
+
+  const swings = [];
+  for (let i = 1; i < turns.length; i++) {
+    const d = turns[i] - turns[i - 1];
+    if (Math.abs(d) > sd) swings.push(d);
+  }
+  if (!swings.length) return null;
+  const up = swings[0] > 0;
+  return mean(swings.filter(d => (d > 0) === up).map(Math.abs));
+}
+
+function consensusMetrics(records) {
+  const sorted = records.slice().sort(byDtAsc);
+  const values = sorted.map(r => r.value);
+  const weights = readingWeights(sorted);
+  const totalW = weights.reduce((a, b) => a + b, 0);
+  if (!sorted.length || !totalW) return null;
+
+  const wMean = (fn) => sorted.reduce((acc, r, i) => acc + fn(r.value) * weights[i], 0) / totalW;
+  const pct = (test) => wMean(v => (test(v) ? 1 : 0)) * 100;
+
+  const avg = wMean(v => v);
+  const sd = Math.sqrt(wMean(v => (v - avg) ** 2));
+  const { veryLow, low, high, veryHigh } = CONSENSUS_RANGES;
+
+  return {
+    hoursCovered: sorted.length > 1 ? totalW / 60 : 0,
+    weightedMean: avg,
+    weightedSd: sd,
+    gmi: 3.31 + 0.02392 * avg, // % (estimated A1c)
+    cvPct: avg ? (sd / avg) * 100 : null,
+    tbr54Pct: pct(v => v < veryLow),
+    tbr70Pct: pct(v => v < low),
+    tir70180Pct: pct(v => v >= low && v <= high),
+    tar180Pct: pct(v => v > high),
+    tar250Pct: pct(v => v > veryHigh),
+    lbgi: wMean(v => bgRisk(v).low),
+    hbgi: wMean(v => bgRisk(v).high),
+    mage: computeMage(values, stdDev(values))
+  };
+}
+
+/**
+ * AGP: readings folded onto a 24-hour clock. Each 30-min slot takes the
+ * readings within ±AGP_WINDOW_MIN of its centre (wrapping midnight), which
+ * smooths sparse fingerstick data; slots with fewer than AGP_MIN_READINGS
+ * are left empty instead of drawing a band from one or two values.
+ */
+const AGP_SLOT_MIN = 30;
+const AGP_WINDOW_MIN = 60;
+const AGP_MIN_READINGS = 5;
+
+function minuteOfDay(dtIso) {
+  const d = new Date(dtIso);
+  return d.getHours() * 60 + d.getMinutes();
+}
+
+// -> [{ minute, n, p5, p25, p50, p75, p95 }] (percentiles null when too few readings)
+function agpProfile(records) {
+  const folded = records.map(r => ({ minute: minuteOfDay(r.dtIso), value: r.value }));
+  const slots = [];
+  for (let minute = 0; minute < 1440; minute += AGP_SLOT_MIN) {
+    const centre = minute + AGP_SLOT_MIN / 2;
+    const values = folded
+      .filter(f => {
+        const d = Math.abs(f.minute - centre);
+        return Math.min(d, 1440 - d) <= AGP_WINDOW_MIN;
+      })
+      .map(f => f.value)
+      .sort((a, b) => a - b);
+
+    const enough = values.length >= AGP_MIN_READINGS;
+    const q = (p) => (enough ? quantile(values, p) : null);
+    slots.push({ minute: centre, n: values.length, p5: q(0.05), p25: q(0.25), p50: q(0.5), p75: q(0.75), p95: q(0.95) });
+  }
+  return slots;
+}
+
+// Local calendar days (oldest first) ending today, each with its readings
+function dailyProfiles(records, days) {
+  const out = [];
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  for (let i = days - 1; i >= 0; i--) {
+    const start = new Date(today);
+    start.setDate(today.getDate() - i);
+    const end = new Date(start);
+    end.setDate(start.getDate() + 1);
+    out.push({
+      date: start,
+      records: records.filter(r => {
+        const t = new Date(r.dtIso);
+        return t >= start && t < end;
+      })
+    });
+  }
+  return out;
+}
+
+function computeSummary(records, low, high) {
+  const values = records.map(r => r.value);
+  const total = values.length;
+
+  const inRange = records.filter(r => r.value >= low && r.value <= high).length;
+  const lowCount = records.filter(r => r.value < low).length;
+  const highCount = records.filter(r => r.value > high).length;
+
+  const tirPct = total ? Math.round((inRange / total) * 100) : null;
+
+  const fastingVals = records.filter(r => r.context === "Fasting").map(r => r.value);
+
+  return {
+    total,
+    tirPct,
+    inRange,
+    lowCount,
+    highCount,
+    avg: mean(values),
+    med: median(values),
+    sd: stdDev(values),
+    fastingAvg: mean(fastingVals),
+    fastingCount: fastingVals.length,
+    consensus: consensusMetrics(records)
+  };
+}
+
+/* ---------------------------
+   Pattern detection (Insights)
+---------------------------- */
+
+/**
+ * Looks for groups of readings where lows or highs are more common than in
+ * the window overall. Groups: 2-hour time-of-day slots (all days, weekdays,
+ * weekends), weekday, context, and words in notes. A group is a finding when
+ * it has at least PATTERN_MIN_HITS out-of-range readings, at least 1.5x the
+ * overall rate, and a one-sided binomial p-value below PATTERN_P_SCAN
+ * (strict, because many groups are tested). A separate check counts days:
+ * a context out of range on most of the recent days it was measured.
+ */
+const PATTERN_MIN_HITS = 3;
+const PATTERN_MIN_LIFT = 1.5;
+const PATTERN_P_SCAN = 0.01;
+const PATTERN_P_DAYS = 0.05;
+const PATTERN_RECENT_DAYS = 14;
+const PATTERN_MAX_FINDINGS = 8;
+const WEEKDAYS = ["Sundays", "Mondays", "Tuesdays", "Wednesdays", "Thursdays", "Fridays", "Saturdays"];
+const NOTE_STOPWORDS = new Set([
+  "the", "and", "with", "after", "before", "for", "had", "was", "ate", "from", "this", "that",
+  "some", "very", "bit", "took", "then", "but", "not", "just", "about", "into", "felt", "feel"
+]);
+
+// P(X >= k) for X ~ Binomial(n, p)
+function binomialTail(k, n, p) {
+  if (k <= 0) return 1;
+  if (k > n || p <= 0) return 0;
+  if (p >= 1) return 1;
+  let logTerm = k * Math.log(p) + (n - k) * Math.log(1 - p);
+  for (let i = 1; i <= k; i++) logTerm += Math.log((n - k + i) / i);
+  let term = Math.exp(logTerm);
+  let sum = 0;
+  for (let i = k; i <= n; i++) {
+    sum += term;
+    term *= ((n - i) / (i + 1)) * (p / (1 - p));
+  }
+  return Math.min(1, sum);
+}
+
+function hourLabel(h) {
+  const h12 = h % 12 === 0 ? 12 : h % 12;
+  return `${h12} ${h % 24 < 12 ? "am" : "pm"}`;
+}
+
+function hourRangeLabel(h0, h1) {
+  const [a, b] = [hourLabel(h0), hourLabel(h1)];
+  // "2–4 am" when both ends share am/pm
+  return a.slice(-2) === b.slice(-2) ? `${a.slice(0, -3)}–${b}` : `${a}–${b}`;
+}
+
+function noteWords(notes) {
+  const words = String(notes || "").toLowerCase().match(/[a-z][a-z'-]{2,}/g) || [];
+  return [...new Set(words.filter(w => !NOTE_STOPWORDS.has(w)))];
+}
+
+function localDayKey(dtIso) {
+  const d = new Date(dtIso);
+  return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+}
+
+// -> [{ id, direction, title, detail, p, records }], most significant first
+function detectPatterns(records, low, high) {
+  if (records.length < PATTERN_MIN_HITS * 2) return [];
+  const isOut = { low: (r) => r.value < low, high: (r) => r.value > high };
+  const noun = { low: "Lows", high: "Highs" };
+  const baseline = {
+    low: records.filter(isOut.low).length / records.length,
+    high: records.filter(isOut.high).length / records.length
+  };
+
+  // Candidate groups: { id, label(direction), members }
+  const groups = [];
+  const add = (id, label, members) => { if (members.length) groups.push({ id, label, members }); };
+
+  for (let h = 0; h < 24; h += 2) {
+    const inSlot = records.filter(r => {
+      const hour = new Date(r.dtIso).getHours();
+      return hour >= h && hour < h + 2;
+    });
+    const weekend = (r) => [0, 6].includes(new Date(r.dtIso).getDay());
+    const slot = hourRangeLabel(h, h + 2);
+    add(`tod-${h}`, d => `${noun[d]} cluster ${slot}`, inSlot);
+    add(`tod-${h}`, d => `${noun[d]} cluster ${slot} on weekends`, inSlot.filter(weekend));
+    add(`tod-${h}`, d => `${noun[d]} cluster ${slot} on weekdays`, inSlot.filter(r => !weekend(r)));
+  }
+  WEEKDAYS.forEach((day, i) => {
+    add(`dow-${i}`, d => `${noun[d]} more frequent on ${day}`, records.filter(r => new Date(r.dtIso).getDay() === i));
+  });
+  [...groupBy(records, r => r.context)].forEach(([context, members]) => {
+    add(`ctx-${context}`, d => `${context} readings often ${d}`, members);
+  });
+  [...groupBy(records.flatMap(r => noteWords(r.notes).map(w => ({ w, r }))), x => x.w)].forEach(([word, xs]) => {
+    add(`note-${word}`, d => `${noun[d]} after notes mentioning “${word}”`, xs.map(x => x.r));
+  });
+
+  const findings = [];
+  ["low", "high"].forEach(direction => {
+    const p0 = baseline[direction];
+    if (!p0) return;
+    groups.forEach(g => {
+      const hits = g.members.filter(isOut[direction]);
+      const rate = hits.length / g.members.length;
+      if (hits.length < PATTERN_MIN_HITS || rate < p0 * PATTERN_MIN_LIFT) return;
+      const p = binomialTail(hits.length, g.members.length, p0);
+      if (p >= PATTERN_P_SCAN) return;
+      findings.push({
+        id: `${g.id}-${direction}`,
+        direction,
+        title: g.label(direction),
+        detail: `${hits.length} of ${g.members.length} readings ${direction} (${Math.round(rate * 100)}% vs ${Math.round(p0 * 100)}% overall) • p=${p < 0.001 ? "<0.001" : p.toFixed(3)}`,
+        p,
+        records: hits
+      });
+    });
+  });
+
+  // Recurring days: "Fasting readings above target on 9 of the last 14 days"
+  const since = Date.now() - PATTERN_RECENT_DAYS * 86400000;
+  const recent = records.filter(r => new Date(r.dtIso).getTime() >= since);
+  [...groupBy(recent, r => r.context)].forEach(([context, members]) => {
+    const days = new Set(members.map(r => localDayKey(r.dtIso)));
+    ["low", "high"].forEach(direction => {
+      const hits = members.filter(isOut[direction]);
+      const outDays = new Set(hits.map(r => localDayKey(r.dtIso)));
+      if (outDays.size < PATTERN_MIN_HITS || outDays.size / days.size < 0.5) return;
+      // The test counts days, so the baseline is the chance of a day with at least
+      // one such reading, at the overall per-reading rate and this context's readings per day
+      const perDay = members.length / days.size;
+      const dayBaseline = 1 - Math.pow(1 - baseline[direction], perDay);
+      const p = binomialTail(outDays.size, days.size, dayBaseline);
+      if (p >= PATTERN_P_DAYS) return;
+      findings.push({
+        id: `days-${context}-${direction}`,
+        direction,
+        title: `${context} readings ${direction === "high" ? "above" : "below"} target on ${outDays.size} of the last ${days.size} days measured`,
+        detail: `last ${PATTERN_RECENT_DAYS} days • ${Math.round(baseline[direction] * 100)}% of all readings are ${direction}, ` +
+          `so ~${Math.round(dayBaseline * 100)}% of days expected • p=${p < 0.001 ? "<0.001" : p.toFixed(3)}`,
+        p,
+        records: hits
+      });
+    });
+  });
+
+  // Keep the strongest finding per group/direction (e.g. weekend slot vs all days)
+  const best = new Map();
+  findings.forEach(f => {
+    if (!best.has(f.id) || f.p < best.get(f.id).p) best.set(f.id, f);
+  });
+  return [...best.values()].sort((a, b) => a.p - b.p).slice(0, PATTERN_MAX_FINDINGS);
+}
+
+/* ---------------------------
+   Canvas charts (no libraries)
+---------------------------- */
+
+/**
+ * Main trend chart on a real time axis. `view` ({ fromMs, toMs }) is the
+ * zoomed/panned range; null = every reading in the window. Consecutive
+ * readings further apart than seriesGapMin() are not joined, so gaps show.
+ * Returns the hit targets + scale used by the hover/click handlers.
+ */
+const SERIES_MIN_SPAN_MIN = 15;
+const TIME_TICK_STEPS_MIN = [5, 15, 30, 60, 180, 360, 720, 1440, 2880, 10080, 20160, 43200];
+
+// Gap threshold: 3x the typical spacing, never below the consensus gap cap
+function seriesGapMin(times) {
+  const gaps = times.slice(1).map((t, i) => (t - times[i]) / 60000);
+  return Math.max(CONSENSUS_MAX_GAP_MIN, 3 * (median(gaps) || 0));
+}
+
+function seriesExtent(records) {
+  if (!records.length) return null;
+  const times = records.map(r => new Date(r.dtIso).getTime());
+  const from = Math.min(...times);
+  const to = Math.max(...times);
+  const margin = Math.max((to - from) * 0.02, 30 * 60000);
+  return { fromMs: from - margin, toMs: to + margin };
+}
+
+// Tick times aligned to local midnight; whole days step by calendar date
+function timeTicks(fromMs, toMs, maxTicks) {
+  const spanMin = (toMs - fromMs) / 60000;
+  const step = TIME_TICK_STEPS_MIN.find(m => spanMin / m <= maxTicks) || TIME_TICK_STEPS_MIN[TIME_TICK_STEPS_MIN.length - 1];
+  const d = new Date(fromMs);
+  d.setHours(0, 0, 0, 0);
+
+  const ticks = [];
+  while (d.getTime() <= toMs) {
+    if (d.getTime() >= fromMs) ticks.push({ t: d.getTime(), step });
+    if (step >= 1440) d.setDate(d.getDate() + step / 1440);
+    else d.setTime(d.getTime() + step * 60000);
+  }
+  return ticks;
+}
+
+function tickLabel(t, step) {
+  const d = new Date(t);
+  const isMidnight = d.getHours() === 0 && d.getMinutes() === 0;
+  if (step >= 1440 || isMidnight) return d.toLocaleDateString(undefined, { month: "numeric", day: "numeric" });
+  return d.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" });
+}
+
+function drawSeriesChart(canvas, records, low, high, events = [], view = null) {
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  const sorted = records.slice().sort(byDtAsc);
+  if (sorted.length < 2) {
+    ctx.font = "16px system-ui";
+    ctx.fillText("Add at least 2 readings to see a trend.", 16, 40);
+    return { hits: [], scale: null };
+  }
+
+  const { fromMs, toMs } = view || seriesExtent(sorted);
+  const pts = sorted.filter(r => {
+    const t = new Date(r.dtIso).getTime();
+    return t >= fromMs && t <= toMs;
+  });
+
+  const values = pts.map(r => r.value);
+  const minV = Math.min(...values, low - 20);
+  const maxV = Math.max(...values, high + 20);
+
+  const padL = 56, padR = 16, padT = 16, padB = 28;
+  const W = canvas.width - padL - padR;
+  const H = canvas.height - padT - padB;
+  const xAt = (t) => padL + ((t - fromMs) / (toMs - fromMs)) * W;
+  const yAt = (v) => padT + (1 - (v - minV) / (maxV - minV || 1)) * H;
+
+  // Axes
+  ctx.globalAlpha = 0.35;
+  ctx.strokeStyle = "#888";
+  ctx.beginPath();
+  ctx.moveTo(padL, padT);
+  ctx.lineTo(padL, padT + H);
+  ctx.lineTo(padL + W, padT + H);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+
+  // Target band
+  ctx.fillStyle = "rgba(17,115,75,0.10)";
+  ctx.fillRect(padL, yAt(high), W, (yAt(low) - yAt(high)));
+
+  // Labels
+  ctx.fillStyle = "#777";
+  ctx.font = "12px system-ui";
+  ctx.fillText(fmtBg(maxV), 10, padT + 12);
+  ctx.fillText(fmtBg(minV), 10, padT + H);
+  ctx.fillText(unitLabel(), 10, padT + 26);
+
+  // Time ticks
+  timeTicks(fromMs, toMs, 8).forEach(({ t, step }) => {
+    const x = xAt(t);
+    ctx.globalAlpha = 0.2;
+    ctx.strokeStyle = "#888";
+    ctx.beginPath();
+    ctx.moveTo(x, padT);
+    ctx.lineTo(x, padT + H);
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = "#777";
+    ctx.fillText(tickLabel(t, step), x - 14, padT + H + 18);
+  });
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(padL, padT, W, H);
+  ctx.clip();
+
+  // Line, broken at gaps (one reading either side of the view keeps the edges joined)
+  const times = sorted.map(r => new Date(r.dtIso).getTime());
+  const gapMs = seriesGapMin(times) * 60000;
+  ctx.strokeStyle = "#111";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  sorted.forEach((r, i) => {
+    if (times[i] < fromMs && times[i + 1] < fromMs) return;
+    if (times[i] > toMs && times[i - 1] > toMs) return;
+    const x = xAt(times[i]);
+    const y = yAt(r.value);
+    if (i === 0 || times[i] - times[i - 1] > gapMs) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+
+  // Points
+  ctx.fillStyle = "#111";
+  const hits = pts.map(r => ({ x: xAt(new Date(r.dtIso).getTime()), y: yAt(r.value), record: r }));
+  hits.forEach(({ x, y }) => {
+    ctx.beginPath();
+    ctx.arc(x, y, 3, 0, Math.PI * 2);
+    ctx.fill();
+  });
+
+  // Event markers
+  ctx.font = "10px system-ui";
+  events.forEach(e => {
+    const t = new Date(e.dtIso).getTime();
+    if (t < fromMs || t > toMs) return;
+    const x = xAt(t);
+
+    const type = EVENT_TYPES[e.type] || { marker: "?", color: "#777" };
+    ctx.strokeStyle = type.color;
+    ctx.globalAlpha = 0.5;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, padT);
+    ctx.lineTo(x, padT + H);
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = type.color;
+    ctx.fillText(type.marker, x + 2, padT + H - 4);
+  });
+  ctx.restore();
+
+  return { hits, scale: { padL, W, fromMs, toMs } };
+}
+
+function drawPredictionChart(canvas, curvePoints, low, high, components = [], bands = null) {
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  if (!curvePoints || curvePoints.length < 2) {
+    ctx.font = "16px system-ui";
+    ctx.fillText("Run a prediction to see the curve.", 16, 40);
+    return;
+  }
+
+  // Components are drawn around the starting value so they share the axis
+  const base = curvePoints[0].bg;
+  const showComponents = components.length > 1;
+  const values = curvePoints.map(p => p.bg);
+  if (showComponents) components.forEach(c => c.points.forEach(p => values.push(base + p.delta)));
+  if (bands) bands.forEach(b => values.push(b.p5, b.p95));
+  const minV = Math.min(...values, low - 20);
+  const maxV = Math.max(...values, high + 20);
+
+  const padL = 56, padR = 16, padT = 16, padB = 28;
+  const W = canvas.width - padL - padR;
+  const H = canvas.height - padT - padB;
+
+  // Axes
+  ctx.globalAlpha = 0.35;
+  ctx.strokeStyle = "#888";
+  ctx.beginPath();
+  ctx.moveTo(padL, padT);
+  ctx.lineTo(padL, padT + H);
+  ctx.lineTo(padL + W, padT + H);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+
+  // Target band
+  const yHigh = padT + (1 - (high - minV) / (maxV - minV || 1)) * H;
+  const yLow = padT + (1 - (low - minV) / (maxV - minV || 1)) * H;
+  ctx.fillStyle = "rgba(17,115,75,0.10)";
+  ctx.fillRect(padL, yHigh, W, (yLow - yHigh));
+
+  // Labels
+  ctx.fillStyle = "#777";
+  ctx.font = "12px system-ui";
+  ctx.fillText(fmtBg(maxV), 10, padT + 12);
+  ctx.fillText(fmtBg(minV), 10, padT + H);
+  ctx.fillText(unitLabel(), 10, padT + 26);
+
+  const tMax = curvePoints[curvePoints.length - 1].tMin || 1;
+  ctx.fillText("0m", padL, padT + H + 18);
+  ctx.fillText(`${tMax}m`, padL + W - 24, padT + H + 18);
+
+  // Uncertainty bands: 90% (light) then 50% (darker)
+  if (bands) {
+    const xAt = (b) => padL + (b.tMin / tMax) * W;
+    const yAt = (v) => padT + (1 - (v - minV) / (maxV - minV || 1)) * H;
+    [["p5", "p95", "rgba(43,89,195,0.12)"], ["p25", "p75", "rgba(43,89,195,0.22)"]].forEach(([lo, hi, fill]) => {
+      ctx.fillStyle = fill;
+      ctx.beginPath();
+      bands.forEach((b, i) => (i === 0 ? ctx.moveTo(xAt(b), yAt(b[hi])) : ctx.lineTo(xAt(b), yAt(b[hi]))));
+      bands.slice().reverse().forEach(b => ctx.lineTo(xAt(b), yAt(b[lo])));
+      ctx.closePath();
+      ctx.fill();
+    });
+    ctx.fillStyle = "#777";
+    ctx.fillText("bands: 50% / 90%", padL + 8, padT + 12);
+  }
+
+  // Per-input contributions (dashed) + legend
+  if (showComponents) {
+    const colors = { carbs: EVENT_TYPES.meal.color, insulin: EVENT_TYPES.insulin.color, exercise: EVENT_TYPES.exercise.color };
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([5, 4]);
+    components.forEach((c, ci) => {
+      ctx.strokeStyle = colors[c.kind] || "#777";
+      ctx.beginPath();
+      c.points.forEach((p, i) => {
+        const x = padL + (p.tMin / tMax) * W;
+        const y = padT + (1 - (base + p.delta - minV) / (maxV - minV || 1)) * H;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+
+      ctx.fillStyle = colors[c.kind] || "#777";
+      ctx.fillText(c.label, padL + W - 220, padT + 12 + ci * 14);
+    });
+    ctx.setLineDash([]);
+  }
+
+  // Line
+  ctx.strokeStyle = "#111";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  curvePoints.forEach((p, i) => {
+    const x = padL + (p.tMin / tMax) * W;
+    const y = padT + (1 - (p.bg - minV) / (maxV - minV || 1)) * H;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  });
+  ctx.stroke();
+
+  // Points
+  ctx.fillStyle = "#111";
+  curvePoints.forEach((p) => {
+    const x = padL + (p.tMin / tMax) * W;
+    const y = padT + (1 - (p.bg - minV) / (maxV - minV || 1)) * H;
+    ctx.beginPath();
+    ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
+
+/* ---------------------------
+   AGP charts (profile, time-in-ranges bar, daily strip)
+---------------------------- */
+
+// Fixed mg/dL axis like the standard AGP page, stretched only for higher values
+const AGP_Y_MIN = 40;
+const AGP_Y_MAX = 350;
+const AGP_DAILY_DAYS = 14; // like the standard AGP page
+const TIR_TIERS = [
+  { key: "veryHigh", label: "Very high", color: "#e07a16" },
+  { key: "high", label: "High", color: "#f4b400" },
+  { key: "inRange", label: "In range", color: "#11734b" },
+  { key: "low", label: "Low", color: "#d93025" },
+  { key: "veryLow", label: "Very low", color: "#8b1a10" }
+];
+
+function drawAgpChart(canvas, profile, low, high) {
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  if (!profile.some(s => s.p50 != null)) {
+    ctx.font = "16px system-ui";
+    ctx.fillText(`AGP needs at least ${AGP_MIN_READINGS} readings around each time of day.`, 16, 40);
+    return;
+  }
+
+  const maxV = Math.max(AGP_Y_MAX, ...profile.map(s => s.p95 ?? 0));
+  const padL = 56, padR = 16, padT = 16, padB = 28;
+  const W = canvas.width - padL - padR;
+  const H = canvas.height - padT - padB;
+  const xAt = (minute) => padL + (minute / 1440) * W;
+  const yAt = (v) => padT + (1 - (Math.min(v, maxV) - AGP_Y_MIN) / (maxV - AGP_Y_MIN)) * H;
+
+  // Target band + threshold lines
+  ctx.fillStyle = "rgba(17,115,75,0.10)";
+  ctx.fillRect(padL, yAt(high), W, yAt(low) - yAt(high));
+  ctx.strokeStyle = "#11734b";
+  ctx.lineWidth = 1;
+  [low, high].forEach(v => {
+    ctx.beginPath();
+    ctx.moveTo(padL, yAt(v));
+    ctx.lineTo(padL + W, yAt(v));
+    ctx.stroke();
+  });
+
+  // Hour grid + labels
+  ctx.font = "12px system-ui";
+  for (let h = 0; h <= 24; h += 3) {
+    ctx.globalAlpha = 0.25;
+    ctx.strokeStyle = "#888";
+    ctx.beginPath();
+    ctx.moveTo(xAt(h * 60), padT);
+    ctx.lineTo(xAt(h * 60), padT + H);
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = "#777";
+    ctx.fillText(h === 24 ? "24:00" : `${String(h).padStart(2, "0")}:00`, xAt(h * 60) - 14, padT + H + 18);
+  }
+  [AGP_Y_MIN, low, high, 250, maxV].forEach(v => ctx.fillText(fmtBg(v), 10, yAt(v) + 4));
+
+  // Percentile bands, broken where a slot has too few readings
+  const runs = [];
+  let run = [];
+  profile.forEach(s => {
+    if (s.p50 == null) {
+      if (run.length) runs.push(run);
+      run = [];
+    } else run.push(s);
+  });
+  if (run.length) runs.push(run);
+
+  runs.forEach(r => {
+    [["p5", "p95", "rgba(43,89,195,0.15)"], ["p25", "p75", "rgba(43,89,195,0.35)"]].forEach(([lo, hi, fill]) => {
+      ctx.fillStyle = fill;
+      ctx.beginPath();
+      r.forEach((s, i) => (i === 0 ? ctx.moveTo(xAt(s.minute), yAt(s[hi])) : ctx.lineTo(xAt(s.minute), yAt(s[hi]))));
+      r.slice().reverse().forEach(s => ctx.lineTo(xAt(s.minute), yAt(s[lo])));
+      ctx.closePath();
+      ctx.fill();
+    });
+
+    ctx.strokeStyle = "#111";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    r.forEach((s, i) => (i === 0 ? ctx.moveTo(xAt(s.minute), yAt(s.p50)) : ctx.lineTo(xAt(s.minute), yAt(s.p50))));
+    ctx.stroke();
+  });
+
+  ctx.fillStyle = "#777";
+  ctx.fillText("median • 25–75% • 5–95%", padL + 8, padT + 12);
+}
+
+// Stacked bar of the consensus ranges (uses consensusMetrics percentages)
+function drawTirBar(canvas, consensus) {
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!consensus) return;
+
+  const share = {
+    veryHigh: consensus.tar250Pct,
+    high: consensus.tar180Pct - consensus.tar250Pct,
+    inRange: consensus.tir70180Pct,
+    low: consensus.tbr70Pct - consensus.tbr54Pct,
+    veryLow: consensus.tbr54Pct
+  };
+  const r = CONSENSUS_RANGES;
+  const ranges = {
+    veryHigh: `>${fmtBg(r.veryHigh)}`,
+    high: `${fmtBg(r.high)}–${fmtBg(r.veryHigh)}`,
+    inRange: `${fmtBg(r.low)}–${fmtBg(r.high)}`,
+    low: `${fmtBg(r.veryLow)}–${fmtBg(r.low)}`,
+    veryLow: `<${fmtBg(r.veryLow)}`
+  };
+
+  const padT = 16, barW = 40;
+  const H = canvas.height - padT * 2;
+  let y = padT;
+  ctx.font = "12px system-ui";
+  TIR_TIERS.forEach(tier => {
+    const h = (share[tier.key] / 100) * H;
+    ctx.fillStyle = tier.color;
+    ctx.fillRect(16, y, barW, Math.max(h, 0));
+
+    // Labels are spaced evenly so thin tiers stay readable
+    const labelY = padT + 12 + TIR_TIERS.indexOf(tier) * (H / TIR_TIERS.length);
+    ctx.fillStyle = "#333";
+    ctx.fillText(`${tier.label} ${ranges[tier.key]}: ${share[tier.key].toFixed(1)}%`, 16 + barW + 10, labelY);
+    y += h;
+  });
+}
+
+// One small chart per day, 7 per row, on the same axis as the AGP
+function drawDailyStrip(canvas, days, low, high) {
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  const cols = 7;
+  const rows = Math.ceil(days.length / cols) || 1;
+  const cellW = canvas.width / cols;
+  const cellH = canvas.height / rows;
+  const pad = 6;
+
+  ctx.font = "11px system-ui";
+  days.forEach((day, i) => {
+    const x0 = (i % cols) * cellW + pad;
+    const y0 = Math.floor(i / cols) * cellH + pad + 12;
+    const w = cellW - pad * 2;
+    const h = cellH - pad * 2 - 12;
+    const xAt = (minute) => x0 + (minute / 1440) * w;
+    const yAt = (v) => y0 + (1 - (Math.min(Math.max(v, AGP_Y_MIN), AGP_Y_MAX) - AGP_Y_MIN) / (AGP_Y_MAX - AGP_Y_MIN)) * h;
+
+    ctx.fillStyle = "#777";
+    ctx.fillText(day.date.toLocaleDateString(undefined, { weekday: "short", month: "numeric", day: "numeric" }), x0, y0 - 3);
+    ctx.fillStyle = "rgba(17,115,75,0.10)";
+    ctx.fillRect(x0, yAt(high), w, yAt(low) - yAt(high));
+    ctx.strokeStyle = "rgba(127,127,127,0.35)";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x0, y0, w, h);
+
+    if (!day.records.length) return;
+    const pts = day.records.slice().sort(byDtAsc);
+    ctx.strokeStyle = "#111";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    pts.forEach((r, j) => {
+      const x = xAt(minuteOfDay(r.dtIso));
+      if (j === 0) ctx.moveTo(x, yAt(r.value));
+      else ctx.lineTo(x, yAt(r.value));
+    });
+    ctx.stroke();
+    pts.forEach(r => {
+      ctx.fillStyle = r.value < low ? "#d93025" : r.value > high ? "#f4b400" : "#111";
+      ctx.beginPath();
+      ctx.arc(xAt(minuteOfDay(r.dtIso)), yAt(r.value), 2, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  });
+}
+
+// Draws all three AGP pieces onto the given canvases
+function drawAgp(canvases, records, summary, prefs) {
+  drawAgpChart(canvases.profile, agpProfile(records), prefs.low, prefs.high);
+  drawTirBar(canvases.tir, summary.consensus);
+  drawDailyStrip(canvases.daily, dailyProfiles(records, Math.min(AGP_DAILY_DAYS, prefs.days)), prefs.low, prefs.high);
+}
+
+/* ---------------------------
+   Sweep chart (ROC-style + precision-recall)
+---------------------------- */
+
+// Upper-left envelope of (x, y) points: the best y reachable at each x
+function paretoFront(points, xKey, yKey) {
+  const sorted = points.slice().sort((a, b) => a[xKey] - b[xKey] || b[yKey] - a[yKey]);
+  const front = [];
+  sorted.forEach(p => {
+    if (!front.length || p[yKey] > front[front.length - 1][yKey]) front.push(p);
+  });
+  return front;
+}
+
+/**
+ * Left: event recall vs false alarms per day (ROC-style; with episode
+ * scoring there is no fixed count of negatives). Right: precision vs recall.
+ * One dot per sweep combination, lines join each strategy's frontier.
+ */
+function drawSweepChart(canvas, sweep) {
+  const ctx = canvas.getContext("2d");
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  if (!sweep || !sweep.length) {
+    ctx.font = "16px system-ui";
+    ctx.fillText("Run a sweep to compare strategies across settings.", 16, 40);
+    return;
+  }
+
+  const gap = 24;
+  const padL = 44, padR = 12, padT = 34, padB = 34;
+  const panelW = (canvas.width - gap) / 2;
+  const W = panelW - padL - padR;
+  const H = canvas.height - padT - padB;
+  const maxFa = Math.max(1, ...sweep.flatMap(s => s.points.map(p => p.falseAlarmsPerDay)));
+
+  const panels = [
+    { x0: 0, xKey: "falseAlarmsPerDay", yKey: "recall", xMax: maxFa, xLabel: "false alarms / day", yLabel: "recall", front: (pts) => paretoFront(pts, "falseAlarmsPerDay", "recall") },
+    { x0: panelW + gap, xKey: "recall", yKey: "precision", xMax: 1, xLabel: "recall", yLabel: "precision", front: (pts) => paretoFront(pts.map(p => ({ ...p, negRecall: -p.recall })), "negRecall", "precision").reverse() }
+  ];
+
+  ctx.font = "12px system-ui";
+  panels.forEach(panel => {
+    const xAt = (v) => panel.x0 + padL + (v / panel.xMax) * W;
+    const yAt = (v) => padT + (1 - v) * H;
+
+    // Axes + grid
+    ctx.strokeStyle = "#888";
+    ctx.lineWidth = 1;
+    for (let k = 0; k <= 4; k++) {
+      ctx.globalAlpha = k === 0 ? 0.6 : 0.2;
+      ctx.beginPath();
+      ctx.moveTo(panel.x0 + padL, yAt(k / 4));
+      ctx.lineTo(panel.x0 + padL + W, yAt(k / 4));
+      ctx.moveTo(xAt((k / 4) * panel.xMax), padT);
+      ctx.lineTo(xAt((k / 4) * panel.xMax), padT + H);
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = "#777";
+      ctx.fillText(`${k * 25}%`, panel.x0 + 6, yAt(k / 4) + 4);
+      const xv = (k / 4) * panel.xMax;
+      ctx.fillText(panel.xMax === 1 ? `${k * 25}%` : xv.toFixed(1), xAt(xv) - 10, padT + H + 16);
+    }
+    ctx.fillText(`${panel.yLabel} vs ${panel.xLabel}`, panel.x0 + padL, padT + H + 30);
+
+    sweep.forEach(s => {
+      const color = s.color || "#777";
+      ctx.fillStyle = color;
+      ctx.globalAlpha = 0.35;
+      s.points.forEach(p => {
+        ctx.beginPath();
+        ctx.arc(xAt(p[panel.xKey]), yAt(p[panel.yKey]), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      });
+      ctx.globalAlpha = 1;
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      panel.front(s.points).forEach((p, i) => {
+        const x = xAt(p[panel.xKey]);
+        const y = yAt(p[panel.yKey]);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+    });
+  });
+
+  // Legend
+  let lx = padL;
+  sweep.forEach(s => {
+    ctx.fillStyle = s.color || "#777";
+    ctx.fillRect(lx, 10, 10, 10);
+    ctx.fillStyle = "#333";
+    ctx.fillText(s.label, lx + 14, 19);
+    lx += ctx.measureText(s.label).width + 32;
+  });
+}
+
+/* ---------------------------
+   Stacked prediction (meals + insulin + exercise)
+---------------------------- */
+
+/**
+ * Every timed input has its own delta curve and the prediction is
+ * currentBg + the sum of them (the same superposition generateSyntheticSet
+ * uses for meals). Inputs are { kind, atMin, ... } with atMin in minutes from
+ * now; negative = already eaten/dosed, so only the remaining effect counts.
+ * - carbs:    grams, speed (scales the personal peak time); the food model's
+ *             explainable absorption curve, rising to grams * mgdlPerGram *
+ *             activityFactor at the peak and returning to baseline
+ * - insulin:  units of rapid-acting insulin; drop = units * isf * share of
+ *             the dose that has acted (integral of the absorption shape)
+ * - exercise: durationMin, intensity; drop builds while active, then fades
+ */
+const CARB_SPEEDS = {
+  fast: { label: "Fast", peakFactor: 0.6 },
+  medium: { label: "Medium", peakFactor: 1.0 },
+  slow: { label: "Slow", peakFactor: 1.8 }
+};
+const INSULIN_PEAK_MIN = 75; // rapid-acting analog
+const EXERCISE_RATES = { light: 0.3, moderate: 0.6, vigorous: 1.0 }; // mg/dL per active minute
+const EXERCISE_RECOVERY_MIN = 90;
+const PRED_STEP_MIN = 10;
+
+// Rises to 1 at x=1 (the peak), then decays
+function absorptionShape(x) {
+  return x <= 0 ? 0 : x * Math.exp(1 - x);
+}
+
+// Share of an insulin dose that has acted by x = t / peak (0 -> 1)
+function insulinActionFraction(x) {
+  return x <= 0 ? 0 : 1 - (1 + x) * Math.exp(-x);
+}
+
+function inputDeltaAt(input, tMin, params) {
+  const dt = tMin - input.atMin;
+  if (dt < 0) return 0;
+
+  if (input.kind === "carbs") {
+    const speed = CARB_SPEEDS[input.speed] || CARB_SPEEDS.medium;
+    const peak = Math.max(1, params.peakMin * speed.peakFactor);
+    return input.grams * params.mgdlPerGram * params.activityFactor * absorptionShape(dt / peak);
+  }
+  if (input.kind === "insulin") {
+    return -input.units * params.isf * insulinActionFraction(dt / INSULIN_PEAK_MIN);
+  }
+  if (input.kind === "exercise") {
+    const rate = EXERCISE_RATES[input.intensity] ?? EXERCISE_RATES.moderate;
+    if (dt <= input.durationMin) return -rate * dt;
+    return -rate * input.durationMin * Math.exp(-(dt - input.durationMin) / EXERCISE_RECOVERY_MIN);
+  }
+  return 0;
+}
+
+// Units still to act from doses given at or before now
+function insulinOnBoard(inputs) {
+  return inputs
+    .filter(i => i.kind === "insulin" && i.atMin <= 0)
+    .reduce((sum, i) => sum + i.units * (1 - insulinActionFraction(-i.atMin / INSULIN_PEAK_MIN)), 0);
+}
+
+function describePredInput(input) {
+  const at = input.atMin === 0 ? "now" : `${input.atMin > 0 ? "+" : "−"}${Math.abs(input.atMin)} min`;
+  if (input.kind === "carbs") return `${input.grams} g carbs (${(CARB_SPEEDS[input.speed] || CARB_SPEEDS.medium).label.toLowerCase()}) @ ${at}`;
+  if (input.kind === "insulin") return `${input.units} u rapid insulin @ ${at}`;
+  return `${input.durationMin} min ${input.intensity} exercise @ ${at}`;
+}
+
+// params: { mgdlPerGram, peakMin, activityFactor, isf } -> { points, components }
+function predictStackedCurve(currentBg, inputs, params, horizonMin) {
+  const components = inputs.map(input => {
+    const atNow = inputDeltaAt(input, 0, params); // already in currentBg
+    const points = [];
+    for (let t = 0; t <= horizonMin; t += PRED_STEP_MIN) {
+      points.push({ tMin: t, delta: inputDeltaAt(input, t, params) - atNow });
+    }
+    return { kind: input.kind, label: describePredInput(input), points };
+  });
+
+  const points = [];
+  for (let t = 0, i = 0; t <= horizonMin; t += PRED_STEP_MIN, i++) {
+    const delta = components.reduce((sum, c) => sum + c.points[i].delta, 0);
+    points.push({ tMin: t, bg: Math.max(20, currentBg + delta) });
+  }
+  return { points, components };
+}
+
+/* ---------------------------
+   Prediction uncertainty (50% / 90% bands)
+---------------------------- */
+
+/**
+ * Monte Carlo over the uncertain inputs of predictStackedCurve:
+ * - impact-per-gram and peak time: log-normal around the panel values, with
+ *   spreads from the personal fit's CIs when there is one, else defaults
+ * - starting glucose: meter/CGM error (5%, at least 5 mg/dL)
+ * - the fit's residual error (rmse), ramped in over the first hour
+ * Draws are seeded, so the same inputs always give the same bands.
+ */
+const UNCERTAINTY_DRAWS = 400;
+const DEFAULT_UNCERTAINTY = { impactSd: 0.3, peakSd: 0.25, residualMgdl: 0, source: "default assumptions" };
+
+// Small deterministic PRNG (mulberry32) -> () => [0, 1)
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Box-Muller on a given uniform source
+function gaussian(rand) {
+  const u = Math.max(1e-9, rand());
+  const v = Math.max(1e-9, rand());
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function quantile(sortedValues, q) {
+  const pos = (sortedValues.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sortedValues[lo] + (sortedValues[hi] - sortedValues[lo]) * (pos - lo);
+}
+
+// Log-normal sd from a 95% CI; null when the CI is missing or not positive
+function logSdFromCi(ci) {
+  if (!ci || !(ci[0] > 0) || !(ci[1] > ci[0])) return null;
+  return Math.log(ci[1] / ci[0]) / 3.92;
+}
+
+// Spreads for predictionBands, from a saved food-model fit when available
+function predictionUncertainty(foodModel) {
+  if (!foodModel || !foodModel.mgdlPerGramCi) return DEFAULT_UNCERTAINTY;
+  const [pLo, pHi] = foodModel.peakMinCi || [];
+  const halfStep = FIT_PEAK_GRID.step / 2; // the peak is fitted on a grid
+  return {
+    impactSd: logSdFromCi(foodModel.mgdlPerGramCi) ?? DEFAULT_UNCERTAINTY.impactSd,
+    peakSd: logSdFromCi([pLo - halfStep, pHi + halfStep]) ?? DEFAULT_UNCERTAINTY.peakSd,
+    residualMgdl: foodModel.rmse || 0,
+    source: `your fit (${foodModel.meals} meals)`
+  };
+}
+
+/**
+ * -> { points: [{ tMin, p5, p25, p50, p75, p95 }], peak: { p5, p25, p50, p75, p95 },
+ *      chanceBelow, chanceAbove } (chances = share of draws leaving the target band)
+ */
+function predictionBands(currentBg, inputs, params, horizonMin, uncertainty, low, high) {
+  const rand = seededRandom(0x5EED + Math.round(currentBg) + inputs.length * 7919);
+  const startSd = Math.max(5, currentBg * 0.05);
+  const draws = [];
+
+  for (let d = 0; d < UNCERTAINTY_DRAWS; d++) {
+    const drawParams = {
+      ...params,
+      mgdlPerGram: params.mgdlPerGram * Math.exp(uncertainty.impactSd * gaussian(rand)),
+      peakMin: params.peakMin * Math.exp(uncertainty.peakSd * gaussian(rand))
+    };
+    const start = currentBg + startSd * gaussian(rand);
+    const residual = uncertainty.residualMgdl * gaussian(rand);
+    const { points } = predictStackedCurve(start, inputs, drawParams, horizonMin);
+    draws.push(points.map(p => Math.max(20, p.bg + residual * Math.min(1, p.tMin / 60))));
+  }
+
+  const qs = (values) => {
+    const sorted = values.slice().sort((a, b) => a - b);
+    return { p5: quantile(sorted, 0.05), p25: quantile(sorted, 0.25), p50: quantile(sorted, 0.5), p75: quantile(sorted, 0.75), p95: quantile(sorted, 0.95) };
+  };
+
+  const points = draws[0].map((_, i) => ({ tMin: i * PRED_STEP_MIN, ...qs(draws.map(curve => curve[i])) }));
+  return {
+    points,
+    peak: qs(draws.map(curve => Math.max(...curve))),
+    chanceBelow: draws.filter(curve => curve.some(v => v < low)).length / draws.length,
+    chanceAbove: draws.filter(curve => curve.some(v => v > high)).length / draws.length
+  };
+}
+
+/* ---------------------------
+   Food model calibration (personal impact + peak time)
+---------------------------- */
+
+/**
+ * Fits the two food-model parameters to the user's own log:
+ * - a meal = a "Pre-meal" reading followed by "1-hr/2-hr post-meal" readings
+ *   within FIT_POST_WINDOW_MIN (stopping at the next Pre-meal reading)
+ * - grams come from a meal event logged around it (sugar, else carbs) or
+ *   from notes like "30g sugar" / "sugar 30 g" on those readings
+ * - rise(t) = post - pre is fitted to grams * mgdlPerGram * shape(t / peakMin)
+ *   (the carbs curve of predictStackedCurve; activity factor taken as 1.0)
+ * mgdlPerGram has a closed-form least-squares fit for each candidate peak,
+ * so peakMin is a grid search; CIs are the usual t interval for the slope
+ * and the profile (F-test) range for the peak.
+ */
+const FIT_POST_WINDOW_MIN = 180;
+const FIT_MEAL_LEAD_MIN = 15; // meal events may be logged a little before the pre-meal reading
+const FIT_MIN_MEALS = 3;
+const FIT_PEAK_GRID = { min: 15, max: 180, step: 5 };
+
+// "30g sugar", "30 grams of carbs", "sugar: 30g" -> 30 (sugar wins over carbs)
+function gramsFromNotes(notes) {
+  const text = String(notes || "");
+  const find = (word) => {
+    const after = text.match(new RegExp(`(\\d+(?:\\.\\d+)?)\\s*g(?:rams?)?\\s*(?:of\\s+)?${word}`, "i"));
+    const before = text.match(new RegExp(`${word}\\s*[:=]?\\s*(\\d+(?:\\.\\d+)?)\\s*g`, "i"));
+    const m = after || before;
+    return m ? Number(m[1]) : null;
+  };
+  return find("sugar") ?? find("carbs?");
+}
+
+function mealGrams(event) {
+  return event.sugarG ?? event.carbsG ?? null;
+}
+
+// -> [{ dtIso, grams, pre, points: [{ tMin, rise }] }]
+function collectMealObservations(records, events) {
+  const sorted = records.slice().sort(byDtAsc);
+  const meals = events.filter(e => e.type === "meal" && mealGrams(e) > 0);
+  const out = [];
+
+  sorted.forEach((pre, i) => {
+    if (pre.context !== "Pre-meal") return;
+    const preT = new Date(pre.dtIso).getTime();
+
+    const posts = [];
+    for (let j = i + 1; j < sorted.length; j++) {
+      const r = sorted[j];
+      const t = new Date(r.dtIso).getTime();
+      if (t - preT > FIT_POST_WINDOW_MIN * 60000 || r.context === "Pre-meal") break;
+      if (r.context === "1-hr post-meal" || r.context === "2-hr post-meal") posts.push({ r, t });
+    }
+    if (!posts.length) return;
+
+    // Meal time: the logged event if there is one, otherwise the pre-meal reading
+    const firstPostT = posts[0].t;
+    const event = meals.find(e => {
+      const t = new Date(e.dtIso).getTime();
+      return t >= preT - FIT_MEAL_LEAD_MIN * 60000 && t < firstPostT;
+    });
+    const grams = event ? mealGrams(event) : [pre, ...posts.map(p => p.r)].map(r => gramsFromNotes(r.notes)).find(g => g > 0);
+    if (!grams) return;
+
+    const mealT = event ? new Date(event.dtIso).getTime() : preT;
+    const points = posts
+      .map(p => ({ tMin: (p.t - mealT) / 60000, rise: p.r.value - pre.value }))
+      .filter(p => p.tMin > 0);
+    if (points.length) out.push({ dtIso: pre.dtIso, grams, pre: pre.value, points });
+  });
+  return out;
+}
+
+// Two-sided 95% Student t quantile (close approximation; exact enough for a CI label)
+function tQuantile95(dof) {
+  return 1.96 + 2.37 / dof + 2.8 / (dof * dof);
+}
+
+function fitFoodModel(observations) {
+  const points = observations.flatMap(m => m.points.map(p => ({ grams: m.grams, ...p })));
+  const meals = observations.length;
+  if (meals < FIT_MIN_MEALS) {
+    return { ok: false, meals, points: points.length, reason: `need at least ${FIT_MIN_MEALS} meals with pre- and post-meal readings and grams (found ${meals})` };
+  }
+  if (points.length < 4) return { ok: false, meals, points: points.length, reason: "need at least 4 post-meal readings" };
+
+  const fitAt = (peakMin) => {
+    let sxx = 0;
+    let sxy = 0;
+    const xs = points.map(p => {
+      const u = p.tMin / peakMin;
+      const x = p.grams * u * Math.exp(1 - u);
+      sxx += x * x;
+      sxy += x * p.rise;
+      return x;
+    });
+    const k = sxx ? sxy / sxx : 0;
+    const sse = points.reduce((acc, p, i) => acc + (p.rise - k * xs[i]) ** 2, 0);
+    return { peakMin, k, sse, sxx };
+  };
+
+  const grid = [];
+  for (let peak = FIT_PEAK_GRID.min; peak <= FIT_PEAK_GRID.max; peak += FIT_PEAK_GRID.step) grid.push(fitAt(peak));
+  const best = grid.reduce((a, b) => (b.sse < a.sse ? b : a));
+  if (!(best.k > 0)) return { ok: false, meals, points: points.length, reason: "readings do not rise after meals; nothing to fit" };
+
+  const dof = points.length - 2;
+  const t = tQuantile95(dof);
+  const se = Math.sqrt(best.sse / dof / best.sxx);
+
+  // Peaks whose best fit is not significantly worse than the optimum
+  const limit = best.sse * (1 + (t * t) / dof);
+  const plausible = grid.filter(g => g.k > 0 && g.sse <= limit).map(g => g.peakMin);
+
+  return {
+    ok: true,
+    meals,
+    points: points.length,
+    mgdlPerGram: best.k,
+    mgdlPerGramCi: [Math.max(0, best.k - t * se), best.k + t * se],
+    peakMin: best.peakMin,
+    peakMinCi: [Math.min(...plausible), Math.max(...plausible)],
+    rmse: Math.sqrt(best.sse / points.length)
+  };
+}
+
+/* ---------------------------
+   Prediction accuracy (saved predictions vs later readings)
+---------------------------- */
+
+/**
+ * Each runPrediction result is saved as
+ * { id, dtIso, currentBg, inputs, params, horizonMin, curve: [{ tMin, bg }], bands }
+ * and scored against readings logged later within its horizon (so accuracy
+ * keeps up with readings entered after the fact). Errors are predicted -
+ * actual in mg/dL; zones use the Clarke error grid.
+ */
+const PREDICTION_MERGE_MIN = 5; // re-runs within 5 min replace the previous save (tweaking inputs)
+
+// Linear interpolation on a { tMin, <key> } curve
+function curveValueAt(curve, tMin, key = "bg") {
+  if (tMin <= curve[0].tMin) return curve[0][key];
+  for (let i = 1; i < curve.length; i++) {
+    if (curve[i].tMin >= tMin) {
+      const a = curve[i - 1];
+      const b = curve[i];
+      return a[key] + (b[key] - a[key]) * ((tMin - a.tMin) / ((b.tMin - a.tMin) || 1));
+    }
+  }
+  return curve[curve.length - 1][key];
+}
+
+// Clarke error grid zone (A-E) for a reference and predicted value in mg/dL
+function clarkeZone(ref, pred) {
+  if ((ref <= 70 && pred <= 70) || (pred <= 1.2 * ref && pred >= 0.8 * ref)) return "A";
+  if ((ref >= 180 && pred <= 70) || (ref <= 70 && pred >= 180)) return "E";
+  if ((ref >= 70 && ref <= 290 && pred >= ref + 110) || (ref >= 130 && ref <= 180 && pred <= (7 / 5) * ref - 182)) return "C";
+  if ((ref >= 240 && pred >= 70 && pred <= 180) || (ref <= 175 / 3 && pred <= 180 && pred >= 70) ||
+      (ref >= 175 / 3 && ref <= 70 && pred >= (6 / 5) * ref)) return "D";
+  return "B";
+}
+
+// Readings after the prediction and within its horizon -> scored points
+// (records may be just that range, see loadAccuracyReport)
+function evaluatePrediction(prediction, records) {
+  const t0 = new Date(prediction.dtIso).getTime();
+  return records
+    .map(r => ({ r, tMin: (new Date(r.dtIso).getTime() - t0) / 60000 }))
+    .filter(({ tMin }) => tMin > 0 && tMin <= prediction.horizonMin)
+    .map(({ r, tMin }) => {
+      const predicted = curveValueAt(prediction.curve, tMin);
+      const band = prediction.bands;
+      return {
+        predictionId: prediction.id,
+        dtIso: r.dtIso,
+        tMin,
+        context: r.context,
+        actual: r.value,
+        predicted,
+        error: predicted - r.value,
+        zone: clarkeZone(r.value, predicted),
+        inBand90: band ? r.value >= curveValueAt(band, tMin, "p5") && r.value <= curveValueAt(band, tMin, "p95") : null
+      };
+    });
+}
+
+function summarizeAccuracy(points) {
+  if (!points.length) return { n: 0 };
+  const zones = { A: 0, B: 0, C: 0, D: 0, E: 0 };
+  points.forEach(p => { zones[p.zone]++; });
+  const banded = points.filter(p => p.inBand90 != null);
+  return {
+    n: points.length,
+    predictions: new Set(points.map(p => p.predictionId)).size,
+    mae: mean(points.map(p => Math.abs(p.error))),
+    bias: mean(points.map(p => p.error)),
+    zonePct: Object.fromEntries(Object.entries(zones).map(([z, c]) => [z, (c / points.length) * 100])),
+    band90Pct: banded.length ? (banded.filter(p => p.inBand90).length / banded.length) * 100 : null
+  };
+}
+
+// Local Monday 00:00 of the week containing dtIso
+function weekStart(dtIso) {
+  const d = new Date(dtIso);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+// evaluatePrediction points -> { saved, overall, byContext: [{ context, ...summary }], byWeek: [{ weekIso, ...summary }] }
+function accuracyReport(saved, points) {
+  return {
+    saved,
+    overall: summarizeAccuracy(points),
+    byContext: [...groupBy(points, p => p.context)].map(([context, pts]) => ({ context, ...summarizeAccuracy(pts) })),
+    byWeek: [...groupBy(points, p => weekStart(p.dtIso).toISOString())]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([weekIso, pts]) => ({ weekIso, ...summarizeAccuracy(pts) }))
+  };
+}
+
+/* ---------------------------
+   Synthetic test set generator (seeded, presets)
+---------------------------- */
+
+/**
+ * Same superposition model as before: base + daily wave + meal bumps +
+ * random hypo/hyper excursions + noise, now driven by a seeded PRNG
+ * (seededRandom) and a parameter set, so a (preset, params, seed) triple
+ * always produces the same values. On top of the true curve:
+ * - dawn phenomenon: a rise between 3 am and 8 am
+ * - nocturnal hypos: a chance per night of a low between 1 and 4 am
+ * - missed meals: no carbs, plus a dip from medication taken without food
+ * - sensor artifacts: compression lows (sensor-only drops at night),
+ *   dropouts (no samples) and calibration drift (offset that grows over a
+ *   10-day sensor session)
+ * Points are { tMs, bg } with bg as the sensor reads it, trueBg when
+ * artifacts make them differ, and carbs (grams) at meal samples.
+ */
+const SYNTHETIC_FORMAT = "glucose-synthetic-set";
+const SYNTHETIC_FORMAT_VERSION = 1;
+const SYNTHETIC_MEAL_HOURS = [8, 13, 19, 10.5, 16, 21.5]; // mains first, then snacks
+const SENSOR_SESSION_DAYS = 10;
+
+// key -> [label, min, max, step]; bg-like values are mg/dL
+const SYNTHETIC_PARAMS = {
+  base: ["Base (mg/dL)", 60, 250, 1],
+  dailyAmp: ["Daily wave (mg/dL)", 0, 60, 1],
+  noiseSd: ["Noise SD (mg/dL)", 0, 30, 0.5],
+  mealsPerDay: ["Meals / day", 0, 6, 1],
+  mealMinG: ["Meal min (g)", 0, 150, 5],
+  mealMaxG: ["Meal max (g)", 0, 200, 5],
+  mgdlPerGram: ["Rise per g (mg/dL)", 0.2, 6, 0.1],
+  peakMin: ["Meal peak (min)", 15, 150, 5],
+  missedMealPct: ["Missed meals (%)", 0, 100, 5],
+  dawnRise: ["Dawn rise (mg/dL)", 0, 100, 5],
+  hypoPerWeek: ["Lows / week", 0, 21, 0.1],
+  hypoDepth: ["Low depth (mg/dL)", 0, 120, 5],
+  nocturnalHypoPct: ["Night lows (% of nights)", 0, 100, 5],
+  hyperPerWeek: ["Highs / week", 0, 21, 0.1],
+  hyperHeight: ["High height (mg/dL)", 0, 200, 5],
+  compressionPerWeek: ["Compression lows / week", 0, 14, 0.5],
+  dropoutPerWeek: ["Dropouts / week", 0, 14, 0.5],
+  driftPerDay: ["Drift (mg/dL per day)", 0, 10, 0.5]
+};
+
+const NO_EXTRAS = {
+  missedMealPct: 0, dawnRise: 0, nocturnalHypoPct: 0,
+  compressionPerWeek: 0, dropoutPerWeek: 0, driftPerDay: 0
+};
+
+const SYNTHETIC_PRESETS = {
+  classic: {
+    label: "Classic test set",
+    params: {
+      base: 115, dailyAmp: 12, noiseSd: 8, mealsPerDay: 3, mealMinG: 20, mealMaxG: 80, mgdlPerGram: 1.4, peakMin: 45,
+      hypoPerWeek: 0.4, hypoDepth: 35, hyperPerWeek: 0.6, hyperHeight: 55, ...NO_EXTRAS
+    }
+  },
+  t2Controlled: {
+    label: "Well-controlled type 2",
+    params: {
+      base: 125, dailyAmp: 10, noiseSd: 6, mealsPerDay: 3, mealMinG: 30, mealMaxG: 70, mgdlPerGram: 1.0, peakMin: 60,
+      hypoPerWeek: 0.1, hypoDepth: 25, hyperPerWeek: 0.5, hyperHeight: 45,
+      ...NO_EXTRAS, dawnRise: 15, compressionPerWeek: 0.5, dropoutPerWeek: 0.5, driftPerDay: 1
+    }
+  },
+  t1Brittle: {
+    label: "Brittle type 1",
+    params: {
+      base: 150, dailyAmp: 25, noiseSd: 12, mealsPerDay: 4, mealMinG: 20, mealMaxG: 100, mgdlPerGram: 3.0, peakMin: 40,
+      hypoPerWeek: 4, hypoDepth: 75, hyperPerWeek: 5, hyperHeight: 120,
+      ...NO_EXTRAS, missedMealPct: 10, dawnRise: 20, nocturnalHypoPct: 15, compressionPerWeek: 1, dropoutPerWeek: 1, driftPerDay: 2
+    }
+  },
+  dawn: {
+    label: "Dawn phenomenon",
+    params: {
+      base: 120, dailyAmp: 8, noiseSd: 8, mealsPerDay: 3, mealMinG: 25, mealMaxG: 70, mgdlPerGram: 1.4, peakMin: 50,
+      hypoPerWeek: 0.2, hypoDepth: 30, hyperPerWeek: 0.5, hyperHeight: 50, ...NO_EXTRAS, dawnRise: 60
+    }
+  },
+  nocturnalHypos: {
+    label: "Nocturnal hypos",
+    params: {
+      base: 115, dailyAmp: 12, noiseSd: 8, mealsPerDay: 3, mealMinG: 25, mealMaxG: 75, mgdlPerGram: 1.6, peakMin: 45,
+      hypoPerWeek: 0.5, hypoDepth: 40, hyperPerWeek: 0.5, hyperHeight: 50,
+      ...NO_EXTRAS, nocturnalHypoPct: 40, compressionPerWeek: 1.5
+    }
+  },
+  missedMeals: {
+    label: "Missed meals",
+    params: {
+      base: 110, dailyAmp: 10, noiseSd: 8, mealsPerDay: 3, mealMinG: 30, mealMaxG: 80, mgdlPerGram: 1.4, peakMin: 45,
+      hypoPerWeek: 0.3, hypoDepth: 30, hyperPerWeek: 0.5, hyperHeight: 50, ...NO_EXTRAS, missedMealPct: 35
+    }
+  }
+};
+
+// Gaussian bump centred on t0 (minutes)
+function bumpAt(minute, t0, sigma, height) {
+  const dt = minute - t0;
+  return height * Math.exp(-(dt * dt) / (2 * sigma * sigma));
+}
+
+/**
+ * spec: { days, approxPoints, seed, preset, params (overrides), withTruth }
+ * -> { format, version, seed, preset, params, days, approxPoints, startMs, series, truth }
+ */
+function generateSyntheticSet(spec) {
+  const preset = SYNTHETIC_PRESETS[spec.preset] ? spec.preset : "classic";
+  const p = { ...SYNTHETIC_PRESETS[preset].params, ...(spec.params || {}) };
+  const days = spec.days;
+  const seed = spec.seed >>> 0;
+  const rand = seededRandom(seed);
+  const uniform = (min, max) => min + rand() * (max - min);
+  const count = (perWeek) => {
+    const expected = (days * perWeek) / 7;
+    return Math.floor(expected) + (rand() < expected % 1 ? 1 : 0);
+  };
+
+  const totalMinutes = days * 24 * 60;
+  const stepMin = Math.max(5, Math.round(totalMinutes / spec.approxPoints));
+  const dayMin = 24 * 60;
+  const truth = [];
+
+  // Meals (some skipped) and the dip from medication taken without them
+  const meals = [];
+  const missed = [];
+  for (let d = 0; d < days; d++) {
+    SYNTHETIC_MEAL_HOURS.slice(0, p.mealsPerDay).forEach((hour, i) => {
+      const t = d * dayMin + hour * 60 + Math.round((rand() - 0.5) * (i < 3 ? 60 : 30));
+      const grams = Math.round(uniform(p.mealMinG, Math.max(p.mealMinG, p.mealMaxG)) * (i < 3 ? 1 : 0.4));
+      if (rand() * 100 < p.missedMealPct) {
+        missed.push({ t, grams });
+        truth.push({ type: "missed-meal", minute: t, grams });
+      } else {
+        meals.push({ t, grams });
+        truth.push({ type: "meal", minute: t, grams });
+      }
+    });
+  }
+
+  // Excursions: random lows/highs plus night-time lows
+  const lows = [];
+  const highs = [];
+  for (let i = count(p.hypoPerWeek); i > 0; i--) lows.push(Math.round(rand() * totalMinutes));
+  for (let i = count(p.hyperPerWeek); i > 0; i--) highs.push(Math.round(rand() * totalMinutes));
+  for (let d = 0; d < days; d++) {
+    if (rand() * 100 < p.nocturnalHypoPct) lows.push(d * dayMin + Math.round(uniform(60, 240)));
+  }
+  lows.sort((a, b) => a - b).forEach(t => truth.push({ type: "hypo", minute: t, depth: p.hypoDepth }));
+  highs.sort((a, b) => a - b).forEach(t => truth.push({ type: "hyper", minute: t, height: p.hyperHeight }));
+
+  // Sensor artifacts
+  const compressions = [];
+  const dropouts = [];
+  for (let i = count(p.compressionPerWeek); i > 0; i--) {
+    const d = Math.floor(rand() * days);
+    compressions.push({ t: d * dayMin + Math.round(uniform(0, 360)), durationMin: Math.round(uniform(20, 50)), depth: uniform(30, 60) });
+  }
+  for (let i = count(p.dropoutPerWeek); i > 0; i--) {
+    dropouts.push({ t: Math.round(rand() * totalMinutes), durationMin: Math.round(uniform(20, 120)) });
+  }
+  compressions.forEach(c => truth.push({ type: "compression", minute: c.t, durationMin: c.durationMin }));
+  dropouts.forEach(o => truth.push({ type: "dropout", minute: o.t, durationMin: o.durationMin }));
+  const driftSign = [];
+  for (let s = 0; s <= days / SENSOR_SESSION_DAYS; s++) driftSign.push(rand() < 0.5 ? -1 : 1);
+
+  function trueAt(minute) {
+    const ofDay = minute % dayMin;
+    let bg = p.base + p.dailyAmp * Math.sin((ofDay / dayMin) * 2 * Math.PI - 0.8);
+    // Dawn: ramps up from 3 am, peaks at 7 am, gone by 10 am
+    if (ofDay >= 180 && ofDay < 600) bg += p.dawnRise * (ofDay < 420 ? (ofDay - 180) / 240 : 1 - (ofDay - 420) / 180);
+    meals.forEach(m => {
+      if (minute >= m.t) bg += m.grams * p.mgdlPerGram * absorptionShape((minute - m.t) / Math.max(1, p.peakMin));
+    });
+    missed.forEach(m => {
+      if (minute >= m.t) bg -= 0.4 * m.grams * p.mgdlPerGram * absorptionShape((minute - m.t) / 90);
+    });
+    lows.forEach(t => { bg -= bumpAt(minute, t, 35, p.hypoDepth); });
+    highs.forEach(t => { bg += bumpAt(minute, t, 50, p.hyperHeight); });
+    return bg;
+  }
+
+  function sensorOffset(minute) {
+    let offset = 0;
+    const intoSession = (minute / dayMin) % SENSOR_SESSION_DAYS;
+    offset += driftSign[Math.floor(minute / dayMin / SENSOR_SESSION_DAYS)] * p.driftPerDay * intoSession;
+    compressions.forEach(c => {
+      const dt = minute - c.t;
+      if (dt >= 0 && dt <= c.durationMin) offset -= c.depth * Math.sin((dt / c.durationMin) * Math.PI);
+    });
+    return offset;
+  }
+
+  // Local midnight, so preset times of day (meals, dawn, nights) are real clock times
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const startMs = start.getTime() - days * dayMin * 60000;
+  const clamp = (v) => Math.max(40, Math.min(400, v));
+
+  const series = [];
+  for (let m = 0; m <= totalMinutes; m += stepMin) {
+    const noise = p.noiseSd * gaussian(rand);
+    if (dropouts.some(o => m >= o.t && m < o.t + o.durationMin)) continue;
+
+    const real = clamp(trueAt(m) + noise);
+    const point = { tMs: startMs + m * 60000, bg: clamp(real + sensorOffset(m)) };
+    if (point.bg !== real) point.trueBg = real;
+
+    // Meals eaten since the previous sample, as if logged (for the food-model strategy)
+    const carbs = meals.reduce((sum, meal) => (meal.t > m - stepMin && meal.t <= m ? sum + meal.grams : sum), 0);
+    if (carbs) point.carbs = carbs;
+    series.push(point);
+  }
+
+  return {
+    format: SYNTHETIC_FORMAT,
+    version: SYNTHETIC_FORMAT_VERSION,
+    seed,
+    preset,
+    params: p,
+    days,
+    approxPoints: spec.approxPoints,
+    stepMin,
+    startMs,
+    series,
+    truth: spec.withTruth === false
+      ? null
+      : truth.sort((a, b) => a.minute - b.minute).map(({ minute, ...e }) => ({ ...e, tMs: startMs + minute * 60000 }))
+  };
+}
+
+// Reads back an exported set; the stored series is used as-is (exact replay)
+function parseSyntheticSet(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { ok: false, msg: "This file is not valid JSON." };
+  }
+  if (!data || data.format !== SYNTHETIC_FORMAT) return { ok: false, msg: "This is not an exported synthetic test set." };
+  if (data.version > SYNTHETIC_FORMAT_VERSION) return { ok: false, msg: "This test set was saved by a newer version of the app." };
+  if (!Array.isArray(data.series) || data.series.length < BACKTEST_MIN_POINTS ||
+      !data.series.every(pt => Number.isFinite(pt.tMs) && Number.isFinite(pt.bg))) {
+    return { ok: false, msg: "The test set has no usable series." };
+  }
+  return { ok: true, set: data };
+}
+
+/* ---------------------------
+   Alert engine (smoothing + persistence + cooldown + hysteresis)
+---------------------------- */
+
+/**
+ * The backtest's "improved" strategy as a stateful engine fed one reading at
+ * a time ({ tMs, bg } in mg/dL):
+ * - smoothed current = mean of the last 3 readings
+ * - projection = smoothed + slope (endpoints of the last 6) * horizon
+ * - the same risk must be seen twice in a row (persistence) before an alert fires
+ * - after an alert, no new one for cooldownMin
+ * - the active alert clears once the projection is back past low+5 / high-10
+ * The same engine runs on the synthetic backtest and on newly logged readings;
+ * for the latter, settings and state live in the active profile (alerts,
+ * alertState, alertLog).
+ */
+const DEFAULT_ALERT_SETTINGS = { enabled: true, low: 70, high: 250, horizonMin: 30, cooldownMin: 60, notify: false };
+const ALERT_SLOPE_POINTS = 6;
+const ALERT_SMOOTH_POINTS = 3;
+const ALERT_PERSIST = 2;
+const ALERT_HYPO_EXIT = 5;
+const ALERT_HYPER_EXIT = 10;
+const ALERT_MAX_AGE_MIN = 30; // older (back-dated) readings don't trigger alerts
+const ALERT_HISTORY_MIN = 180; // earlier readings used for smoothing/slope; older state is stale
+const ALERT_LOG_LIMIT = 200;
+
+function alertSettings(meta = loadMeta()) {
+  return { ...DEFAULT_ALERT_SETTINGS, ...(activeProfile(meta).alerts || {}) };
+}
+
+// mg/dL per minute between the first and last point
+function endpointSlope(points) {
+  const first = points[0];
+  const last = points[points.length - 1];
+  const dt = (last.tMs - first.tMs) / 60000;
+  return dt > 0 ? (last.bg - first.bg) / dt : 0;
+}
+
+function riskFor(currentBg, projected, config) {
+  if (currentBg < config.low || projected < config.low) return "HYPO";
+  if (currentBg > config.high || projected > config.high) return "HYPER";
+  return "NONE";
+}
+
+/**
+ * Persistence + cooldown + hysteresis, shared by the engine and the backtest
+ * strategies. persist counts consecutive readings with the same risk, so a
+ * HYPO followed by a HYPER starts again at 1.
+ */
+function createAlertGate(config, saved = null, persistNeeded = ALERT_PERSIST) {
+  const state = { active: "NONE", lastRisk: "NONE", persist: 0, cooldownUntilMs: 0, ...(saved || {}) };
+
+  function decide(tMs, risk, projected) {
+    state.persist = risk === "NONE" ? 0 : (risk === state.lastRisk ? state.persist + 1 : 1);
+    state.lastRisk = risk;
+
+    let alert = false;
+    if (tMs >= state.cooldownUntilMs && risk !== "NONE" && state.persist >= persistNeeded) {
+      state.active = risk;
+      alert = true;
+      state.cooldownUntilMs = tMs + config.cooldownMin * 60000;
+    }
+
+    // Hysteresis: clear the active alert once the projection is clearly back
+    if (state.active === "HYPO" && projected > config.low + ALERT_HYPO_EXIT) state.active = "NONE";
+    if (state.active === "HYPER" && projected < config.high - ALERT_HYPER_EXIT) state.active = "NONE";
+    return alert;
+  }
+
+  return { state, decide };
+}
+
+// saved: { active, lastRisk, persist, cooldownUntilMs } from a previous engine (optional)
+function createAlertEngine(config, saved = null) {
+  const gate = createAlertGate(config, saved);
+  const recent = [];
+
+  function remember(point) {
+    recent.push(point);
+    if (recent.length > ALERT_SLOPE_POINTS) recent.shift();
+  }
+
+  function push(point) {
+    remember(point);
+
+    const slope = endpointSlope(recent);
+    const smoothed = recent.slice(-ALERT_SMOOTH_POINTS);
+    const smoothBg = smoothed.reduce((a, p) => a + p.bg, 0) / smoothed.length;
+    const projected = smoothBg + slope * config.horizonMin;
+    const risk = riskFor(smoothBg, projected, config);
+
+    return { risk, alert: gate.decide(point.tMs, risk, projected), smoothBg, projected, slope };
+  }
+
+  return { state: gate.state, remember, push };
+}
+
+// Did an alert come true? Any reading past its threshold within its horizon.
+function alertOutcome(entry, records, nowMs = Date.now()) {
+  const t0 = new Date(entry.firedAt).getTime();
+  const t1 = t0 + entry.horizonMin * 60000;
+  const within = records.filter(r => {
+    const t = new Date(r.dtIso).getTime();
+    return t > t0 && t <= t1;
+  });
+  const hit = entry.kind === "HYPO" ? within.some(r => r.value < entry.low) : within.some(r => r.value > entry.high);
+  if (hit) return "came true";
+  if (nowMs < t1) return "pending";
+  return within.length ? "false alarm" : "no readings";
+}
+
+/* ---------------------------
+   Alert strategies (pluggable rules for the backtest)
+---------------------------- */
+
+/**
+ * A strategy is { id, label, color, create(config) } where config is
+ * { low, high, horizonMin, cooldownMin, foodModel: { mgdlPerGram, peakMin } }
+ * and create returns { remember(point), push(point) -> { risk, alert, projected } }.
+ * Points are { tMs, bg } plus optional carbs (grams eaten at that sample).
+ * remember() primes history without deciding; push() decides for that point.
+ */
+const ALERT_STRATEGIES = [];
+
+function registerAlertStrategy(strategy) {
+  const i = ALERT_STRATEGIES.findIndex(s => s.id === strategy.id);
+  if (i >= 0) ALERT_STRATEGIES[i] = strategy;
+  else ALERT_STRATEGIES.push(strategy);
+  return strategy;
+}
+
+// Keeps the last n points for strategies that look back over a window
+function pointWindow(n) {
+  const recent = [];
+  return {
+    recent,
+    add(point) {
+      recent.push(point);
+      if (recent.length > n) recent.shift();
+    }
+  };
+}
+
+// Baseline: raw value + endpoint slope, alerts on every risky sample
+registerAlertStrategy({
+  id: "linear",
+  label: "Linear trend (baseline)",
+  color: "#111",
+  create(config) {
+    const win = pointWindow(ALERT_SLOPE_POINTS);
+    return {
+      remember: win.add,
+      push(point) {
+        win.add(point);
+        const projected = point.bg + endpointSlope(win.recent) * config.horizonMin;
+        const risk = riskFor(point.bg, projected, config);
+        return { risk, alert: risk !== "NONE", projected };
+      }
+    };
+  }
+});
+
+registerAlertStrategy({
+  id: "improved",
+  label: "Smoothed + persistence + cooldown",
+  color: "#2b59c3",
+  create: (config) => createAlertEngine(config)
+});
+
+/**
+ * Constant-velocity Kalman filter on (bg, slope). Sensor noise ~8 mg/dL and
+ * slow changes in slope (meals, insulin) as process noise; the filtered slope
+ * replaces the endpoint slope, so no extra persistence is needed.
+ */
+const KALMAN_SENSOR_SD = 8;
+const KALMAN_ACCEL_SD = 0.05; // mg/dL/min²
+
+registerAlertStrategy({
+  id: "kalman",
+  label: "Kalman-filtered trend",
+  color: "#7a3db8",
+  create(config) {
+    const gate = createAlertGate(config, null, 1);
+    const r = KALMAN_SENSOR_SD ** 2;
+    const q = KALMAN_ACCEL_SD ** 2;
+    let x = null; // [bg, slope]
+    let P = null; // 2x2 covariance
+    let lastMs = 0;
+
+    function update(point) {
+      if (!x) {
+        x = [point.bg, 0];
+        P = [[r, 0], [0, 1]];
+        lastMs = point.tMs;
+        return;
+      }
+      const dt = (point.tMs - lastMs) / 60000;
+      lastMs = point.tMs;
+
+      // Predict: bg += slope * dt; white-acceleration process noise
+      x = [x[0] + x[1] * dt, x[1]];
+      P = [
+        [P[0][0] + dt * (P[1][0] + P[0][1]) + dt * dt * P[1][1] + q * dt ** 3 / 3, P[0][1] + dt * P[1][1] + q * dt * dt / 2],
+        [P[1][0] + dt * P[1][1] + q * dt * dt / 2, P[1][1] + q * dt]
+      ];
+
+      // Update with the measured bg
+      const s = P[0][0] + r;
+      const k = [P[0][0] / s, P[1][0] / s];
+      const y = point.bg - x[0];
+      x = [x[0] + k[0] * y, x[1] + k[1] * y];
+      P = [
+        [(1 - k[0]) * P[0][0], (1 - k[0]) * P[0][1]],
+        [P[1][0] - k[1] * P[0][0], P[1][1] - k[1] * P[0][1]]
+      ];
+    }
+
+    return {
+      remember: update,
+      push(point) {
+        update(point);
+        const projected = x[0] + x[1] * config.horizonMin;
+        const risk = riskFor(x[0], projected, config);
+        return { risk, alert: gate.decide(point.tMs, risk, projected), projected };
+      }
+    };
+  }
+});
+
+/**
+ * CGM-style trend arrows: the slope over the last ~15 min is bucketed and the
+ * bucket's typical rate (not the exact slope) is projected over the horizon.
+ */
+const ROC_ARROWS = [
+  { min: 2, arrow: "↑↑", rate: 2.5 },
+  { min: 1, arrow: "↑", rate: 1.5 },
+  { min: -1, arrow: "→", rate: 0 },
+  { min: -2, arrow: "↓", rate: -1.5 },
+  { min: -Infinity, arrow: "↓↓", rate: -2.5 }
+];
+const ROC_WINDOW_MIN = 15;
+
+function trendArrow(slopePerMin) {
+  return ROC_ARROWS.find(a => slopePerMin >= a.min);
+}
+
+registerAlertStrategy({
+  id: "arrows",
+  label: "Rate-of-change arrows",
+  color: "#e07a16",
+  create(config) {
+    const gate = createAlertGate(config);
+    const win = pointWindow(ALERT_SLOPE_POINTS);
+    return {
+      remember: win.add,
+      push(point) {
+        win.add(point);
+        const since = win.recent.filter(p => point.tMs - p.tMs <= ROC_WINDOW_MIN * 60000);
+        const projected = point.bg + trendArrow(endpointSlope(since)).rate * config.horizonMin;
+        const risk = riskFor(point.bg, projected, config);
+        return { risk, alert: gate.decide(point.tMs, risk, projected), projected };
+      }
+    };
+  }
+});
+
+/**
+ * Food model: smoothed value + the rest of each recent meal's bump (the same
+ * carbs curve as the prediction panel). Ignores trends it has no input for.
+ */
+const FOOD_STRATEGY_MEMORY_MIN = 360;
+
+registerAlertStrategy({
+  id: "food",
+  label: "Food model (logged carbs)",
+  color: "#11734b",
+  create(config) {
+    const gate = createAlertGate(config, null, 1);
+    const win = pointWindow(ALERT_SMOOTH_POINTS);
+    const params = { ...config.foodModel, activityFactor: 1, isf: 0 };
+    let meals = [];
+
+    function remember(point) {
+      win.add(point);
+      if (point.carbs) meals.push({ tMs: point.tMs, grams: point.carbs });
+      meals = meals.filter(m => point.tMs - m.tMs <= FOOD_STRATEGY_MEMORY_MIN * 60000);
+    }
+
+    return {
+      remember,
+      push(point) {
+        remember(point);
+        const smoothBg = win.recent.reduce((a, p) => a + p.bg, 0) / win.recent.length;
+        const rise = meals.reduce((sum, m) => {
+          const input = { kind: "carbs", grams: m.grams, speed: "medium", atMin: (m.tMs - point.tMs) / 60000 };
+          return sum + inputDeltaAt(input, config.horizonMin, params) - inputDeltaAt(input, 0, params);
+        }, 0);
+        const projected = smoothBg + rise;
+        const risk = riskFor(smoothBg, projected, config);
+        return { risk, alert: gate.decide(point.tMs, risk, projected), projected };
+      }
+    };
+  }
+});
+
+/* ---------------------------
+   Backtest: strategy comparison (episode-level scoring)
+---------------------------- */
+
+/**
+ * Runs every strategy over the same series and scores hypo and hyper
+ * separately, per episode rather than per sample:
+ * - consecutive samples below low (above high) form one event
+ * - consecutive alerting samples of one kind form one alarm
+ * - an event is detected if an alarm of its kind overlaps the span from
+ *   horizonMin before its start to its end; lead time = minutes from the
+ *   alarm to the start of the event (negative = fired after it began)
+ * - an alarm that overlaps no event is a false alarm
+ * config holds the strategies' alert thresholds; target (default: the same)
+ * defines what counts as a real low/high. Events come from trueBg where a
+ * point has one (synthetic sensor artifacts), so alarms on a sensor-only
+ * compression low count as false.
+ * Input is a list of segments (unbroken series); each is scored on its own
+ * and the counts are pooled, so gaps between segments never join up.
+ */
+const BACKTEST_WARMUP = 10;
+const BACKTEST_MIN_POINTS = 20;
+
+// Runs of consecutive indexes where test(i) holds -> [{ startIdx, endIdx, startMs, endMs }]
+function indexRuns(series, from, to, test) {
+  const runs = [];
+  let run = null;
+  for (let i = from; i < to; i++) {
+    if (test(i)) {
+      if (!run) run = { startIdx: i, startMs: series[i].tMs };
+      run.endIdx = i;
+      run.endMs = series[i].tMs;
+    } else if (run) {
+      runs.push(run);
+      run = null;
+    }
+  }
+  if (run) runs.push(run);
+  return runs;
+}
+
+// Typical sample spacing (median, so one late sample doesn't skew it)
+function stepMinutes(series) {
+  const steps = [];
+  for (let i = 1; i < series.length; i++) steps.push((series[i].tMs - series[i - 1].tMs) / 60000);
+  return median(steps);
+}
+
+// Raw counts for one kind in one segment (see poolScores for the rates)
+function scoreEpisodes(series, events, alarms, config) {
+  const horizonMs = config.horizonMin * 60000;
+  const alarmEndMs = series[series.length - 1].tMs - horizonMs;
+  const overlaps = (a, e) => a.startMs <= e.endMs && a.endMs >= e.startMs - horizonMs;
+
+  const leads = [];
+  let detected = 0;
+  events.forEach(e => {
+    const first = alarms.find(a => overlaps(a, e));
+    if (!first) return;
+    detected++;
+    leads.push(Math.min(config.horizonMin, (e.startMs - first.startMs) / 60000));
+  });
+
+  // Alarms too close to the end have no full look-ahead to be judged on
+  const judged = alarms.filter(a => a.startMs <= alarmEndMs);
+  const falseAlarms = judged.filter(a => !events.some(e => overlaps(a, e))).length;
+
+  return { events: events.length, detected, alarms: judged.length, falseAlarms, leads };
+}
+
+function poolScores(parts, days) {
+  const sum = (key) => parts.reduce((a, p) => a + p[key], 0);
+  const events = sum("events");
+  const detected = sum("detected");
+  const alarms = sum("alarms");
+  const falseAlarms = sum("falseAlarms");
+  const leads = parts.flatMap(p => p.leads);
+  return {
+    events,
+    detected,
+    missed: events - detected,
+    alarms,
+    falseAlarms,
+    precision: alarms ? (alarms - falseAlarms) / alarms : 0,
+    recall: events ? detected / events : 0,
+    leadMin: leads.length ? mean(leads) : null,
+    leadMedianMin: leads.length ? median(leads) : null,
+    falseAlarmsPerDay: days > 0 ? falseAlarms / days : 0
+  };
+}
+
+// One segment -> { days, raw: per strategy { HYPO, HYPER } counts }
+function backtestSegment(series, config, strategies, target) {
+  const days = (series[series.length - 1].tMs - series[BACKTEST_WARMUP].tMs) / 86400000;
+  const episodes = {
+    HYPO: indexRuns(series, BACKTEST_WARMUP, series.length, i => (series[i].trueBg ?? series[i].bg) < target.low),
+    HYPER: indexRuns(series, BACKTEST_WARMUP, series.length, i => (series[i].trueBg ?? series[i].bg) > target.high)
+  };
+  // Already out of range when scoring starts: not a new event
+  ["HYPO", "HYPER"].forEach(kind => {
+    episodes[kind] = episodes[kind].filter(e => e.startIdx > BACKTEST_WARMUP);
+  });
+
+  const results = strategies.map(strategy => {
+    const engine = strategy.create(config);
+    series.slice(0, BACKTEST_WARMUP).forEach(p => engine.remember(p));
+
+    const fired = [];
+    for (let i = BACKTEST_WARMUP; i < series.length; i++) {
+      const out = engine.push(series[i]);
+      fired[i] = out.alert ? out.risk : "NONE";
+    }
+
+    const score = (kind) => scoreEpisodes(
+      series,
+      episodes[kind],
+      indexRuns(series, BACKTEST_WARMUP, series.length, i => fired[i] === kind),
+      config
+    );
+    return { HYPO: score("HYPO"), HYPER: score("HYPER") };
+  });
+
+  return { days, raw: results };
+}
+
+function backtest(segments, config, strategies = ALERT_STRATEGIES, target = config) {
+  const usable = (segments || []).filter(series => series && series.length >= BACKTEST_MIN_POINTS);
+  if (!usable.length) return null;
+
+  const runs = usable.map(series => backtestSegment(series, config, strategies, target));
+  const days = runs.reduce((a, r) => a + r.days, 0);
+
+  const results = strategies.map((strategy, i) => {
+    const hypo = poolScores(runs.map(r => r.raw[i].HYPO), days);
+    const hyper = poolScores(runs.map(r => r.raw[i].HYPER), days);
+    return {
+      id: strategy.id,
+      label: strategy.label,
+      color: strategy.color,
+      hypo,
+      hyper,
+      alarms: hypo.alarms + hyper.alarms,
+      alertsPerDay: days > 0 ? (hypo.alarms + hyper.alarms) / days : 0
+    };
+  });
+
+  return { days, segments: usable.length, stepMin: median(usable.map(stepMinutes)), config, target, results };
+}
+
+/**
+ * Parameter sweep for the ROC / precision-recall chart. The alert thresholds
+ * move by a margin (positive = alert earlier: low + margin, high - margin)
+ * while the target stays put; hypo and hyper are pooled per combination.
+ */
+const SWEEP_MARGINS = [-10, 0, 10, 20, 30];
+const SWEEP_HORIZONS = [15, 30, 45, 60];
+const SWEEP_COOLDOWNS = [0, 30, 60, 120];
+
+function sweepBacktest(segments, base, strategies = ALERT_STRATEGIES) {
+  const target = { low: base.low, high: base.high };
+  const byStrategy = strategies.map(s => ({ id: s.id, label: s.label, color: s.color, points: [] }));
+
+  for (const margin of SWEEP_MARGINS) {
+    for (const horizonMin of SWEEP_HORIZONS) {
+      for (const cooldownMin of SWEEP_COOLDOWNS) {
+        const config = { ...base, low: base.low + margin, high: base.high - margin, horizonMin, cooldownMin };
+        const run = backtest(segments, config, strategies, target);
+        if (!run) return null;
+        run.results.forEach((r, i) => {
+          const events = r.hypo.events + r.hyper.events;
+          const falseAlarms = r.hypo.falseAlarms + r.hyper.falseAlarms;
+          const recall = events ? (r.hypo.detected + r.hyper.detected) / events : 0;
+          const precision = r.alarms ? (r.alarms - falseAlarms) / r.alarms : 0;
+          byStrategy[i].points.push({
+            margin, horizonMin, cooldownMin, recall, precision,
+            falseAlarmsPerDay: run.days > 0 ? falseAlarms / run.days : 0,
+            f1: recall + precision ? (2 * recall * precision) / (recall + precision) : 0
+          });
+        });
+      }
+    }
+  }
+  return byStrategy;
+}
+
+/* ---------------------------
+   Backtest data: logged history -> evenly spaced segments
+---------------------------- */
+
+/**
+ * Logged readings are irregular (fingersticks, CGM imports every 5 or 15 min,
+ * sensor dropouts). For the backtest the history is cut wherever two readings
+ * are more than RESAMPLE_MAX_GAP_MIN apart, and each stretch is resampled onto
+ * an even grid at the typical interval (5–15 min) by linear interpolation.
+ * Meal events become carbs on the nearest grid point (for the food model).
+ * Stretches shorter than BACKTEST_MIN_POINTS samples can't be scored.
+ * Synthetic sets go through the same split (their dropouts are real gaps) on
+ * their own grid, with the gap limit widened to 1.5 samples.
+ */
+const RESAMPLE_MAX_GAP_MIN = 30;
+const RESAMPLE_MIN_STEP = 5;
+const RESAMPLE_MAX_STEP = 15;
+
+function historySegments(records, events = []) {
+  const points = records.map(r => ({ tMs: new Date(r.dtIso).getTime(), bg: r.value }));
+  const meals = events
+    .filter(e => e.type === "meal" && mealGrams(e) > 0)
+    .map(e => ({ tMs: new Date(e.dtIso).getTime(), grams: mealGrams(e) }));
+  return resampleSegments(points, meals);
+}
+
+function syntheticSegments(set) {
+  const meals = set.series.filter(p => p.carbs).map(p => ({ tMs: p.tMs, grams: p.carbs }));
+  return resampleSegments(set.series.map(({ carbs, ...p }) => p), meals, set.stepMin);
+}
+
+// points: { tMs, bg, trueBg? }; stepMin: fixed grid (null = typical interval)
+function resampleSegments(input, meals = [], fixedStepMin = null) {
+  const points = input.slice().sort((a, b) => a.tMs - b.tMs);
+  const maxGapMs = Math.max(RESAMPLE_MAX_GAP_MIN, (fixedStepMin || 0) * 1.5) * 60000;
+
+  // Split at long gaps (readings at the same instant keep the first)
+  const stretches = [];
+  let current = [];
+  points.forEach(p => {
+    const prev = current[current.length - 1];
+    if (prev && p.tMs === prev.tMs) return;
+    if (prev && p.tMs - prev.tMs > maxGapMs) {
+      stretches.push(current);
+      current = [];
+    }
+    current.push(p);
+  });
+  if (current.length) stretches.push(current);
+
+  const intervals = stretches.flatMap(st => st.slice(1).map((p, i) => (p.tMs - st[i].tMs) / 60000));
+  const stepMin = fixedStepMin || (intervals.length
+    ? clampNumber(Math.round(median(intervals) / 5) * 5, RESAMPLE_MIN_STEP, RESAMPLE_MAX_STEP)
+    : RESAMPLE_MIN_STEP);
+  const stepMs = stepMin * 60000;
+
+  const segments = [];
+  let usedReadings = 0;
+  let usedMs = 0;
+  stretches.forEach(st => {
+    const t0 = st[0].tMs;
+    const n = Math.floor((st[st.length - 1].tMs - t0) / stepMs) + 1;
+    if (n < BACKTEST_MIN_POINTS) return;
+
+    const series = [];
+    let j = 0;
+    for (let k = 0; k < n; k++) {
+      const t = t0 + k * stepMs;
+      while (j < st.length - 1 && st[j + 1].tMs < t) j++;
+      const a = st[j];
+      const b = st[Math.min(j + 1, st.length - 1)];
+      const f = b.tMs > a.tMs ? Math.min(1, (t - a.tMs) / (b.tMs - a.tMs)) : 0;
+      const lerp = (key) => (a[key] ?? a.bg) + ((b[key] ?? b.bg) - (a[key] ?? a.bg)) * f;
+      const point = { tMs: t, bg: lerp("bg") };
+      if (a.trueBg != null || b.trueBg != null) point.trueBg = lerp("trueBg");
+      series.push(point);
+    }
+
+    meals.forEach(m => {
+      const k = Math.round((m.tMs - t0) / stepMs);
+      if (k >= 0 && k < n) series[k].carbs = (series[k].carbs || 0) + m.grams;
+    });
+
+    segments.push(series);
+    usedReadings += st.length;
+    usedMs += (n - 1) * stepMs;
+  });
+
+  return {
+    segments,
+    stepMin,
+    coverage: {
+      readings: points.length,
+      usedReadings,
+      stretches: stretches.length,
+      spanMs: points.length > 1 ? points[points.length - 1].tMs - points[0].tMs : 0,
+      usedMs
+    }
+  };
+}
+
+/* ---------------------------
+   CSV parsing + import validation
+---------------------------- */
+
+// exportCSV columns; "source" was appended later, so older exports stop at "notes".
+// The value column is value_mgdl or value_mmol depending on the display unit.
+const EXPORT_COLUMNS = ["datetime_iso", "datetime_local", "value_mgdl", "context", "notes"];
+
+/**
+ * Minimal RFC 4180-style parser:
+ * - quoted fields may contain commas, newlines and doubled quotes ("")
+ * - lines starting with "#" before the header are returned as comments
+ */
+function parseCSV(text) {
+  const rows = [];
+  const comments = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let atLineStart = true;
+
+  const src = String(text || "").replace(/^\uFEFF/, ""); // strip BOM (Excel)
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+
+    if (inQuotes) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') inQuotes = false;
+      else field += c;
+      continue;
+    }
+
+    // Comment lines (only before the header row, like exportCSV writes them)
+    if (atLineStart && c === "#" && !rows.length) {
+      const end = src.indexOf("\n", i);
+      const stop = end === -1 ? src.length : end;
+      comments.push(src.slice(i + 1, stop).replace(/\r$/, "").trim());
+      i = stop;
+      continue;
+    }
+    atLineStart = false;
+
+    if (c === '"') inQuotes = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some(f => f.trim() !== "")) rows.push(row);
+      row = [];
+      field = "";
+      atLineStart = true;
+    } else field += c;
+  }
+
+  row.push(field);
+  if (row.some(f => f.trim() !== "")) rows.push(row);
+
+  return { comments, rows };
+}
+
+// "# key=value" header lines from exportCSV
+function parseCommentMeta(comments) {
+  const meta = {};
+  comments.forEach(line => {
+    const eq = line.indexOf("=");
+    if (eq === -1) return;
+    meta[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+  });
+
+  const out = {};
+  if (meta.patient && meta.patient !== "N/A") out.patient = meta.patient;
+
+  // Targets come back in mg/dL whichever unit the file was written in
+  const mmol = meta.target_range_mmol != null;
+  const range = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec((mmol ? meta.target_range_mmol : meta.target_range_mgdl) || "");
+  if (range) {
+    const factor = mmol ? MGDL_PER_MMOL : 1;
+    out.targetLow = Math.round(Number(range[1]) * factor);
+    out.targetHigh = Math.round(Number(range[2]) * factor);
+  }
+  return out;
+}
+
+function isExportHeader(header) {
+  return EXPORT_COLUMNS.every((name, i) => {
+    const h = (header[i] || "").trim().toLowerCase();
+    return h === name || (name === "value_mgdl" && h === "value_mmol");
+  });
+}
+
+/**
+ * Unit of a CSV's value column: from the header name when it says so,
+ * otherwise by magnitude (mmol/L readings are all below ~35).
+ */
+function guessImportUnit(header, rows, valueCol) {
+  const name = String(header[valueCol] || "").toLowerCase();
+  if (name.includes("mmol")) return "mmol";
+  if (name.includes("mg")) return "mgdl";
+
+  const values = rows.slice(0, 200).map(r => Number(String(r[valueCol] || "").replace(",", "."))).filter(Number.isFinite);
+  return values.length && values.every(v => v > 0 && v < 35) ? "mmol" : "mgdl";
+}
+
+/**
+ * Column mapping: exact for our own export, best-effort guess for generic CSVs.
+ * Values are column indexes, or -1 when unmapped.
+ */
+function guessColumnMapping(header) {
+  if (isExportHeader(header)) {
+    const source = (header[5] || "").trim().toLowerCase() === "source" ? 5 : -1;
+    return { date: 0, value: 2, context: 3, notes: 4, source };
+  }
+
+  const names = header.map(h => h.trim().toLowerCase());
+  const find = (re) => names.findIndex(n => re.test(n));
+
+  return {
+    date: find(/date|time|timestamp/),
+    value: find(/glucose|value|reading|bg|mg\/?dl/),
+    context: find(/context|tag|meal|event/),
+    notes: find(/note|comment|memo/),
+    source: -1
+  };
+}
+
+function parseDateLoose(s) {
+  const str = String(s || "").trim();
+  if (!str) return null;
+  // "YYYY-MM-DD HH:mm" is not reliably parsed as local time without the "T"
+  const normalized = /^\d{4}-\d{2}-\d{2} \d{1,2}:\d{2}/.test(str) ? str.replace(" ", "T") : str;
+  const t = Date.parse(normalized);
+  return Number.isNaN(t) ? null : new Date(t);
+}
+
+// Shared range/date checks for every import path (mg/dL, Date or null)
+function readingErrors(value, date) {
+  const errors = [];
+  if (value == null || Number.isNaN(value)) errors.push("value is not a number");
+  else if (value < 20 || value > 600) errors.push("value outside 20–600 mg/dL (1.1–33.3 mmol/L)");
+  if (!date || Number.isNaN(date.getTime())) errors.push("bad date");
+  return errors;
+}
+
+function validateImportRow(cells, mapping, contexts, unit = "mgdl") {
+  const cell = (idx) => (idx >= 0 ? String(cells[idx] ?? "").trim() : "");
+
+  const rawValue = cell(mapping.value);
+  const factor = unit === "mmol" ? MGDL_PER_MMOL : 1;
+  const value = rawValue ? Number(unit === "mmol" ? rawValue.replace(",", ".") : rawValue) * factor : null;
+  const date = parseDateLoose(cell(mapping.date));
+  const errors = readingErrors(value, date);
+
+  let context = cell(mapping.context) || "Other";
+  const known = contexts.find(c => c.toLowerCase() === context.toLowerCase());
+  if (known) context = known;
+  else errors.push(`unknown context "${context}"`);
+
+  const notes = cell(mapping.notes);
+  const source = cell(mapping.source ?? -1) || "csv";
+
+  if (errors.length) return { ok: false, errors, cells };
+  return { ok: true, record: { value: Math.round(value), context, dtIso: date.toISOString(), notes, source } };
+}
+
+// Same reading = same timestamp (to the minute) + same value
+function recordKey(record) {
+  const minute = Math.floor(new Date(record.dtIso).getTime() / 60000);
+  return `${minute}|${record.value}`;
+}
+
+/**
+ * Classifies every validated row ({ ok, record } or { ok:false, errors, cells }) for the preview.
+ * Rows are "ok" (new), "dup" (matches an existing record or an earlier row) or "error".
+ */
+function buildImportPlan(candidates, existing) {
+  const existingByKey = new Map(existing.map(r => [recordKey(r), r]));
+  const seen = new Set();
+
+  return candidates.map((v, i) => {
+    if (!v.ok) return { row: i + 1, status: "error", errors: v.errors, cells: v.cells || [] };
+
+    const key = recordKey(v.record);
+    if (seen.has(key)) return { row: i + 1, status: "dup", record: v.record, match: null };
+    seen.add(key);
+
+    const match = existingByKey.get(key) || null;
+    return { row: i + 1, status: match ? "dup" : "ok", record: v.record, match };
+  });
+}
+
+// Merge keeps the existing id/timestamp/value and fills in context + notes.
+function mergeImported(existing, incoming) {
+  const context = (existing.context === "Other" && incoming.context !== "Other") ? incoming.context : existing.context;
+  const a = String(existing.notes || "").trim();
+  const b = String(incoming.notes || "").trim();
+  const notes = (!b || a.includes(b)) ? a : (a ? `${a}; ${b}` : b);
+  return { ...existing, context, notes };
+}
+
+/* ---------------------------
+   CGM vendor importers
+---------------------------- */
+
+// Readings from vendor files are validated like CSV rows and tagged with a source
+function vendorReading(date, valueMgdl, source, cells, notes = "") {
+  const value = valueMgdl == null ? null : Math.round(valueMgdl);
+  const errors = readingErrors(value, date);
+  if (errors.length) return { ok: false, errors, cells };
+  return { ok: true, record: { value, context: "Other", dtIso: date.toISOString(), notes, source } };
+}
+
+function columnIndex(header, re) {
+  return header.findIndex(h => re.test(String(h).trim()));
+}
+
+/**
+ * Dexcom Clarity CSV export.
+ * - one row per event; glucose readings are Event Type "EGV"
+ * - "Low"/"High" are out-of-sensor-range markers (Dexcom range 40–400)
+ * - mmol/L exports from decimal-comma locales write "5,5"
+ * - timestamps are device-local "YYYY-MM-DDThh:mm:ss"
+ */
+function parseDexcomClarity(rows) {
+  const header = rows[0];
+  const colTime = columnIndex(header, /^Timestamp/i);
+  const colType = columnIndex(header, /^Event Type$/i);
+  const colMgdl = columnIndex(header, /^Glucose Value \(mg\/dL\)/i);
+  const colMmol = columnIndex(header, /^Glucose Value \(mmol\/L\)/i);
+
+  return rows.slice(1)
+    .filter(cells => String(cells[colType] || "").trim().toUpperCase() === "EGV")
+    .map(cells => {
+      const date = parseDateLoose(cells[colTime]);
+      const raw = String(cells[colMgdl >= 0 ? colMgdl : colMmol] || "").trim();
+
+      let value;
+      if (/^low$/i.test(raw)) value = 40;
+      else if (/^high$/i.test(raw)) value = 400;
+      else if (raw === "") value = null;
+      else value = colMgdl >= 0 ? Number(raw) : Number(raw.replace(",", ".")) * MGDL_PER_MMOL;
+
+      return vendorReading(date, value, "dexcom", cells);
+    });
+}
+
+// LibreView dates are "MM-DD-YYYY HH:MM" or "DD-MM-YYYY HH:MM" depending on account locale
+function libreDateOrder(stamps) {
+  for (const s of stamps) {
+    const m = /^(\d{1,2})[-/.](\d{1,2})[-/.]\d{4}/.exec(String(s).trim());
+    if (!m) continue;
+    if (Number(m[1]) > 12) return "DMY";
+    if (Number(m[2]) > 12) return "MDY";
+  }
+  return "MDY";
+}
+
+function parseLibreDate(s, order) {
+  const m = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})[ T](\d{1,2}):(\d{2})/.exec(String(s || "").trim());
+  if (!m) return parseDateLoose(s);
+  const [a, b] = [Number(m[1]), Number(m[2])];
+  const month = order === "DMY" ? b : a;
+  const day = order === "DMY" ? a : b;
+  return new Date(Number(m[3]), month - 1, day, Number(m[4]), Number(m[5]));
+}
+
+/**
+ * LibreView CSV export.
+ * - first line is a "Glucose Data,Generated on,..." banner, then the header row
+ * - Record Type 0 = historic (15-min), 1 = scan, 2 = strip (fingerstick)
+ * - glucose columns are either "... mg/dL" or "... mmol/L"
+ */
+function parseLibreView(rows) {
+  const headerIdx = rows.findIndex(r => columnIndex(r, /^Device Timestamp$/i) >= 0);
+  const header = rows[headerIdx];
+  const colTime = columnIndex(header, /^Device Timestamp$/i);
+  const colType = columnIndex(header, /^Record Type$/i);
+  const mmol = columnIndex(header, /^Historic Glucose mmol\/L$/i) >= 0;
+  const unit = mmol ? "mmol/L" : "mg/dL";
+  const cols = {
+    0: columnIndex(header, new RegExp(`^Historic Glucose ${unit}$`, "i")),
+    1: columnIndex(header, new RegExp(`^Scan Glucose ${unit}$`, "i")),
+    2: columnIndex(header, new RegExp(`^Strip Glucose ${unit}$`, "i"))
+  };
+  const notesFor = { 0: "", 1: "scan", 2: "fingerstick" };
+
+  const body = rows.slice(headerIdx + 1);
+  const order = libreDateOrder(body.map(cells => cells[colTime]));
+
+  return body
+    .filter(cells => {
+      const col = cols[String(cells[colType] || "").trim()];
+      return col != null && col >= 0;
+    })
+    .map(cells => {
+      const type = String(cells[colType]).trim();
+      const raw = String(cells[cols[type]] || "").trim();
+      const date = parseLibreDate(cells[colTime], order);
+
+      let value;
+      if (/^lo$/i.test(raw)) value = 40;
+      else if (/^hi$/i.test(raw)) value = 500;
+      else if (raw === "") value = null;
+      else value = mmol ? Number(raw.replace(",", ".")) * MGDL_PER_MMOL : Number(raw);
+
+      return vendorReading(date, value, "libreview", cells, notesFor[type]);
+    });
+}
+
+/**
+ * Nightscout entries.json (array of entries).
+ * - "sgv" entries are CGM values, "mbg" entries are meter values; both are mg/dL
+ * - "date" is epoch ms; "dateString" is the fallback
+ */
+function parseNightscoutEntries(json) {
+  const entries = Array.isArray(json) ? json : (Array.isArray(json?.entries) ? json.entries : [json]);
+
+  return entries
+    .filter(e => e && (e.type === "sgv" || e.type === "mbg" || (e.type == null && e.sgv != null)))
+    .map(e => {
+      const date = Number.isFinite(e.date) ? new Date(e.date) : parseDateLoose(e.dateString);
+      const value = e.type === "mbg" ? Number(e.mbg) : Number(e.sgv);
+      const notes = e.type === "mbg" ? "fingerstick" : "";
+      return vendorReading(date, value, "nightscout", [JSON.stringify(e)], notes);
+    });
+}
+
+/**
+ * Sniffs the file and returns either a generic CSV (needs column mapping) or
+ * vendor readings that are already validated.
+ */
+function parseImportFile(text) {
+  const trimmed = String(text || "").replace(/^\uFEFF/, "").trim();
+
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    try {
+      return { kind: "nightscout", label: "Nightscout entries.json", results: parseNightscoutEntries(JSON.parse(trimmed)) };
+    } catch {
+      return { kind: "invalid", label: "Unreadable JSON" };
+    }
+  }
+
+  const parsed = parseCSV(trimmed);
+  const rows = parsed.rows;
+  if (!rows.length) return { kind: "invalid", label: "Empty file" };
+
+  const head = rows.slice(0, 5);
+  if (columnIndex(rows[0], /^Event Type$/i) >= 0 && columnIndex(rows[0], /^Glucose Value/i) >= 0) {
+    return { kind: "dexcom", label: "Dexcom Clarity CSV", results: parseDexcomClarity(rows) };
+  }
+  if (head.some(r => columnIndex(r, /^Device Timestamp$/i) >= 0 && columnIndex(r, /^Record Type$/i) >= 0)) {
+    return { kind: "libreview", label: "LibreView CSV", results: parseLibreView(rows) };
+  }
+
+  const header = rows[0];
+  const isExport = isExportHeader(header);
+
+  // Our own export carries an event block after the readings
+  const evIdx = isExport ? rows.findIndex(r => String(r[0] || "").trim() === EVENT_EXPORT_COLUMNS[0]) : -1;
+
+  return {
+    kind: "csv",
+    label: isExport ? "Glucose Log export" : "generic CSV — check the column mapping",
+    header,
+    rows: evIdx === -1 ? rows.slice(1) : rows.slice(1, evIdx),
+    events: evIdx === -1 ? [] : rows.slice(evIdx + 1).map(eventFromCsvRow),
+    fileMeta: parseCommentMeta(parsed.comments)
+  };
+}
+
+/* ---------------------------
+   UI bindings
+---------------------------- */
+
+const ui = {
+  profileSelect: el("profileSelect"),
+  profileAddBtn: el("profileAddBtn"),
+  profileRenameBtn: el("profileRenameBtn"),
+  profileDeleteBtn: el("profileDeleteBtn"),
+  unitPref: el("unitPref"),
+  installBtn: el("installBtn"),
+  lockNowBtn: el("lockNowBtn"),
+  lockScreen: el("lockScreen"),
+  unlockInput: el("unlockInput"),
+  unlockBtn: el("unlockBtn"),
+  unlockMsg: el("unlockMsg"),
+  forgotLockBtn: el("forgotLockBtn"),
+  updateBanner: el("updateBanner"),
+  updateReloadBtn: el("updateReloadBtn"),
+  glucose: el("glucose"),
+  context: el("context"),
+  dt: el("dt"),
+  notes: el("notes"),
+  editingId: el("editingId"),
+
+  saveBtn: el("saveBtn"),
+  cancelEditBtn: el("cancelEditBtn"),
+  exportBtn: el("exportBtn"),
+  backupBtn: el("backupBtn"),
+  restoreBtn: el("restoreBtn"),
+  restoreMode: el("restoreMode"),
+  backupFile: el("backupFile"),
+  lockToggleBtn: el("lockToggleBtn"),
+  lockChangeBtn: el("lockChangeBtn"),
+  autoLockMin: el("autoLockMin"),
+  reportBtn: el("reportBtn"),
+  clearBtn: el("clearBtn"),
+
+  windowDays: el("windowDays"),
+  targetLow: el("targetLow"),
+  targetHigh: el("targetHigh"),
+  contextFilter: el("contextFilter"),
+  sortOrder: el("sortOrder"),
+
+  modePill: el("modePill"),
+  storagePill: el("storagePill"),
+  undoPill: el("undoPill"),
+  undoBtn: el("undoBtn"),
+  redoBtn: el("redoBtn"),
+  journalDetails: el("journalDetails"),
+  journalText: el("journalText"),
+  journalTbody: el("journalTbody"),
+  journalPrevBtn: el("journalPrevBtn"),
+  journalPageText: el("journalPageText"),
+  journalNextBtn: el("journalNextBtn"),
+  historySearch: el("historySearch"),
+  historySelText: el("historySelText"),
+  historySelectAllBtn: el("historySelectAllBtn"),
+  historyClearSelBtn: el("historyClearSelBtn"),
+  historyRetagContext: el("historyRetagContext"),
+  historyRetagBtn: el("historyRetagBtn"),
+  historyExportBtn: el("historyExportBtn"),
+  historyDeleteBtn: el("historyDeleteBtn"),
+  historySelectPage: el("historySelectPage"),
+  historyPrevBtn: el("historyPrevBtn"),
+  historyNextBtn: el("historyNextBtn"),
+  historyPageText: el("historyPageText"),
+
+  kpiTir: el("kpiTir"),
+  kpiTirSub: el("kpiTirSub"),
+  kpiAvg: el("kpiAvg"),
+  kpiAvgSub: el("kpiAvgSub"),
+  kpiStd: el("kpiStd"),
+  kpiStdSub: el("kpiStdSub"),
+  kpiMedian: el("kpiMedian"),
+  kpiMedianSub: el("kpiMedianSub"),
+  kpiFastingAvg: el("kpiFastingAvg"),
+  kpiFastingSub: el("kpiFastingSub"),
+  kpiEvents: el("kpiEvents"),
+  kpiEventsSub: el("kpiEventsSub"),
+  kpiGmi: el("kpiGmi"),
+  kpiGmiSub: el("kpiGmiSub"),
+  kpiCv: el("kpiCv"),
+  kpiCvSub: el("kpiCvSub"),
+  kpiTbr: el("kpiTbr"),
+  kpiTbrSub: el("kpiTbrSub"),
+  kpiTar: el("kpiTar"),
+  kpiTarSub: el("kpiTarSub"),
+  kpiRisk: el("kpiRisk"),
+  kpiRiskSub: el("kpiRiskSub"),
+  kpiMage: el("kpiMage"),
+  kpiMageSub: el("kpiMageSub"),
+
+  mainChart: el("chart"),
+  chartTip: el("chartTip"),
+  chartResetBtn: el("chartResetBtn"),
+  agpChart: el("agpChart"),
+  tirBar: el("tirBar"),
+  dailyStrip: el("dailyStrip"),
+  agpText: el("agpText"),
+  insightsList: el("insightsList"),
+  predChart: el("predChart"),
+
+  // Prediction panel
+  predCurrent: el("predCurrent"),
+  predSugar: el("predSugar"),
+  predHorizon: el("predHorizon"),
+  mgdlPerGram: el("mgdlPerGram"),
+  absorbMin: el("absorbMin"),
+  calibrateBtn: el("calibrateBtn"),
+  applyCalibrationBtn: el("applyCalibrationBtn"),
+  calibText: el("calibText"),
+  activityFactor: el("activityFactor"),
+  predictBtn: el("predictBtn"),
+  useLastBtn: el("useLastBtn"),
+  predText: el("predText"),
+  predIsf: el("predIsf"),
+  predInKind: el("predInKind"),
+  predInAmount: el("predInAmount"),
+  predInAt: el("predInAt"),
+  predInOption: el("predInOption"),
+  predAddInputBtn: el("predAddInputBtn"),
+  predFromLogBtn: el("predFromLogBtn"),
+  predClearInputsBtn: el("predClearInputsBtn"),
+  predInputList: el("predInputList"),
+  accText: el("accText"),
+  accContextTbody: el("accContextTbody"),
+  accWeekTbody: el("accWeekTbody"),
+
+  // Synthetic / backtest
+  synDays: el("synDays"),
+  synPoints: el("synPoints"),
+  synPreset: el("synPreset"),
+  synSeed: el("synSeed"),
+  synTruth: el("synTruth"),
+  synParams: el("synParams"),
+  synExportBtn: el("synExportBtn"),
+  synLoadBtn: el("synLoadBtn"),
+  synFile: el("synFile"),
+  btHorizon: el("btHorizon"),
+  genTestBtn: el("genTestBtn"),
+  btSource: el("btSource"),
+  runBacktestBtn: el("runBacktestBtn"),
+  sweepBtn: el("sweepBtn"),
+  backtestOut: el("backtestOut"),
+  sweepChart: el("sweepChart"),
+
+  // CSV import
+  importBtn: el("importBtn"),
+  importFile: el("importFile"),
+  importCard: el("importCard"),
+  importPill: el("importPill"),
+  importText: el("importText"),
+  importColDate: el("importColDate"),
+  importColValue: el("importColValue"),
+  importColContext: el("importColContext"),
+  importColNotes: el("importColNotes"),
+  importDupMode: el("importDupMode"),
+  importApplyMeta: el("importApplyMeta"),
+  importMappingRow: el("importMappingRow"),
+  importUnit: el("importUnit"),
+  importTbody: el("importTbody"),
+  importConfirmBtn: el("importConfirmBtn"),
+  importCancelBtn: el("importCancelBtn"),
+
+  // Event log
+  evType: el("evType"),
+  evDt: el("evDt"),
+  evCarbs: el("evCarbs"),
+  evSugar: el("evSugar"),
+  evDesc: el("evDesc"),
+  evInsulinType: el("evInsulinType"),
+  evUnits: el("evUnits"),
+  evDuration: el("evDuration"),
+  evIntensity: el("evIntensity"),
+  evMedName: el("evMedName"),
+  evMedDose: el("evMedDose"),
+  evNotes: el("evNotes"),
+  evEditingId: el("evEditingId"),
+  evSaveBtn: el("evSaveBtn"),
+  evCancelBtn: el("evCancelBtn"),
+  evModePill: el("evModePill"),
+
+  // Live alerts
+  alertBanner: el("alertBanner"),
+  alertBannerText: el("alertBannerText"),
+  alertDismissBtn: el("alertDismissBtn"),
+  alertEnabled: el("alertEnabled"),
+  alertLow: el("alertLow"),
+  alertHigh: el("alertHigh"),
+  alertHorizon: el("alertHorizon"),
+  alertCooldown: el("alertCooldown"),
+  alertNotify: el("alertNotify"),
+  alertLogText: el("alertLogText"),
+  alertTbody: el("alertTbody"),
+
+  tbody: el("tbody"),
+};
+
+let syntheticSet = null; // generateSyntheticSet / loaded export
+let pendingImport = null;
+let lastCalibration = null; // fitFoodModel result waiting to be applied
+let predInputs = []; // timed inputs for predictStackedCurve (besides the Sugar field)
+let lastSavedPrediction = null; // { id, at } for PREDICTION_MERGE_MIN
+let accuracyCache = { key: null, report: null }; // loadAccuracyReport
+let alertOutcomeCache = { key: null, outcomes: [], until: 0 }; // loadAlertOutcomes
+
+/* ---------------------------
+   Preferences + render pipeline
+---------------------------- */
+
+function getPrefs() {
+  // Target inputs are in the display unit; prefs.low/high are always mg/dL
+  const low = clampNumber(Math.round(readBgInput(ui.targetLow) ?? NaN), 40, 300) ?? 70;
+  const high = clampNumber(Math.round(readBgInput(ui.targetHigh) ?? NaN), 40, 400) ?? 180;
+  const days = Number(ui.windowDays.value);
+  const ctxFilter = ui.contextFilter.value;
+  const sortOrder = ui.sortOrder.value;
+  const patient = activeProfile().name;
+
+  const fixedLow = Math.min(low, high - 1);
+  const fixedHigh = Math.max(high, fixedLow + 1);
+
+  return { low: fixedLow, high: fixedHigh, days, ctxFilter, sortOrder, patient, unit: displayUnit };
+}
+
+/**
+ * Switches the display unit and converts every glucose-valued input in place.
+ * Inputs opt in with data-bg (values) or data-bg-rate (per-gram rates);
+ * data-mgdl-min/max hold their limits in mg/dL.
+ */
+function applyUnit(unit) {
+  const next = UNITS[unit] ? unit : "mgdl";
+  if (next === displayUnit) return;
+
+  const inputs = document.querySelectorAll("[data-bg], [data-bg-rate]");
+  const canonical = Array.from(inputs).map(readBgInput);
+
+  displayUnit = next;
+  ui.unitPref.value = next;
+
+  inputs.forEach((input, i) => {
+    const isRate = input.hasAttribute("data-bg-rate");
+    if (!isRate) {
+      input.step = UNITS[next].step;
+      ["min", "max"].forEach(k => {
+        const mgdl = input.dataset[`mgdl${k === "min" ? "Min" : "Max"}`];
+        if (mgdl != null) input[k] = toInputValue(Number(mgdl));
+      });
+    } else {
+      input.step = UNITS[next].rateStep;
+    }
+    if (canonical[i] == null || Number.isNaN(canonical[i])) return;
+    writeBgInput(input, canonical[i]);
+  });
+
+  document.querySelectorAll("[data-unit-label]").forEach(node => { node.textContent = unitLabel(); });
+  ui.glucose.placeholder = next === "mmol" ? "e.g., 6.2" : "e.g., 112";
+  ui.predCurrent.placeholder = unitLabel();
+}
+
+// Window + context filter, served by the repository indexes
+function queryFiltered(prefs) {
+  return repoQueryRange(windowStartIso(prefs.days), null, prefs.ctxFilter);
+}
+
+function renderKPIs(summary, prefs) {
+  if (!summary.total) {
+    ui.kpiTir.textContent = "—";
+    ui.kpiTirSub.textContent = "No readings in selected window";
+    ui.kpiAvg.textContent = "—";
+    ui.kpiAvgSub.textContent = "—";
+    ui.kpiStd.textContent = "—";
+    ui.kpiStdSub.textContent = "—";
+    ui.kpiMedian.textContent = "—";
+    ui.kpiMedianSub.textContent = "—";
+    ui.kpiFastingAvg.textContent = "—";
+    ui.kpiFastingSub.textContent = "—";
+    ui.kpiEvents.textContent = "—";
+    ui.kpiEventsSub.textContent = `Target ${fmtBg(prefs.low)}–${fmtBg(prefs.high)}`;
+    ["kpiGmi", "kpiCv", "kpiTbr", "kpiTar", "kpiRisk", "kpiMage"].forEach(id => {
+      ui[id].textContent = "—";
+      ui[`${id}Sub`].textContent = "—";
+    });
+    return;
+  }
+
+  ui.kpiTir.textContent = `${summary.tirPct}%`;
+  ui.kpiTirSub.textContent = `${summary.inRange}/${summary.total} in range • ${summary.lowCount} low • ${summary.highCount} high`;
+
+  ui.kpiAvg.textContent = summary.avg ? fmtBg(summary.avg, 1) : "—";
+  ui.kpiAvgSub.textContent = `${unitLabel()} • ${prefs.days >= 99999 ? "all-time" : `${prefs.days}d`}`;
+
+  ui.kpiStd.textContent = summary.sd ? fmtBg(summary.sd, 1) : "—";
+  ui.kpiStdSub.textContent = `std dev (${unitLabel()})`;
+
+  ui.kpiMedian.textContent = summary.med ? fmtBg(summary.med, 1) : "—";
+  ui.kpiMedianSub.textContent = "median";
+
+  ui.kpiFastingAvg.textContent = summary.fastingAvg ? fmtBg(summary.fastingAvg, 1) : "—";
+  ui.kpiFastingSub.textContent = summary.fastingCount ? `${summary.fastingCount} fasting` : "No fasting readings";
+
+  ui.kpiEvents.textContent = `${summary.lowCount + summary.highCount}`;
+  ui.kpiEventsSub.textContent = `Target ${fmtBg(prefs.low)}–${fmtBg(prefs.high)}`;
+
+  // Consensus metrics (time-weighted, fixed thresholds)
+  const c = summary.consensus;
+  const pct = (x) => `${x.toFixed(1)}%`;
+  const r = CONSENSUS_RANGES;
+
+  ui.kpiGmi.textContent = `${c.gmi.toFixed(1)}%`;
+  ui.kpiGmiSub.textContent = c.hoursCovered >= 14 * 24 * 0.7
+    ? "est. A1c from mean"
+    : `est. A1c • only ${Math.round(c.hoursCovered / 24)}d of data (14d advised)`;
+
+  ui.kpiCv.textContent = c.cvPct == null ? "—" : `${c.cvPct.toFixed(1)}%`;
+  ui.kpiCvSub.textContent = c.cvPct == null ? "—" : (c.cvPct <= CV_STABLE_PCT ? `stable (≤${CV_STABLE_PCT}%)` : `unstable (>${CV_STABLE_PCT}%)`);
+
+  ui.kpiTbr.textContent = pct(c.tbr70Pct);
+  ui.kpiTbrSub.textContent = `<${fmtBg(r.low)}: ${pct(c.tbr70Pct)} • <${fmtBg(r.veryLow)}: ${pct(c.tbr54Pct)}`;
+
+  ui.kpiTar.textContent = pct(c.tar180Pct);
+  ui.kpiTarSub.textContent = `>${fmtBg(r.high)}: ${pct(c.tar180Pct)} • >${fmtBg(r.veryHigh)}: ${pct(c.tar250Pct)}`;
+
+  ui.kpiRisk.textContent = `${c.lbgi.toFixed(1)} / ${c.hbgi.toFixed(1)}`;
+  ui.kpiRiskSub.textContent = "LBGI / HBGI";
+
+  ui.kpiMage.textContent = c.mage == null ? "—" : fmtBg(c.mage, 1);
+  ui.kpiMageSub.textContent = c.mage == null ? "needs swings > 1 SD" : `MAGE (${unitLabel()})`;
+}
+
+const SOURCE_LABELS = {
+  manual: "Manual",
+  csv: "CSV import",
+  dexcom: "Dexcom",
+  libreview: "LibreView",
+  nightscout: "Nightscout"
+};
+
+function sourceLabel(source) {
+  return SOURCE_LABELS[source || "manual"] || String(source);
+}
+
+function sourceTag(r) {
+  if (!r.source || r.source === "manual") return "";
+  return ` <span class="muted">· ${escapeHtml(sourceLabel(r.source))}</span>`;
+}
+
+// rows: one page of historyRows() output
+function renderTable(rows, prefs) {
+  ui.tbody.innerHTML = "";
+
+  rows.forEach(({ key, kind, item: r }) => {
+    const checkbox = `<td><input type="checkbox" data-select="${key}" aria-label="Select row"${historyState.selected.has(key) ? " checked" : ""} /></td>`;
+    if (kind === "event") {
+      ui.tbody.appendChild(eventRow(r, checkbox));
+      return;
+    }
+
+    const st = statusFor(r.value, prefs.low, prefs.high);
+
+    const tr = document.createElement("tr");
+    tr.className = "clickRow";
+    tr.dataset.editId = r.id;
+
+    tr.innerHTML = `
+      ${checkbox}
+      <td>${escapeHtml(formatLocal(r.dtIso))}</td>
+      <td><strong>${fmtBg(r.value)}</strong> <span class="muted">${unitLabel()}</span></td>
+      <td><span class="badge ${st.cls}">${st.label}</span></td>
+      <td>${escapeHtml(r.context)}${sourceTag(r)}</td>
+      <td class="muted">${escapeHtml(r.notes)}</td>
+      <td><button class="btn" data-del="${r.id}" type="button">Delete</button></td>
+    `;
+
+    ui.tbody.appendChild(tr);
+  });
+}
+
+function eventRow(e, checkbox) {
+  const tr = document.createElement("tr");
+  tr.className = "clickRow";
+  tr.dataset.editEventId = e.id;
+
+  tr.innerHTML = `
+    ${checkbox}
+    <td>${escapeHtml(formatLocal(e.dtIso))}</td>
+    <td><strong>${escapeHtml(eventSummary(e))}</strong></td>
+    <td><span class="badge badge--event">${escapeHtml((EVENT_TYPES[e.type]?.label || e.type).toUpperCase())}</span></td>
+    <td class="muted">Event</td>
+    <td class="muted">${escapeHtml(e.notes)}</td>
+    <td><button class="btn" data-del-event="${e.id}" type="button">Delete</button></td>
+  `;
+  return tr;
+}
+
+/* ---------------------------
+   History table (filters + search, paging, bulk actions)
+---------------------------- */
+
+const HISTORY_PAGE_SIZE = 100; // rows in the DOM at once, so long CGM histories stay fast
+
+/**
+ * The table shows the same window + context filter as the KPIs and chart
+ * (events only under "All contexts"), narrowed by the notes search.
+ * Selection keys are "r:<id>" (readings) and "e:<id>" (events).
+ */
+const historyState = { records: [], events: [], prefs: null, key: "", rows: [], page: 0, selected: new Set() };
+
+function historyRows() {
+  const { records, events, prefs } = historyState;
+  const terms = ui.historySearch.value.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = (text) => terms.every(t => text.toLowerCase().includes(t));
+
+  // Readings and events interleaved by time, in the chosen sort order
+  const dir = prefs.sortOrder === "ASC" ? 1 : -1;
+  return [
+    ...records.filter(r => matches(String(r.notes || ""))).map(r => ({ key: `r:${r.id}`, kind: "reading", item: r })),
+    ...events.filter(e => matches(`${e.notes || ""} ${eventSummary(e)}`)).map(e => ({ key: `e:${e.id}`, kind: "event", item: e }))
+  ].sort((a, b) => byDtAsc(a.item, b.item) * dir);
+}
+
+function renderHistory() {
+  if (!historyState.prefs) return;
+  const rows = historyRows();
+  historyState.rows = rows;
+
+  // The selection only keeps rows that still match
+  const keys = new Set(rows.map(r => r.key));
+  historyState.selected.forEach(k => { if (!keys.has(k)) historyState.selected.delete(k); });
+
+  const pages = Math.max(1, Math.ceil(rows.length / HISTORY_PAGE_SIZE));
+  historyState.page = Math.min(historyState.page, pages - 1);
+  const start = historyState.page * HISTORY_PAGE_SIZE;
+  const pageRows = rows.slice(start, start + HISTORY_PAGE_SIZE);
+  renderTable(pageRows, historyState.prefs);
+
+  ui.historyPageText.textContent = rows.length
+    ? `Rows ${start + 1}–${start + pageRows.length} of ${rows.length} • page ${historyState.page + 1} of ${pages}`
+    : (ui.historySearch.value.trim() ? "No rows match the search." : "No rows in the selected window.");
+  ui.historyPrevBtn.disabled = historyState.page === 0;
+  ui.historyNextBtn.disabled = historyState.page >= pages - 1;
+  renderSelectionBar(pageRows);
+}
+
+function renderSelectionBar(pageRows) {
+  const { selected, rows } = historyState;
+  const { records } = selectedHistoryItems();
+  ui.historySelText.textContent = selected.size ? `${selected.size} selected` : "None selected";
+  [ui.historyDeleteBtn, ui.historyExportBtn, ui.historyClearSelBtn].forEach(btn => { btn.disabled = !selected.size; });
+  ui.historyRetagBtn.disabled = !records.length;
+  ui.historySelectAllBtn.textContent = `Select all ${rows.length} matching`;
+  ui.historySelectAllBtn.disabled = !rows.length || selected.size === rows.length;
+  ui.historySelectPage.checked = pageRows.length > 0 && pageRows.every(r => selected.has(r.key));
+}
+
+function selectedHistoryItems() {
+  const picked = historyState.rows.filter(r => historyState.selected.has(r.key));
+  return {
+    records: picked.filter(r => r.kind === "reading").map(r => r.item).sort(byDtAsc),
+    events: picked.filter(r => r.kind === "event").map(r => r.item).sort(byDtAsc)
+  };
+}
+
+async function bulkDelete() {
+  const { records, events } = selectedHistoryItems();
+  const n = records.length + events.length;
+  if (!n || !confirm(`Delete ${n} selected rows? Undo brings them all back.`)) return;
+
+  // Journal first (like clearAll): if the undo entry can't be stored, nothing is deleted
+  try {
+    await journalRecord("delete", [
+      ...records.map(before => ({ storeName: RECORD_STORE, before, after: null })),
+      ...events.map(before => ({ storeName: EVENT_STORE, before, after: null }))
+    ]);
+    await repoDeleteMany(records.map(r => r.id));
+    await repoDeleteMany(events.map(e => e.id), EVENT_STORE);
+  } catch (err) {
+    alert(`Could not delete the selected rows: ${err.message}`);
+    render();
+    return;
+  }
+  if (records.some(r => r.id === ui.editingId.value)) setModeAdd();
+  if (events.some(e => e.id === ui.evEditingId.value)) setEventModeAdd();
+  historyState.selected.clear();
+  render();
+}
+
+// Sets the context of the selected readings (events have none)
+async function bulkRetag() {
+  const context = ui.historyRetagContext.value;
+  const before = selectedHistoryItems().records.filter(r => r.context !== context);
+  if (!before.length) return;
+  const after = before.map(r => ({ ...r, context }));
+  await repoPutMany(after);
+  await journalRecord("retag", before.map((r, i) => ({ storeName: RECORD_STORE, before: r, after: after[i] })));
+  render();
+}
+
+function exportSelected() {
+  const { records, events } = selectedHistoryItems();
+  if (records.length + events.length) downloadCsv(records, events, "selection");
+}
+
+function formatBytes(n) {
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
+
+async function renderStoragePill() {
+  const u = await repoUsage();
+  const name = u.backend === "indexeddb" ? "IndexedDB"
+    : u.backend === "encrypted" ? `encrypted (${vaultDb ? "IndexedDB" : "localStorage"})` : "localStorage";
+  const quota = u.quota ? ` of ~${formatBytes(u.quota)}` : "";
+  ui.storagePill.textContent = `Storage: ${name} • ${u.count} readings • ~${formatBytes(u.bytes)}${quota}`;
+}
+
+// Renders can overlap (typing in filters); only the latest one paints.
+let renderSeq = 0;
+
+// Main chart: last drawn data + zoom/pan view, so interactions redraw without a query
+const chartState = { records: [], events: [], low: 70, high: 180, view: null, viewKey: "", layout: { hits: [], scale: null } };
+
+async function render() {
+  const seq = ++renderSeq;
+  const prefs = getPrefs();
+
+  // Persist prefs to meta (polished UX); schemaVersion is owned by migrateIfNeeded.
+  // Targets belong to the profile, view prefs are shared. Most renders change
+  // neither, so meta is only written when something did.
+  const meta = loadMeta();
+  const profile = activeProfile(meta);
+  if (meta.unit !== prefs.unit || meta.windowDays !== prefs.days || meta.contextFilter !== prefs.ctxFilter ||
+    meta.sortOrder !== prefs.sortOrder || profile.targetLow !== prefs.low || profile.targetHigh !== prefs.high) {
+    meta.unit = prefs.unit;
+    meta.windowDays = prefs.days;
+    meta.contextFilter = prefs.ctxFilter;
+    meta.sortOrder = prefs.sortOrder;
+    saveProfile({ targetLow: prefs.low, targetHigh: prefs.high }, meta);
+  }
+
+  const filtered = await queryFiltered(prefs);
+  const windowEvents = await repoQueryRange(windowStartIso(prefs.days), null, "ALL", EVENT_STORE);
+  const accuracy = await loadAccuracyReport();
+  const alertLog = activeProfile().alertLog || [];
+  const alertOutcomes = await loadAlertOutcomes(alertLog);
+  if (seq !== renderSeq) return;
+
+  const summary = computeSummary(filtered, prefs.low, prefs.high);
+
+  renderKPIs(summary, prefs);
+  // A new profile, window or context filter starts zoomed out again
+  const viewKey = `${activeProfileId}|${prefs.days}|${prefs.ctxFilter}`;
+  if (viewKey !== chartState.viewKey) chartState.view = null;
+  Object.assign(chartState, { records: filtered, events: windowEvents, low: prefs.low, high: prefs.high, viewKey });
+  redrawMainChart();
+  drawAgp({ profile: ui.agpChart, tir: ui.tirBar, daily: ui.dailyStrip }, filtered, summary, prefs);
+  renderInsights(detectPatterns(filtered, prefs.low, prefs.high), summary);
+  ui.agpText.textContent = summary.total
+    ? `${summary.total} readings • ${prefs.days >= 99999 ? "all time" : `last ${prefs.days} days`} • context: ${prefs.ctxFilter}`
+    : "No readings in the selected window.";
+
+  // A new profile, window, context or sort order starts the table on page 1
+  const historyKey = `${viewKey}|${prefs.sortOrder}`;
+  if (historyKey !== historyState.key) historyState.page = 0;
+  Object.assign(historyState, { records: filtered, events: prefs.ctxFilter === "ALL" ? windowEvents : [], prefs, key: historyKey });
+  renderHistory();
+  renderAccuracy(accuracy);
+  renderAlertLog(alertLog, alertOutcomes);
+
+  renderUndoButtons(await journalTargets());
+  await renderJournalTrail();
+
+  await renderStoragePill();
+}
+
+function renderInsights(findings, summary) {
+  ui.insightsList.innerHTML = "";
+  if (!findings.length) {
+    const p = document.createElement("div");
+    p.className = "muted";
+    p.textContent = summary.total
+      ? "No recurring highs or lows stand out in this window."
+      : "No readings in the selected window.";
+    ui.insightsList.appendChild(p);
+    return;
+  }
+
+  findings.forEach(f => {
+    const item = document.createElement("details");
+    item.className = `insight insight--${f.direction}`;
+    item.innerHTML = `
+      <summary><strong>${escapeHtml(f.title)}</strong> <span class="muted">${escapeHtml(f.detail)}</span></summary>
+      <table class="table">
+        <tbody>
+          ${f.records.map(r => `
+            <tr data-edit-id="${r.id}" class="clickRow">
+              <td>${escapeHtml(formatLocal(r.dtIso))}</td>
+              <td>${fmtBg(r.value)} ${unitLabel()}</td>
+              <td>${escapeHtml(r.context)}</td>
+              <td class="muted">${escapeHtml(r.notes)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+    ui.insightsList.appendChild(item);
+  });
+}
+
+/* ---------------------------
+   Main chart interactions (zoom, pan, hover, click-to-edit)
+---------------------------- */
+
+function redrawMainChart() {
+  chartState.layout = drawSeriesChart(ui.mainChart, chartState.records, chartState.low, chartState.high, chartState.events, chartState.view);
+  ui.chartResetBtn.disabled = !chartState.view;
+}
+
+// Keeps the view inside the data (plus margin) and no narrower than SERIES_MIN_SPAN_MIN
+function clampView(view) {
+  const extent = seriesExtent(chartState.records);
+  if (!extent) return null;
+  const full = extent.toMs - extent.fromMs;
+  const span = Math.max(SERIES_MIN_SPAN_MIN * 60000, Math.min(full, view.toMs - view.fromMs));
+  if (span >= full) return null;
+  const fromMs = Math.min(Math.max(view.fromMs, extent.fromMs), extent.toMs - span);
+  return { fromMs, toMs: fromMs + span };
+}
+
+function currentView() {
+  return chartState.view || seriesExtent(chartState.records);
+}
+
+// Canvas x (in canvas pixels) from a mouse/touch event
+function canvasPoint(clientX, clientY) {
+  const rect = ui.mainChart.getBoundingClientRect();
+  const sx = ui.mainChart.width / (rect.width || ui.mainChart.width);
+  const sy = ui.mainChart.height / (rect.height || ui.mainChart.height);
+  return { x: (clientX - rect.left) * sx, y: (clientY - rect.top) * sy };
+}
+
+function zoomChart(factor, atX) {
+  const scale = chartState.layout.scale;
+  const view = currentView();
+  if (!scale || !view) return;
+  const anchor = view.fromMs + ((atX - scale.padL) / scale.W) * (view.toMs - view.fromMs);
+  chartState.view = clampView({
+    fromMs: anchor - (anchor - view.fromMs) * factor,
+    toMs: anchor + (view.toMs - anchor) * factor
+  });
+  redrawMainChart();
+}
+
+function panChart(startView, dx) {
+  const scale = chartState.layout.scale;
+  if (!scale || !startView) return;
+  const shift = (dx / scale.W) * (startView.toMs - startView.fromMs);
+  chartState.view = clampView({ fromMs: startView.fromMs - shift, toMs: startView.toMs - shift });
+  redrawMainChart();
+}
+
+function hitAt(x, y) {
+  let best = null;
+  chartState.layout.hits.forEach(h => {
+    const d = Math.hypot(h.x - x, h.y - y);
+    if (d <= 8 && (!best || d < best.d)) best = { ...h, d };
+  });
+  return best;
+}
+
+function showChartTip(hit) {
+  if (!hit) {
+    ui.chartTip.hidden = true;
+    return;
+  }
+  const r = hit.record;
+  ui.chartTip.textContent =
+    `${fmtBg(r.value)} ${unitLabel()} • ${formatLocal(r.dtIso)}\n${r.context}${r.notes ? `\n${r.notes}` : ""}`;
+  const rect = ui.mainChart.getBoundingClientRect();
+  ui.chartTip.style.left = `${(hit.x / ui.mainChart.width) * rect.width + 10}px`;
+  ui.chartTip.style.top = `${(hit.y / ui.mainChart.height) * rect.height + 10}px`;
+  ui.chartTip.hidden = false;
+}
+
+function setupChartInteractions() {
+  const canvas = ui.mainChart;
+  let drag = null; // { x, view, moved }
+  let dragged = false; // last press was a drag: the click that follows mouseup is ignored
+
+  canvas.addEventListener("wheel", (e) => {
+    e.preventDefault();
+    zoomChart(e.deltaY > 0 ? 1.25 : 0.8, canvasPoint(e.clientX, e.clientY).x);
+  }, { passive: false });
+
+  canvas.addEventListener("mousedown", (e) => {
+    drag = { x: canvasPoint(e.clientX, e.clientY).x, view: currentView(), moved: false };
+  });
+  window.addEventListener("mouseup", () => {
+    dragged = Boolean(drag && drag.moved);
+    drag = null;
+  });
+
+  canvas.addEventListener("mousemove", (e) => {
+    const p = canvasPoint(e.clientX, e.clientY);
+    if (drag && Math.abs(p.x - drag.x) > 3) {
+      drag.moved = true;
+      ui.chartTip.hidden = true;
+      panChart(drag.view, p.x - drag.x);
+      return;
+    }
+    if (!drag) showChartTip(hitAt(p.x, p.y));
+  });
+  canvas.addEventListener("mouseleave", () => { ui.chartTip.hidden = true; });
+
+  // Click on a reading opens it in the form (a drag is not a click)
+  canvas.addEventListener("click", (e) => {
+    if (dragged) return;
+    const p = canvasPoint(e.clientX, e.clientY);
+    const hit = hitAt(p.x, p.y);
+    if (!hit) return;
+    setModeEdit(hit.record);
+    ui.glucose.focus();
+    render();
+  });
+  canvas.addEventListener("dblclick", () => {
+    chartState.view = null;
+    redrawMainChart();
+  });
+
+  // Touch: one finger pans, two fingers pinch-zoom
+  let touch = null;
+  canvas.addEventListener("touchstart", (e) => {
+    const pts = [...e.touches].map(t => canvasPoint(t.clientX, t.clientY));
+    touch = { pts, view: currentView() };
+  }, { passive: true });
+  canvas.addEventListener("touchmove", (e) => {
+    if (!touch) return;
+    e.preventDefault();
+    const pts = [...e.touches].map(t => canvasPoint(t.clientX, t.clientY));
+    if (pts.length === 1 && touch.pts.length === 1) {
+      panChart(touch.view, pts[0].x - touch.pts[0].x);
+    } else if (pts.length === 2 && touch.pts.length === 2) {
+      const before = Math.abs(touch.pts[0].x - touch.pts[1].x) || 1;
+      const after = Math.abs(pts[0].x - pts[1].x) || 1;
+      chartState.view = touch.view;
+      zoomChart(before / after, (touch.pts[0].x + touch.pts[1].x) / 2);
+    }
+  }, { passive: false });
+  canvas.addEventListener("touchend", () => { touch = null; });
+
+  ui.chartResetBtn.addEventListener("click", () => {
+    chartState.view = null;
+    redrawMainChart();
+  });
+}
+
+/* ---------------------------
+   Form mode: Add vs Edit
+---------------------------- */
+
+function setModeAdd() {
+  ui.editingId.value = "";
+  ui.saveBtn.textContent = "Add";
+  ui.cancelEditBtn.disabled = true;
+  ui.modePill.textContent = "Mode: Add";
+}
+
+function setModeEdit(record) {
+  ui.editingId.value = record.id;
+  writeBgInput(ui.glucose, record.value);
+  ui.context.value = record.context;
+  ui.dt.value = toLocalInputValue(new Date(record.dtIso));
+  ui.notes.value = record.notes || "";
+
+  ui.saveBtn.textContent = "Save Changes";
+  ui.cancelEditBtn.disabled = false;
+  ui.modePill.textContent = "Mode: Edit";
+}
+
+function readForm() {
+  const mgdl = readBgInput(ui.glucose);
+  const value = mgdl == null ? null : clampNumber(Math.round(mgdl), 20, 600);
+  const context = ui.context.value;
+  const dtLocal = ui.dt.value;
+  const notes = (ui.notes.value || "").trim();
+
+  if (!value) return { ok: false, msg: `Enter glucose ${fmtBg(20)}–${fmtBg(600)} ${unitLabel()}.` };
+  if (!dtLocal) return { ok: false, msg: "Pick a date/time." };
+
+  // Outlier confirm (safety-minded UX)
+  if (value < 55 || value > 350) {
+    const ok = confirm("This value is outside typical ranges. Confirm it’s correct?");
+    if (!ok) return { ok: false, msg: "Cancelled." };
+  }
+
+  const dtIso = new Date(dtLocal).toISOString();
+  return { ok: true, record: { value, context, dtIso, notes } };
+}
+
+/* ---------------------------
+   Event form: Add vs Edit
+---------------------------- */
+
+// Only the fields for the chosen type are shown
+function showEventFields(type) {
+  document.querySelectorAll("[data-ev-fields]").forEach(node => {
+    node.hidden = node.dataset.evFields !== type;
+  });
+}
+
+function clearEventForm() {
+  [ui.evCarbs, ui.evSugar, ui.evDesc, ui.evUnits, ui.evDuration, ui.evMedName, ui.evMedDose, ui.evNotes].forEach(input => {
+    input.value = "";
+  });
+  ui.evDt.value = toLocalInputValue(new Date());
+}
+
+function setEventModeAdd() {
+  ui.evEditingId.value = "";
+  ui.evSaveBtn.textContent = "Log Event";
+  ui.evCancelBtn.disabled = true;
+  ui.evModePill.textContent = "Mode: Add";
+}
+
+function setEventModeEdit(event) {
+  clearEventForm();
+  ui.evEditingId.value = event.id;
+  ui.evType.value = event.type;
+  ui.evDt.value = toLocalInputValue(new Date(event.dtIso));
+  ui.evCarbs.value = event.carbsG ?? "";
+  ui.evSugar.value = event.sugarG ?? "";
+  ui.evDesc.value = event.description || "";
+  if (event.insulinType) ui.evInsulinType.value = event.insulinType;
+  ui.evUnits.value = event.units ?? "";
+  ui.evDuration.value = event.durationMin ?? "";
+  if (event.intensity) ui.evIntensity.value = event.intensity;
+  ui.evMedName.value = event.name || "";
+  ui.evMedDose.value = event.dose || "";
+  ui.evNotes.value = event.notes || "";
+  showEventFields(event.type);
+
+  ui.evSaveBtn.textContent = "Save Event";
+  ui.evCancelBtn.disabled = false;
+  ui.evModePill.textContent = "Mode: Edit";
+}
+
+function readEventForm() {
+  const num = (input) => (input.value === "" ? null : Number(input.value));
+  const type = ui.evType.value;
+  if (!ui.evDt.value) return { ok: false, msg: "Pick a date/time." };
+
+  const event = { type, dtIso: new Date(ui.evDt.value).toISOString(), notes: (ui.evNotes.value || "").trim() };
+  if (type === "meal") Object.assign(event, { carbsG: num(ui.evCarbs), sugarG: num(ui.evSugar), description: ui.evDesc.value.trim() });
+  if (type === "insulin") Object.assign(event, { insulinType: ui.evInsulinType.value, units: num(ui.evUnits) });
+  if (type === "exercise") Object.assign(event, { durationMin: num(ui.evDuration), intensity: ui.evIntensity.value });
+  if (type === "medication") Object.assign(event, { name: ui.evMedName.value.trim(), dose: ui.evMedDose.value.trim() });
+
+  const errors = eventErrors(event);
+  if (errors.length) return { ok: false, msg: `Check the event: ${errors.join(", ")}.` };
+  return { ok: true, event };
+}
+
+/* ---------------------------
+   CRUD actions
+---------------------------- */
+
+// Every change goes through here or calls journalRecord itself, so it can be undone
+async function addRecord(record) {
+  const added = await repoAdd({ source: "manual", ...record });
+  await journalRecord("add", [{ storeName: RECORD_STORE, before: null, after: added }]);
+  return added;
+}
+
+async function updateRecord(id, patch) {
+  const before = await repoGet(id);
+  const after = await repoUpdate(id, patch);
+  if (after) await journalRecord("update", [{ storeName: RECORD_STORE, before, after }]);
+  return after;
+}
+
+async function deleteRecord(id) {
+  const removed = await repoDelete(id);
+  if (removed) await journalRecord("delete", [{ storeName: RECORD_STORE, before: removed, after: null }]);
+}
+
+async function addEvent(event) {
+  const added = await repoAdd(event, EVENT_STORE);
+  await journalRecord("add", [{ storeName: EVENT_STORE, before: null, after: added }]);
+  return added;
+}
+
+async function updateEvent(id, event) {
+  // Replace rather than patch: switching type must drop the old type's fields
+  const current = await repoGet(id, EVENT_STORE);
+  if (!current) return null;
+  const after = { ...event, id, profileId: current.profileId };
+  await repoPutMany([after], EVENT_STORE);
+  await journalRecord("update", [{ storeName: EVENT_STORE, before: current, after }]);
+  return after;
+}
+
+async function deleteEvent(id) {
+  const removed = await repoDelete(id, EVENT_STORE);
+  if (removed) await journalRecord("delete", [{ storeName: EVENT_STORE, before: removed, after: null }]);
+}
+
+// Clear All for the active profile, as one undoable operation
+async function clearAll() {
+  const changes = [];
+  for (const storeName of JOURNALED_STORES) {
+    (await repoAll(storeName)).forEach(before => changes.push({ storeName, before, after: null }));
+  }
+  // Journal first: if the undo entry can't be stored, nothing is deleted
+  await journalRecord("clear", changes);
+  for (const storeName of JOURNALED_STORES) await repoClear(storeName);
+}
+
+/* ---------------------------
+   Change journal (undo/redo + audit trail)
+---------------------------- */
+
+/**
+ * Every add, edit, delete, import, re-tag and clear is stored (per profile,
+ * in JOURNAL_STORE) as one operation:
+ *   { id, dtIso, seq, action, changes: [{ storeName, before, after }], state, itemsKept }
+ * before/after are whole items; null means the item did not exist. itemsKept
+ * counts the item copies in the journal once the entry was stored. Undo
+ * writes the befores back, redo the afters, newest first. state is "done",
+ * "undone" or "discarded" (a new change after an undo ends the redo branch;
+ * the entry stays in the audit trail).
+ */
+const JOURNALED_STORES = [RECORD_STORE, EVENT_STORE, PREDICTION_STORE];
+const JOURNAL_LIMIT = 100; // newest operations kept
+const JOURNAL_ITEM_LIMIT = 10000; // item copies kept across operations (a Clear All holds every item)
+const JOURNAL_PAGE_SIZE = 20; // audit trail rows per page
+const JOURNAL_DIFF_ROWS = 5; // item changes listed per operation in the trail
+const JOURNAL_VERBS = { add: "Added", update: "Edited", delete: "Deleted", import: "Imported", retag: "Re-tagged", clear: "Cleared" };
+const JOURNAL_NOUNS = { [RECORD_STORE]: "reading", [EVENT_STORE]: "event", [PREDICTION_STORE]: "saved prediction" };
+const JOURNAL_STATES = { done: "Applied", undone: "Undone (can redo)", discarded: "Undone" };
+
+let journalPage = 0; // audit trail page shown, newest first
+let journalTrailSeq = 0; // page clicks can overlap; only the latest one paints
+
+// The newest applied entry and the undone ones above it (the redo branch),
+// newest first. Undone entries are all newer than the undo target, so this
+// reads pages from the newest entry only down to the first applied one.
+async function journalHead() {
+  const undone = [];
+  for (let offset = 0; ; offset += JOURNAL_PAGE_SIZE) {
+    const { entries } = await repoJournalPage(offset, JOURNAL_PAGE_SIZE);
+    for (const e of entries) {
+      if (e.state === "done") return { applied: e, undone };
+      if (e.state === "undone") undone.push(e);
+    }
+    if (entries.length < JOURNAL_PAGE_SIZE) return { applied: null, undone };
+  }
+}
+
+// Item copies in the journal up to and including `newest`. Each entry stores
+// the running count as itemsKept; entries from before that field was added
+// are counted once from the whole store.
+async function journalItemsKept(newest) {
+  if (Number.isFinite(newest.itemsKept)) return newest.itemsKept;
+  return (await repoAll(JOURNAL_STORE)).reduce((n, e) => n + e.changes.length, 0);
+}
+
+async function journalRecord(action, changes) {
+  if (!changes.length) return null;
+  const { entries: [newest], total } = await repoJournalPage(0, 1);
+  const { undone } = await journalHead();
+
+  // Oldest go first past JOURNAL_LIMIT operations or JOURNAL_ITEM_LIMIT item
+  // copies; the new entry always stays, so its undo works however big it is.
+  // Only the pages being dropped are read, oldest first.
+  let count = total + 1;
+  let items = (newest ? await journalItemsKept(newest) : 0) + changes.length;
+  const overLimit = () => count > 1 && (count > JOURNAL_LIMIT || items > JOURNAL_ITEM_LIMIT);
+  const drop = [];
+  for (let end = total; end > 0 && overLimit();) {
+    const start = Math.max(0, end - JOURNAL_PAGE_SIZE);
+    const { entries } = await repoJournalPage(start, end - start);
+    end = start;
+    for (const e of entries.reverse()) {
+      if (!overLimit()) break;
+      drop.push(e.id);
+      items -= e.changes.length;
+      count--;
+    }
+  }
+
+  const seq = newest ? newest.seq + 1 : 1;
+  const entry = { id: uid(), dtIso: new Date().toISOString(), seq, action, changes, state: "done", itemsKept: items };
+  const discarded = undone.map(e => ({ ...e, state: "discarded" }));
+  await repoPutMany([...discarded, entry], JOURNAL_STORE);
+  await repoDeleteMany(drop, JOURNAL_STORE);
+  return entry;
+}
+
+// { undo, redo }: the newest applied operation and the oldest undone one
+async function journalTargets() {
+  const { applied, undone } = await journalHead();
+  return { undo: applied, redo: undone[undone.length - 1] || null };
+}
+
+async function applyJournalSide(changes, side) {
+  for (const storeName of JOURNALED_STORES) {
+    const mine = changes.filter(c => c.storeName === storeName);
+    await repoPutMany(mine.filter(c => c[side]).map(c => c[side]), storeName);
+    await repoDeleteMany(mine.filter(c => !c[side]).map(c => (c.before || c.after).id), storeName);
+  }
+}
+
+async function journalUndo() {
+  const { undo } = await journalTargets();
+  if (!undo) return null;
+  await applyJournalSide(undo.changes, "before");
+  await repoPutMany([{ ...undo, state: "undone" }], JOURNAL_STORE);
+  return undo;
+}
+
+async function journalRedo() {
+  const { redo } = await journalTargets();
+  if (!redo) return null;
+  await applyJournalSide(redo.changes, "after");
+  await repoPutMany([{ ...redo, state: "done" }], JOURNAL_STORE);
+  return redo;
+}
+
+function journalItemLabel(storeName, item) {
+  if (storeName === RECORD_STORE) return `${fmtBg(item.value)} ${unitLabel()} at ${formatLocal(item.dtIso)}`;
+  if (storeName === EVENT_STORE) return `${(EVENT_TYPES[item.type]?.label || item.type).toLowerCase()} at ${formatLocal(item.dtIso)}`;
+  return formatLocal(item.dtIso);
+}
+
+// "Edited reading 120 mg/dL at …" or "Imported 250 readings, 3 events"
+function journalLabel(entry) {
+  const verb = JOURNAL_VERBS[entry.action] || entry.action;
+  if (entry.changes.length === 1) {
+    const c = entry.changes[0];
+    return `${verb} ${JOURNAL_NOUNS[c.storeName]} ${journalItemLabel(c.storeName, c.after || c.before)}`;
+  }
+  const counts = JOURNALED_STORES
+    .map(storeName => [storeName, entry.changes.filter(c => c.storeName === storeName).length])
+    .filter(([, n]) => n)
+    .map(([storeName, n]) => `${n} ${JOURNAL_NOUNS[storeName]}${n === 1 ? "" : "s"}`);
+  return `${verb} ${counts.join(", ")}`;
+}
+
+function journalFieldText(key, v) {
+  if (v == null || v === "") return "—";
+  if (key === "value") return `${fmtBg(v)} ${unitLabel()}`;
+  if (key === "dtIso") return formatLocal(v);
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+// Old → new per changed field (edits), or the item that appeared / went away
+function journalDiff(c) {
+  if (!c.before) return `new: ${journalItemLabel(c.storeName, c.after)}`;
+  if (!c.after) return `removed: ${journalItemLabel(c.storeName, c.before)}`;
+  const keys = [...new Set([...Object.keys(c.before), ...Object.keys(c.after)])].filter(k => k !== "id" && k !== "profileId");
+  return keys
+    .filter(k => JSON.stringify(c.before[k]) !== JSON.stringify(c.after[k]))
+    .map(k => `${k}: ${journalFieldText(k, c.before[k])} → ${journalFieldText(k, c.after[k])}`)
+    .join("; ") || "no field changed";
+}
+
+function renderUndoButtons({ undo, redo }) {
+  ui.undoBtn.disabled = !undo;
+  ui.undoBtn.title = undo ? `Undo: ${journalLabel(undo)}` : "";
+  ui.redoBtn.disabled = !redo;
+  ui.redoBtn.title = redo ? `Redo: ${journalLabel(redo)}` : "";
+  ui.undoPill.hidden = !undo;
+  ui.undoPill.textContent = undo ? `Undo: ${journalLabel(undo)}` : "";
+}
+
+// Audit trail: one page, read only while the panel is open
+async function renderJournalTrail() {
+  if (!ui.journalDetails.open) return;
+  const seq = ++journalTrailSeq;
+  const { entries, total } = await repoJournalPage(journalPage * JOURNAL_PAGE_SIZE, JOURNAL_PAGE_SIZE);
+  if (seq !== journalTrailSeq) return;
+  const pages = Math.max(1, Math.ceil(total / JOURNAL_PAGE_SIZE));
+  if (journalPage >= pages) {
+    journalPage = pages - 1;
+    await renderJournalTrail();
+    return;
+  }
+
+  ui.journalText.textContent = total
+    ? `${total} changes recorded (the newest ${JOURNAL_LIMIT}, up to ${JOURNAL_ITEM_LIMIT} items, are kept). Ctrl+Z undoes, Ctrl+Shift+Z redoes.`
+    : "No changes recorded yet.";
+  ui.journalPageText.textContent = total > JOURNAL_PAGE_SIZE ? `page ${journalPage + 1} of ${pages}` : "";
+  ui.journalPrevBtn.disabled = journalPage === 0;
+  ui.journalNextBtn.disabled = journalPage >= pages - 1;
+  ui.journalTbody.innerHTML = entries.map(e => {
+    const diffs = e.changes.slice(0, JOURNAL_DIFF_ROWS).map(journalDiff);
+    if (e.changes.length > JOURNAL_DIFF_ROWS) diffs.push(`… and ${e.changes.length - JOURNAL_DIFF_ROWS} more`);
+    return `<tr>
+      <td>${escapeHtml(formatLocal(e.dtIso))}</td>
+      <td>${escapeHtml(journalLabel(e))}</td>
+      <td class="muted">${diffs.map(escapeHtml).join("<br/>")}</td>
+      <td>${JOURNAL_STATES[e.state]}</td>
+    </tr>`;
+  }).join("");
+}
+
+async function undoChange() {
+  if (!(await journalUndo())) return;
+  setModeAdd();
+  setEventModeAdd();
+  render();
+}
+
+async function redoChange() {
+  if (!(await journalRedo())) return;
+  setModeAdd();
+  setEventModeAdd();
+  render();
+}
+
+/* ---------------------------
+   Export / Report
+---------------------------- */
+
+async function exportCSV() {
+  downloadCsv(await repoAll(), await repoAll(EVENT_STORE));
+}
+
+// Same format for full and partial exports, so both import back; fileTag marks a partial one
+function downloadCsv(records, events, fileTag = "") {
+  const prefs = getPrefs();
+
+  // Values are written in the display unit; the column name says which
+  const unitKey = displayUnit === "mmol" ? "mmol" : "mgdl";
+
+  const headerLines = [
+    "# Glucose Log Export",
+    `# exported_at=${new Date().toISOString()}`,
+    `# patient=${prefs.patient || "N/A"}`,
+    `# unit=${unitLabel()}`,
+    `# target_range_${unitKey}=${fmtBgExport(prefs.low)}-${fmtBgExport(prefs.high)}`,
+    `# notes=manual entry + imports; not medical advice`,
+    `datetime_iso,datetime_local,value_${unitKey},context,notes,source`
+  ];
+
+  const rows = records.map(r => {
+    const local = new Date(r.dtIso).toLocaleString();
+    return [r.dtIso, csvQuote(local), fmtBgExport(r.value), csvQuote(r.context), csvQuote(r.notes), csvQuote(r.source || "manual")].join(",");
+  });
+
+  // Events follow the readings as a second block with its own header row
+  const eventLines = events.length ? ["", EVENT_EXPORT_COLUMNS.join(","), ...events.map(eventToCsvRow)] : [];
+
+  const csv = headerLines.join("\n") + "\n" + rows.join("\n") + (eventLines.length ? "\n" + eventLines.join("\n") : "");
+  const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `glucose_log_${prefs.patient.replace(/[^\w-]+/g, "_")}${fileTag ? `_${fileTag}` : ""}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+async function printReport() {
+  const prefs = getPrefs();
+  const filtered = await queryFiltered(prefs);
+  const events = await repoQueryRange(windowStartIso(prefs.days), null, "ALL", EVENT_STORE);
+  const summary = computeSummary(filtered, prefs.low, prefs.high);
+
+  const meanTxt = summary.avg ? fmtBg(summary.avg, 1) : "—";
+  const medTxt = summary.med ? fmtBg(summary.med, 1) : "—";
+  const sdTxt = summary.sd ? fmtBg(summary.sd, 1) : "—";
+  const unit = unitLabel();
+  const tirTxt = summary.tirPct != null ? `${summary.tirPct}%` : "—";
+  const sources = [...new Set(filtered.map(r => sourceLabel(r.source)))];
+  const sourceTxt = sources.length ? sources.join(", ") : "manual entry";
+  const cons = summary.consensus;
+  const findings = detectPatterns(filtered, prefs.low, prefs.high);
+
+  // AGP rendered off-screen at print size, embedded as images
+  const agpCanvas = (w, h) => Object.assign(document.createElement("canvas"), { width: w, height: h });
+  const agp = { profile: agpCanvas(760, 300), tir: agpCanvas(260, 300), daily: agpCanvas(1020, 260) };
+  drawAgp(agp, filtered, summary, prefs);
+
+  const html = `
+  <html>
+    <head>
+      <title>Glucose Summary Report</title>
+      <meta charset="utf-8" />
+      <style>
+        body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; margin: 24px; }
+        h1 { margin: 0 0 6px; }
+        .muted { color: #555; }
+        .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin: 14px 0; }
+        .card { border: 1px solid #ddd; border-radius: 12px; padding: 12px; }
+        .big { font-size: 28px; margin-top: 6px; }
+        table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+        th, td { text-align:left; border-bottom: 1px solid #eee; padding: 8px; font-size: 12px; vertical-align: top; }
+        th { color: #555; }
+        .agp { display: flex; gap: 2%; align-items: flex-start; }
+        @media print { button { display:none; } }
+      </style>
+    </head>
+    <body>
+      <h1>Glucose Summary Report</h1>
+      <div class="muted">
+        Generated: ${new Date().toLocaleString()} • Patient: ${escapeHtml(prefs.patient || "N/A")}<br/>
+        Window: ${prefs.days >= 99999 ? "All time" : `Last ${prefs.days} days`} • Context: ${escapeHtml(prefs.ctxFilter)} • Target: ${fmtBg(prefs.low)}–${fmtBg(prefs.high)} ${unit}
+      </div>
+
+      <div class="grid">
+        <div class="card">
+          <div class="muted">Time in Range</div>
+          <div class="big">${tirTxt}</div>
+          <div class="muted">${summary.inRange || 0}/${summary.total || 0} in range • ${summary.lowCount || 0} low • ${summary.highCount || 0} high</div>
+        </div>
+        <div class="card">
+          <div class="muted">Average / Median / Std Dev</div>
+          <div class="big">${meanTxt}</div>
+          <div class="muted">avg ${unit} • median ${medTxt} • std dev ${sdTxt}</div>
+        </div>
+        <div class="card">
+          <div class="muted">Fasting</div>
+          <div class="big">${summary.fastingAvg ? fmtBg(summary.fastingAvg, 1) : "—"}</div>
+          <div class="muted">${summary.fastingCount || 0} fasting readings</div>
+        </div>
+        <div class="card">
+          <div class="muted">Events</div>
+          <div class="big">${(summary.lowCount || 0) + (summary.highCount || 0)}</div>
+          <div class="muted">low + high events</div>
+        </div>
+      </div>
+
+      ${cons ? `
+      <h2 style="margin:18px 0 6px;">Consensus metrics</h2>
+      <div class="muted">Time-weighted (gaps over ${CONSENSUS_MAX_GAP_MIN / 60} h count as missing) • ${Math.round(cons.hoursCovered)} h covered • fixed ranges ${fmtBg(CONSENSUS_RANGES.veryLow)}/${fmtBg(CONSENSUS_RANGES.low)}/${fmtBg(CONSENSUS_RANGES.high)}/${fmtBg(CONSENSUS_RANGES.veryHigh)} ${unit}</div>
+      <table>
+        <tbody>
+          <tr><th>GMI (est. A1c)</th><td>${cons.gmi.toFixed(1)}%</td><th>Mean (time-weighted)</th><td>${fmtBg(cons.weightedMean, 1)} ${unit}</td></tr>
+          <tr><th>CV</th><td>${cons.cvPct == null ? "—" : `${cons.cvPct.toFixed(1)}% (${cons.cvPct <= CV_STABLE_PCT ? "stable" : "unstable"}, threshold ${CV_STABLE_PCT}%)`}</td><th>MAGE</th><td>${cons.mage == null ? "—" : `${fmtBg(cons.mage, 1)} ${unit}`}</td></tr>
+          <tr><th>Time below ${fmtBg(CONSENSUS_RANGES.veryLow)}</th><td>${cons.tbr54Pct.toFixed(1)}%</td><th>Time below ${fmtBg(CONSENSUS_RANGES.low)}</th><td>${cons.tbr70Pct.toFixed(1)}%</td></tr>
+          <tr><th>Time in ${fmtBg(CONSENSUS_RANGES.low)}–${fmtBg(CONSENSUS_RANGES.high)}</th><td>${cons.tir70180Pct.toFixed(1)}%</td><th></th><td></td></tr>
+          <tr><th>Time above ${fmtBg(CONSENSUS_RANGES.high)}</th><td>${cons.tar180Pct.toFixed(1)}%</td><th>Time above ${fmtBg(CONSENSUS_RANGES.veryHigh)}</th><td>${cons.tar250Pct.toFixed(1)}%</td></tr>
+          <tr><th>LBGI</th><td>${cons.lbgi.toFixed(2)}</td><th>HBGI</th><td>${cons.hbgi.toFixed(2)}</td></tr>
+        </tbody>
+      </table>` : ""}
+
+      ${filtered.length ? `
+      <h2 style="margin:18px 0 6px;">Ambulatory Glucose Profile</h2>
+      <div class="muted">Readings folded onto 24 hours • median, 25–75% and 5–95% bands • target ${fmtBg(prefs.low)}–${fmtBg(prefs.high)} ${unit}</div>
+      <div class="agp">
+        <img src="${agp.tir.toDataURL()}" alt="Time in ranges" style="width:25%;" />
+        <img src="${agp.profile.toDataURL()}" alt="AGP" style="width:73%;" />
+      </div>
+      <h3 style="margin:12px 0 6px;">Daily glucose profiles</h3>
+      <img src="${agp.daily.toDataURL()}" alt="Daily profiles" style="width:100%;" />` : ""}
+
+      ${findings.length ? `
+      <h2 style="margin:18px 0 6px;">Insights</h2>
+      ${findings.map(f => `
+        <p style="margin:10px 0 4px;"><strong>${escapeHtml(f.title)}</strong><br/><span class="muted">${escapeHtml(f.detail)}</span></p>
+        <table>
+          <tbody>
+            ${f.records.map(r => `
+              <tr>
+                <td>${escapeHtml(new Date(r.dtIso).toLocaleString())}</td>
+                <td>${fmtBg(r.value)} ${unit}</td>
+                <td>${escapeHtml(r.context)}</td>
+                <td>${escapeHtml(r.notes)}</td>
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+      `).join("")}` : ""}
+
+      <h2 style="margin:18px 0 6px;">Readings</h2>
+      <table>
+        <thead><tr><th>Date</th><th>Value</th><th>Context</th><th>Notes</th></tr></thead>
+        <tbody>
+          ${filtered.map(r => `
+            <tr>
+              <td>${escapeHtml(new Date(r.dtIso).toLocaleString())}</td>
+              <td>${fmtBg(r.value)} ${unit}</td>
+              <td>${escapeHtml(r.context)}${r.source && r.source !== "manual" ? ` (${escapeHtml(sourceLabel(r.source))})` : ""}</td>
+              <td>${escapeHtml(r.notes)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+
+      ${events.length ? `
+      <h2 style="margin:18px 0 6px;">Logged events</h2>
+      <table>
+        <thead><tr><th>Date</th><th>Type</th><th>Details</th><th>Notes</th></tr></thead>
+        <tbody>
+          ${events.map(e => `
+            <tr>
+              <td>${escapeHtml(new Date(e.dtIso).toLocaleString())}</td>
+              <td>${escapeHtml(EVENT_TYPES[e.type]?.label || e.type)}</td>
+              <td>${escapeHtml(eventSummary(e))}</td>
+              <td>${escapeHtml(e.notes)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>` : ""}
+
+      <p class="muted" style="margin-top:14px;">
+        Not medical advice. Data source: ${escapeHtml(sourceTxt)}. Share with a clinician for interpretation.
+      </p>
+
+      <button onclick="window.print()">Print / Save as PDF</button>
+    </body>
+  </html>`;
+
+  const w = window.open("", "_blank");
+  w.document.open();
+  w.document.write(html);
+  w.document.close();
+}
+
+/* ---------------------------
+   Encryption helpers (WebCrypto: PBKDF2 -> AES-GCM)
+---------------------------- */
+
+const PBKDF2_ITERATIONS = 310000; // PBKDF2-HMAC-SHA256 work factor (OWASP guidance)
+// Work factors accepted from a file or vault header: below is too weak,
+// above would hang the tab while deriving the key
+const PBKDF2_MIN_ITERATIONS = 100000;
+const PBKDF2_MAX_ITERATIONS = 10000000;
+
+function validIterations(iterations) {
+  return Number.isInteger(iterations) && iterations >= PBKDF2_MIN_ITERATIONS && iterations <= PBKDF2_MAX_ITERATIONS;
+}
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  // Chunked: String.fromCharCode(...bytes) overflows the stack on large backups
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const out = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out;
+}
+
+async function sha256Hex(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return Array.from(digest, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function deriveAesKey(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// -> { iv, data } (base64); a fresh 96-bit IV per message
+async function aesEncrypt(key, text) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text)));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+// Throws on a wrong key or altered data (GCM authentication)
+async function aesDecrypt(key, { iv, data }) {
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+  return new TextDecoder().decode(plain);
+}
+
+/* ---------------------------
+   Encrypted backup + restore
+---------------------------- */
+
+/**
+ * Backup file (JSON envelope; everything but the header is encrypted):
+ *   { format, version, schemaVersion, createdAt,
+ *     kdf: { name: "PBKDF2", hash, iterations, salt }, cipher: { name: "AES-GCM", iv },
+ *     checksum: SHA-256 of the ciphertext, data }
+ * The decrypted payload is { schemaVersion, meta, records, events, predictions }
+ * for every profile. Restoring runs it through runMigrations, so a backup from
+ * an older schema comes back in the current shape. The change journal is not
+ * included (undo history stays on the device).
+ */
+const BACKUP_FORMAT = "glucose-log-backup";
+const BACKUP_FILE_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+async function backupPayload() {
+  // Device-specific bits stay behind
+  const meta = { ...loadMeta(), schemaVersion: SCHEMA_VERSION };
+  delete meta.storageBackend;
+  delete meta.migrationError;
+  meta.profiles = profileList(meta); // a fresh install has none saved yet
+  meta.activeProfile = activeProfile(meta).id;
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    meta,
+    records: await repoAllProfiles(),
+    events: await repoAllProfiles(EVENT_STORE),
+    predictions: await repoAllProfiles(PREDICTION_STORE)
+  };
+}
+
+async function encryptBackup(payload, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveAesKey(passphrase, salt);
+  const { iv, data } = await aesEncrypt(key, JSON.stringify(payload));
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_FILE_VERSION,
+    schemaVersion: payload.schemaVersion,
+    createdAt: new Date().toISOString(),
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: "AES-GCM", iv },
+    checksum: await sha256Hex(base64ToBytes(data)),
+    data
+  };
+}
+
+// Header checks that need no passphrase -> { ok, envelope } or { ok: false, msg }
+async function parseBackupFile(text) {
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch {
+    return { ok: false, msg: "not a JSON file" };
+  }
+  if (!envelope || envelope.format !== BACKUP_FORMAT) return { ok: false, msg: "not a Glucose Log backup" };
+  if (envelope.version > BACKUP_FILE_VERSION || envelope.schemaVersion > SCHEMA_VERSION) {
+    return { ok: false, msg: "made by a newer version of this app" };
+  }
+  if (!envelope.kdf?.salt || !envelope.cipher?.iv || typeof envelope.data !== "string") return { ok: false, msg: "file is incomplete" };
+  if (await sha256Hex(base64ToBytes(envelope.data)) !== envelope.checksum) return { ok: false, msg: "checksum mismatch (file damaged or altered)" };
+  return { ok: true, envelope };
+}
+
+// -> { ok, data } at the current schema, or { ok: false, msg }
+async function decryptBackup(envelope, passphrase) {
+  if (!validIterations(envelope.kdf.iterations)) {
+    return { ok: false, msg: `unsupported key derivation (${envelope.kdf.iterations} iterations)` };
+  }
+  let payload;
+  try {
+    const key = await deriveAesKey(passphrase, base64ToBytes(envelope.kdf.salt), envelope.kdf.iterations);
+    payload = JSON.parse(await aesDecrypt(key, { iv: envelope.cipher.iv, data: envelope.data }));
+  } catch {
+    return { ok: false, msg: "wrong passphrase" };
+  }
+
+  const from = Number(payload.schemaVersion) || 3;
+  let data;
+  try {
+    data = runMigrations({ ...payload, meta: { ...payload.meta, schemaVersion: from } }, from);
+  } catch (err) {
+    return { ok: false, msg: err.message };
+  }
+  const problems = schemaProblems(data);
+  if (problems.length) return { ok: false, msg: `backup failed checks (${problems.slice(0, 3).join("; ")})` };
+  return { ok: true, data, from };
+}
+
+/**
+ * Merge: adds items (by id) and profiles that aren't here yet; what is
+ * already here wins. A device with no profiles saved yet takes the backup's.
+ */
+async function mergeBackup(data) {
+  const added = {};
+  for (const [storeName, items] of [[RECORD_STORE, data.records], [EVENT_STORE, data.events], [PREDICTION_STORE, data.predictions]]) {
+    const have = new Set((await repoAllProfiles(storeName)).map(x => x.id));
+    const missing = items.filter(x => !have.has(x.id));
+    await repoPutMany(missing, storeName);
+    added[storeName] = missing.length;
+  }
+
+  const meta = loadMeta();
+  const local = Array.isArray(meta.profiles) ? meta.profiles : [];
+  const known = new Set(local.map(p => p.id));
+  const newProfiles = data.meta.profiles.filter(p => !known.has(p.id));
+  const profiles = [...local, ...newProfiles];
+  const active = profiles.some(p => p.id === meta.activeProfile) ? meta.activeProfile : profiles[0].id;
+  saveMeta({ ...meta, profiles, activeProfile: active });
+  return { ...added, profiles: newProfiles.length };
+}
+
+// Replace: every profile's data and all settings become the backup's
+async function replaceWithBackup(data) {
+  await repoReplaceAll(data.records);
+  await repoReplaceAll(data.events, EVENT_STORE);
+  await repoReplaceAll(data.predictions, PREDICTION_STORE);
+  await repoReplaceAll([], JOURNAL_STORE);
+  saveMeta({ ...data.meta, schemaVersion: SCHEMA_VERSION, storageBackend });
+}
+
+async function exportBackup() {
+  const passphrase = prompt(`Passphrase for the backup (at least ${MIN_PASSPHRASE_LENGTH} characters).\nWithout it the file cannot be restored.`);
+  if (passphrase == null) return;
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    alert(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+    return;
+  }
+  if (prompt("Type the passphrase again:") !== passphrase) {
+    alert("The passphrases don't match. No backup was made.");
+    return;
+  }
+
+  const envelope = await encryptBackup(await backupPayload(), passphrase);
+  const blob = new Blob([JSON.stringify(envelope)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `glucose_log_backup_${envelope.createdAt.slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+async function restoreBackupText(text) {
+  const parsed = await parseBackupFile(text);
+  if (!parsed.ok) {
+    alert(`Could not restore: ${parsed.msg}.`);
+    return;
+  }
+
+  const passphrase = prompt(`Passphrase for the backup from ${formatLocal(parsed.envelope.createdAt)}:`);
+  if (passphrase == null) return;
+  const result = await decryptBackup(parsed.envelope, passphrase);
+  if (!result.ok) {
+    alert(`Could not restore: ${result.msg}.`);
+    return;
+  }
+
+  const { data } = result;
+  const count = (n, noun) => `${n} ${noun}${n === 1 ? "" : "s"}`;
+  const summary = `${count(data.records.length, "reading")}, ${count(data.events.length, "event")}, ${count(data.meta.profiles.length, "profile")}`;
+  const replace = ui.restoreMode.value === "replace";
+  const question = replace
+    ? `Replace ALL data on this device (every profile and all settings) with the backup (${summary})? This can't be undone.`
+    : `Add what's missing from the backup (${summary})? Existing readings and settings are kept.`;
+  if (!confirm(question)) return;
+
+  let message;
+  if (replace) {
+    await replaceWithBackup(data);
+    message = `Restored ${summary}.`;
+  } else {
+    const added = await mergeBackup(data);
+    message = `Merged: ${count(added[RECORD_STORE], "reading")}, ${count(added[EVENT_STORE], "event")}, ` +
+      `${count(added[PREDICTION_STORE], "saved prediction")} and ${count(added.profiles, "profile")} added.`;
+  }
+  if (result.from < SCHEMA_VERSION) message += ` (Upgraded from schema v${result.from}.)`;
+
+  // Settings may have changed under the UI: reload unit + profile from meta
+  const meta = loadMeta();
+  applyUnit(meta.unit || "mgdl");
+  if (meta.windowDays) ui.windowDays.value = String(meta.windowDays);
+  await switchProfile(activeProfile(meta).id);
+  alert(message);
+}
+
+function restoreBackupFile(file) {
+  const reader = new FileReader();
+  reader.onload = async () => {
+    try {
+      await restoreBackupText(reader.result);
+    } catch (err) {
+      alert(`Could not restore the backup: ${err.message || err}`);
+    }
+  };
+  reader.onerror = () => alert(`Could not read that file${reader.error ? ` (${reader.error.message})` : ""}.`);
+  reader.readAsText(file);
+}
+
+/* ---------------------------
+   App lock (data encrypted at rest)
+---------------------------- */
+
+/**
+ * Opt-in lock for shared devices. Readings, events, predictions, the change
+ * journal, meta and pre-migration backups are encrypted (AES-GCM) under a
+ * random data key; the data key is wrapped with a key derived (PBKDF2) from
+ * a passphrase or PIN. VAULT_STORE holds (VAULT_KEY holds the same as one
+ * JSON object { header, records } without IndexedDB):
+ *   header: { key: "header", version, kdf: { name, hash, iterations, salt }, wrappedKey: { iv, data } }
+ *   one record per data key: { key, rev, iv, data } — the same keys as localStorage
+ *     (rev counts its writes; a removed key keeps { key, rev, removed: true })
+ *   LOCK_KEY (plaintext): { autoLockMin, createdAt } — only says a lock is set
+ * The decrypted vault is a map of those data keys, so while unlocked the app
+ * runs on the "encrypted" backend just like the localStorage fallback (see
+ * dataGet). Only changed keys are re-encrypted, at most once per
+ * VAULT_SAVE_DELAY_MS, and pending changes are sealed when the tab is hidden
+ * or closed. Only one tab holds the open vault: unlocking in another tab
+ * locks this one (lockChannel), and a write whose rev doesn't follow the
+ * stored one is refused instead of overwriting newer data. Locking reloads the page, which drops the key and
+ * every decrypted value. A forgotten passphrase cannot be recovered: the
+ * only way back in is to erase the data.
+ */
+const VAULT_HEADER_ID = "header";
+const VAULT_FORMAT_VERSION = 1;
+const VAULT_SAVE_DELAY_MS = 1000;
+const MIN_LOCK_PASSPHRASE_LENGTH = 4; // a PIN is allowed (see enableLock)
+const DEFAULT_AUTO_LOCK_MIN = 5;
+
+let vaultCryptoKey = null; // data key of the open vault
+let vaultRevs = {}; // data key -> rev of the record this tab last read or wrote
+const vaultDirtyKeys = new Set(); // data keys changed since the last seal
+let vaultStale = false; // another tab wrote newer data; nothing more is saved from here
+let vaultSaveTimer = null;
+let vaultSaving = Promise.resolve(); // vault writes run one after another
+// Tells other tabs { type: "unlocked" } (this tab opened the vault or turned the
+// lock on) or { type: "changed" } (lock turned off or data erased)
+const lockChannel = typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel("glucose_log_lock");
+let lastActivityAt = 0; // reset on unlock / enable; the idle clock never counts the lock screen
+
+function loadLockConfig() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCK_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+function saveLockConfig(config) {
+  localStorage.setItem(LOCK_KEY, JSON.stringify(config));
+}
+
+// Keys that hold data (and so move into the vault): the arrays, meta, backups
+function isDataKey(key) {
+  return [...Object.values(LOCAL_KEYS), META_KEY].includes(key) || key.startsWith(BACKUP_KEY_PREFIX);
+}
+
+function plainDataKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (isDataKey(key)) keys.push(key);
+  }
+  return keys;
+}
+
+function loadLocalVault() {
+  try {
+    return JSON.parse(localStorage.getItem(VAULT_KEY) || "null") || { header: null, records: {} };
+  } catch {
+    return { header: null, records: {} };
+  }
+}
+
+// -> { header, records: { [dataKey]: record } }
+async function readVault() {
+  if (!vaultDb) return loadLocalVault();
+  const header = (await idbTx("readonly", store => store.get(VAULT_HEADER_ID), VAULT_STORE, vaultDb)) || null;
+  const records = {};
+  (await idbTx("readonly", store => store.getAll(), VAULT_STORE, vaultDb)).forEach(rec => {
+    if (rec.key !== VAULT_HEADER_ID) records[rec.key] = rec;
+  });
+  return { header, records };
+}
+
+async function readVaultHeader() {
+  if (!vaultDb) return loadLocalVault().header;
+  return (await idbTx("readonly", store => store.get(VAULT_HEADER_ID), VAULT_STORE, vaultDb)) || null;
+}
+
+const storedRev = (rec) => (rec && rec.rev) || 0;
+
+/**
+ * Puts records and, when given, the header in one step. Each record must be
+ * the next rev of the stored one; otherwise another tab wrote in between,
+ * nothing is written and the result is false.
+ */
+async function writeVault(records, header = null) {
+  if (vaultDb) {
+    const out = { conflict: false };
+    try {
+      await idbTx("readwrite", store => {
+        if (header) store.put(header);
+        Object.values(records).forEach(rec => {
+          store.get(rec.key).onsuccess = (e) => {
+            if (out.conflict) return;
+            if (storedRev(e.target.result) !== rec.rev - 1) {
+              out.conflict = true;
+              store.transaction.abort();
+              return;
+            }
+            store.put(rec);
+          };
+        });
+      }, VAULT_STORE, vaultDb);
+    } catch (err) {
+      if (!out.conflict) throw err;
+    }
+    return !out.conflict;
+  }
+  const stored = loadLocalVault();
+  if (Object.values(records).some(rec => storedRev(stored.records[rec.key]) !== rec.rev - 1)) return false;
+  if (header) stored.header = header;
+  Object.values(records).forEach(rec => { stored.records[rec.key] = rec; });
+  localStorage.setItem(VAULT_KEY, JSON.stringify(stored));
+  return true;
+}
+
+async function removeVault() {
+  if (vaultDb) await idbTx("readwrite", store => store.clear(), VAULT_STORE, vaultDb);
+  localStorage.removeItem(VAULT_KEY);
+}
+
+function newDataKey() {
+  return crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"]);
+}
+
+// Header with the data key wrapped under a fresh salt for this passphrase
+async function wrapDataKey(dataKey, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const raw = new Uint8Array(await crypto.subtle.exportKey("raw", dataKey));
+  return {
+    key: VAULT_HEADER_ID,
+    version: VAULT_FORMAT_VERSION,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    wrappedKey: await aesEncrypt(await deriveAesKey(passphrase, salt), bytesToBase64(raw))
+  };
+}
+
+// Throws on a wrong passphrase (GCM authentication) or a damaged header
+async function unwrapDataKey(header, passphrase) {
+  if (!validIterations(header.kdf.iterations)) throw new Error(`unsupported key derivation (${header.kdf.iterations} iterations)`);
+  const wrapKey = await deriveAesKey(passphrase, base64ToBytes(header.kdf.salt), header.kdf.iterations);
+  const raw = base64ToBytes(await aesDecrypt(wrapKey, header.wrappedKey));
+  return crypto.subtle.importKey("raw", raw, "AES-GCM", true, ["encrypt", "decrypt"]);
+}
+
+// -> { [dataKey]: next-rev record }
+async function sealKeys(keys, dataKey = vaultCryptoKey) {
+  const records = {};
+  for (const key of keys) {
+    const rev = (vaultRevs[key] || 0) + 1;
+    records[key] = key in vault ? { key, rev, ...(await aesEncrypt(dataKey, vault[key])) } : { key, rev, removed: true };
+  }
+  return records;
+}
+
+function noteVaultWritten(records) {
+  Object.values(records).forEach(rec => { vaultRevs[rec.key] = rec.rev; });
+}
+
+// This tab's copy is out of date: reopen from what is stored
+function vaultConflict() {
+  vaultStale = true;
+  alert("The data was changed in another tab, so the latest change here could not be saved.\nThe app will lock and reopen with the stored data.");
+  location.reload();
+}
+
+// Queues task after any running vault write; a failed write doesn't block the next
+function queueVaultWrite(task) {
+  const run = vaultSaving.then(task);
+  vaultSaving = run.catch(() => {});
+  return run;
+}
+
+function saveVaultSoon(key) {
+  vaultDirtyKeys.add(key);
+  if (!vaultSaveTimer) vaultSaveTimer = setTimeout(flushVault, VAULT_SAVE_DELAY_MS);
+}
+
+// Seals the changed keys now; resolves once they are stored
+function flushVault() {
+  clearTimeout(vaultSaveTimer);
+  vaultSaveTimer = null;
+  return queueVaultWrite(async () => {
+    if (!vault || vaultStale || !vaultDirtyKeys.size) return;
+    const keys = [...vaultDirtyKeys];
+    vaultDirtyKeys.clear();
+    try {
+      const records = await sealKeys(keys);
+      if (!(await writeVault(records))) {
+        vaultConflict();
+        return;
+      }
+      noteVaultWritten(records);
+    } catch (err) {
+      keys.forEach(key => vaultDirtyKeys.add(key));
+      alert(`Could not save the encrypted data: ${err.message}`);
+    }
+  });
+}
+
+// -> { ok } with the vault open, or { ok: false, msg }
+async function openVault(passphrase) {
+  const { header, records } = await readVault();
+  if (!header) return { ok: false, msg: "No encrypted data was found on this device." };
+  if (header.version > VAULT_FORMAT_VERSION) return { ok: false, msg: "The data was locked by a newer version of this app." };
+  let dataKey;
+  try {
+    dataKey = await unwrapDataKey(header, passphrase);
+  } catch {
+    return { ok: false, msg: "Wrong passphrase or PIN." };
+  }
+  const data = {};
+  const revs = {};
+  try {
+    for (const rec of Object.values(records)) {
+      revs[rec.key] = storedRev(rec);
+      if (!rec.removed) data[rec.key] = await aesDecrypt(dataKey, rec);
     }
+  } catch {
+    return { ok: false, msg: "The encrypted data is damaged and can't be opened." };
+  }
+  vault = data;
+  vaultRevs = revs;
+  vaultCryptoKey = dataKey;
+  return { ok: true };
+}
 
-    // Cooldown
-    const inCooldown = now.tMs < cooldownUntilMs;
+async function passphraseMatches(passphrase) {
+  try {
+    await unwrapDataKey(await readVaultHeader(), passphrase);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-    // Trigger improved alert if not in cooldown and we have persistent risk
-    let impAlert = false;
-    if (!inCooldown && rawRisk !== "NONE" && persist >= 2) {
-      active = rawRisk;
-      impAlert = true;
-      cooldownUntilMs = now.tMs + 60 * 60000; // 60 min cooldown
+// Every data key as stored text; IndexedDB stores become the same whole arrays
+async function readPlainData() {
+  const data = {};
+  plainDataKeys().forEach(key => { data[key] = localStorage.getItem(key); });
+  if (db) {
+    for (const [storeName, key] of Object.entries(LOCAL_KEYS)) {
+      // Arrays left by a localStorage-fallback session are kept, as migrateIfNeeded would
+      data[key] = JSON.stringify(unionById(await repoAllProfiles(storeName), loadLocalArray(key)));
     }
+    (await idbTx("readonly", store => store.getAll(), BACKUP_STORE)).forEach(b => { data[b.key] = JSON.stringify(b); });
+  }
+  return data;
+}
+
+// Inverse of readPlainData (turning the lock off)
+async function writePlainData(data) {
+  if (!db) {
+    Object.entries(data).forEach(([key, text]) => localStorage.setItem(key, text));
+    return;
+  }
+  for (const [storeName, key] of Object.entries(LOCAL_KEYS)) await repoReplaceAll(JSON.parse(data[key] || "[]"), storeName);
+  const backups = Object.keys(data).filter(key => key.startsWith(BACKUP_KEY_PREFIX)).map(key => JSON.parse(data[key]));
+  await idbTx("readwrite", store => { backups.forEach(b => store.put(b)); }, BACKUP_STORE);
+  if (data[META_KEY]) localStorage.setItem(META_KEY, data[META_KEY]);
+}
 
-    // Clear active via hysteresis (optional display logic)
-    if (active === "HYPO" && smoothProj > hypoExit) active = "NONE";
-    if (active === "HYPER" && smoothProj < hyperExit) active = "NONE";
+// Best effort: a browser may keep deleted bytes on disk until it compacts its files
+async function wipePlainData() {
+  if (db) {
+    for (const storeName of [...Object.keys(LOCAL_KEYS), BACKUP_STORE]) await idbTx("readwrite", store => store.clear(), storeName);
+  }
+  plainDataKeys().forEach(key => localStorage.removeItem(key));
+}
 
-    const impTrueEvent = trueEvent;
-    if (impAlert && impTrueEvent) impTP++;
-    if (impAlert && !impTrueEvent) impFP++;
-    if (!impAlert && impTrueEvent) impFN++;
+// Asks twice; null (after saying why) when cancelled, too short or mistyped
+function askNewLockPassphrase(question) {
+  const passphrase = prompt(question);
+  if (passphrase == null) return null;
+  if (passphrase.length < MIN_LOCK_PASSPHRASE_LENGTH) {
+    alert(`Use at least ${MIN_LOCK_PASSPHRASE_LENGTH} characters or digits. Nothing was changed.`);
+    return null;
+  }
+  if (prompt("Type it again:") !== passphrase) {
+    alert("They don't match. Nothing was changed.");
+    return null;
   }
+  return passphrase;
+}
 
-  function precision(tp, fp) {
-    const denom = tp + fp;
-    return denom ? tp / denom : 0;
+async function enableLock() {
+  const passphrase = askNewLockPassphrase(
+    `Choose a passphrase or PIN for this app (at least ${MIN_LOCK_PASSPHRASE_LENGTH} characters).\n` +
+    "A short PIN stops someone who picks up the device; a long passphrase also protects the data if the browser's files are copied."
+  );
+  if (passphrase == null) return;
+  if (!confirm("If you forget this passphrase, your data is lost: it can't be reset or recovered, only erased.\n" +
+    "Make an Encrypted Backup first if you want a copy you can restore.\n\nTurn on the app lock?")) return;
+
+  vaultDb = db;
+  vault = await readPlainData();
+  try {
+    vaultCryptoKey = await newDataKey();
+    vaultRevs = {};
+    await removeVault(); // leftovers of an interrupted attempt
+    const records = await sealKeys(Object.keys(vault));
+    await writeVault(records, await wrapDataKey(vaultCryptoKey, passphrase));
+    noteVaultWritten(records);
+  } catch (err) {
+    vault = vaultCryptoKey = vaultDb = null;
+    alert(`Could not turn on the app lock: ${err.message}`);
+    return;
   }
-  function recall(tp, fn) {
-    const denom = tp + fn;
-    return denom ? tp / denom : 0;
+  saveLockConfig({ autoLockMin: DEFAULT_AUTO_LOCK_MIN, createdAt: new Date().toISOString() });
+  // Only once the encrypted copy is saved
+  await wipePlainData();
+  db = null;
+  storageBackend = "encrypted";
+  saveMeta({ ...loadMeta(), storageBackend });
+
+  lastActivityAt = Date.now();
+  announceLock("unlocked");
+  renderLockSettings();
+  render();
+  alert(`App lock is on. The app locks after ${DEFAULT_AUTO_LOCK_MIN} minutes without use, or with "Lock".`);
+}
+
+async function disableLock() {
+  const current = prompt("Passphrase or PIN, to turn the app lock off.\nThe data will be stored unencrypted on this device again.");
+  if (current == null) return;
+  if (!(await passphraseMatches(current))) {
+    alert("That's not the current passphrase or PIN.");
+    return;
   }
 
-  const fpReduction = baseFP ? ((baseFP - impFP) / baseFP) * 100 : 0;
+  await flushVault();
+  const data = vault;
+  vault = null;
+  db = vaultDb;
+  try {
+    await writePlainData(data);
+  } catch (err) {
+    await wipePlainData();
+    vault = data;
+    db = null;
+    alert(`Could not turn off the app lock: ${err.message}\nThe data stays encrypted.`);
+    return;
+  }
+  await removeVault();
+  localStorage.removeItem(LOCK_KEY);
+  vaultCryptoKey = vaultDb = null;
+  storageBackend = db ? "indexeddb" : "localStorage";
+  saveMeta({ ...loadMeta(), storageBackend });
+  announceLock("changed");
+
+  renderLockSettings();
+  render();
+}
 
-  return {
-    baseline: { TP: baseTP, FP: baseFP, FN: baseFN, precision: precision(baseTP, baseFP), recall: recall(baseTP, baseFN) },
-    improved: { TP: impTP, FP: impFP, FN: impFN, precision: precision(impTP, impFP), recall: recall(impTP, impFN) },
-    fpReductionPct: fpReduction
+async function changeLockPassphrase() {
+  const current = prompt("Current passphrase or PIN:");
+  if (current == null) return;
+  if (!(await passphraseMatches(current))) {
+    alert("That's not the current passphrase or PIN.");
+    return;
+  }
+  const passphrase = askNewLockPassphrase(`New passphrase or PIN (at least ${MIN_LOCK_PASSPHRASE_LENGTH} characters):`);
+  if (passphrase == null) return;
+
+  await flushVault();
+  // A new data key as well, so every record is re-encrypted; records and the
+  // new header are stored in one step, and no seal can run in between
+  const changed = await queueVaultWrite(async () => {
+    const dataKey = await newDataKey();
+    vaultDirtyKeys.clear();
+    const records = await sealKeys(Object.keys(vault), dataKey);
+    if (!(await writeVault(records, await wrapDataKey(dataKey, passphrase)))) return false;
+    noteVaultWritten(records);
+    vaultCryptoKey = dataKey;
+    return true;
+  });
+  if (!changed) {
+    vaultConflict();
+    return;
+  }
+  alert("Passphrase changed. Use the new one to unlock from now on.");
+}
+
+// Reloading drops the key and every decrypted value from memory
+async function lockApp() {
+  if (!vault) return;
+  await flushVault();
+  location.reload();
+}
+
+async function forgotLockPassphrase() {
+  if (!confirm("Without the passphrase or PIN nobody can open the encrypted data, including you.\n" +
+    "The only way back into the app is to ERASE it: every profile's readings, events, predictions and settings on this device.\n" +
+    "If you have an Encrypted Backup file, you can restore it afterwards.\n\nContinue?")) return;
+  if (prompt("Type ERASE to delete all data on this device:") !== "ERASE") return;
+
+  await removeVault();
+  await wipePlainData();
+  localStorage.removeItem(LOCK_KEY);
+  announceLock("changed");
+  location.reload();
+}
+
+function announceLock(type) {
+  if (lockChannel) lockChannel.postMessage({ type });
+}
+
+// Runs before the lock screen, so a locked tab hears about the lock going away too
+function setupLockSync() {
+  // A tab can be discarded once hidden: seal pending changes right away
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) flushVault();
+  });
+  window.addEventListener("pagehide", () => { flushVault(); });
+  if (!lockChannel) return;
+  lockChannel.onmessage = async (e) => {
+    // Still on the lock screen: nothing is open here, another tab unlocking changes nothing
+    if (!ui.lockScreen.hidden && e.data?.type === "unlocked") return;
+    await flushVault();
+    location.reload();
+  };
+}
+
+// Resolves once the passphrase opens the vault; init waits on it before reading any data
+function showLockScreen() {
+  vaultDb = db;
+  document.body.classList.add("isLocked");
+  ui.lockScreen.hidden = false;
+  ui.unlockInput.focus();
+
+  return new Promise(resolve => {
+    const unlock = async () => {
+      if (ui.unlockBtn.disabled) return;
+      ui.unlockBtn.disabled = true;
+      ui.unlockMsg.textContent = "Unlocking…";
+      const result = await openVault(ui.unlockInput.value);
+      ui.unlockBtn.disabled = false;
+      if (!result.ok) {
+        ui.unlockMsg.textContent = result.msg;
+        ui.unlockInput.select();
+        return;
+      }
+      lastActivityAt = Date.now();
+      announceLock("unlocked");
+      // Finishes a lock that was interrupted before the plaintext was removed
+      await wipePlainData();
+      db = null;
+      storageBackend = "encrypted";
+      ui.unlockInput.value = "";
+      ui.unlockMsg.textContent = "";
+      ui.lockScreen.hidden = true;
+      document.body.classList.remove("isLocked");
+      resolve();
+    };
+    ui.unlockBtn.addEventListener("click", unlock);
+    ui.unlockInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") unlock();
+    });
+    ui.forgotLockBtn.addEventListener("click", forgotLockPassphrase);
+  });
+}
+
+function renderLockSettings() {
+  const on = Boolean(vault);
+  ui.lockToggleBtn.textContent = on ? "Turn Off App Lock" : "Turn On App Lock";
+  [ui.lockChangeBtn, ui.autoLockMin, ui.lockNowBtn].forEach(x => { x.hidden = !on; });
+  if (on) ui.autoLockMin.value = String(loadLockConfig()?.autoLockMin ?? DEFAULT_AUTO_LOCK_MIN);
+}
+
+// Called after the unlock (init waits for it), so the idle clock starts fresh
+function setupAutoLock() {
+  lastActivityAt = Date.now();
+  ["pointerdown", "keydown", "wheel", "touchstart"].forEach(type => {
+    document.addEventListener(type, () => { lastActivityAt = Date.now(); }, { capture: true, passive: true });
+  });
+  const check = () => {
+    const minutes = Number(loadLockConfig()?.autoLockMin) || 0;
+    if (vault && minutes && Date.now() - lastActivityAt >= minutes * 60000) lockApp();
   };
+  setInterval(check, 15000);
+  // Timers are throttled in background tabs; check again when the tab is shown
+  document.addEventListener("visibilitychange", check);
 }
 
 /* ---------------------------
-   UI bindings
+   CSV import handlers
 ---------------------------- */
 
-const ui = {
-  patientName: el("patientName"),
-  glucose: el("glucose"),
-  context: el("context"),
-  dt: el("dt"),
-  notes: el("notes"),
-  editingId: el("editingId"),
+const IMPORT_PREVIEW_LIMIT = 200;
 
-  saveBtn: el("saveBtn"),
-  cancelEditBtn: el("cancelEditBtn"),
-  exportBtn: el("exportBtn"),
-  reportBtn: el("reportBtn"),
-  clearBtn: el("clearBtn"),
+function contextOptions() {
+  return Array.from(ui.context.options).map(o => o.value);
+}
 
-  windowDays: el("windowDays"),
-  targetLow: el("targetLow"),
-  targetHigh: el("targetHigh"),
-  contextFilter: el("contextFilter"),
-  sortOrder: el("sortOrder"),
+function importSelects() {
+  return {
+    date: ui.importColDate,
+    value: ui.importColValue,
+    context: ui.importColContext,
+    notes: ui.importColNotes
+  };
+}
 
-  modePill: el("modePill"),
-  undoPill: el("undoPill"),
-  undoBtn: el("undoBtn"),
+function fillImportMapping(header, mapping) {
+  const selects = importSelects();
+  Object.keys(selects).forEach(key => {
+    const sel = selects[key];
+    sel.innerHTML = `<option value="-1">— none —</option>` +
+      header.map((h, i) => `<option value="${i}">${escapeHtml(h || `Column ${i + 1}`)}</option>`).join("");
+    sel.value = String(mapping[key]);
+  });
+}
 
-  kpiTir: el("kpiTir"),
-  kpiTirSub: el("kpiTirSub"),
-  kpiAvg: el("kpiAvg"),
-  kpiAvgSub: el("kpiAvgSub"),
-  kpiStd: el("kpiStd"),
-  kpiStdSub: el("kpiStdSub"),
-  kpiMedian: el("kpiMedian"),
-  kpiMedianSub: el("kpiMedianSub"),
-  kpiFastingAvg: el("kpiFastingAvg"),
-  kpiFastingSub: el("kpiFastingSub"),
-  kpiEvents: el("kpiEvents"),
-  kpiEventsSub: el("kpiEventsSub"),
+function readImportMapping() {
+  const selects = importSelects();
+  const mapping = {};
+  Object.keys(selects).forEach(key => { mapping[key] = Number(selects[key].value); });
+  return mapping;
+}
 
-  mainChart: el("chart"),
-  predChart: el("predChart"),
+function openImportFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    const parsed = parseImportFile(reader.result);
+    const count = parsed.kind === "csv" ? parsed.rows.length + parsed.events.length : (parsed.results || []).length;
+    if (!count) {
+      alert(parsed.kind === "invalid" ? `Could not import: ${parsed.label}.` : "No glucose readings found in this file.");
+      return;
+    }
 
-  // Prediction panel
-  predCurrent: el("predCurrent"),
-  predSugar: el("predSugar"),
-  predHorizon: el("predHorizon"),
-  mgdlPerGram: el("mgdlPerGram"),
-  absorbMin: el("absorbMin"),
-  activityFactor: el("activityFactor"),
-  predictBtn: el("predictBtn"),
-  useLastBtn: el("useLastBtn"),
-  predText: el("predText"),
+    pendingImport = { fileName: file.name, fileMeta: {}, ...parsed };
+    ui.importApplyMeta.value = "targets"; // renaming the profile is picked per import
 
-  // Synthetic / backtest
-  synDays: el("synDays"),
-  synPoints: el("synPoints"),
-  btHorizon: el("btHorizon"),
-  genTestBtn: el("genTestBtn"),
-  runBacktestBtn: el("runBacktestBtn"),
-  backtestOut: el("backtestOut"),
+    // Vendor formats are already mapped; only generic CSVs need the mapping selects
+    ui.importMappingRow.hidden = parsed.kind !== "csv";
+    if (parsed.kind === "csv") {
+      pendingImport.mapping = guessColumnMapping(parsed.header);
+      fillImportMapping(parsed.header, pendingImport.mapping);
+      ui.importUnit.value = guessImportUnit(parsed.header, parsed.rows, pendingImport.mapping.value);
+    }
 
-  tbody: el("tbody"),
-};
+    ui.importCard.hidden = false;
+    renderImportPreview();
+    ui.importCard.scrollIntoView({ behavior: "smooth" });
+  };
+  reader.onerror = () => alert("Could not read that file.");
+  reader.readAsText(file);
+}
+
+async function currentImportPlan() {
+  let candidates = pendingImport.results;
+  if (pendingImport.kind === "csv") {
+    const mapping = { ...readImportMapping(), source: pendingImport.mapping.source };
+    const contexts = contextOptions();
+    const unit = ui.importUnit.value;
+    candidates = pendingImport.rows.map(cells => validateImportRow(cells, mapping, contexts, unit));
+  }
+  return buildImportPlan(candidates, await repoAll());
+}
+
+async function renderImportPreview() {
+  if (!pendingImport) return;
+
+  const plan = await currentImportPlan();
+  if (!pendingImport) return;
+  const merge = ui.importDupMode.value === "merge";
+
+  const okCount = plan.filter(p => p.status === "ok").length;
+  const dupCount = plan.filter(p => p.status === "dup").length;
+  const mergeCount = merge ? plan.filter(p => p.status === "dup" && p.match).length : 0;
+  const errCount = plan.filter(p => p.status === "error").length;
+
+  const fileEvents = pendingImport.events || [];
+  const newEvents = fileEvents.length ? newImportEvents(fileEvents, await repoAll(EVENT_STORE)) : [];
+  if (!pendingImport) return;
+
+  const fm = pendingImport.fileMeta;
+  const metaBits = [];
+  if (fm.patient) metaBits.push(`patient ${fm.patient}`);
+  if (fm.targetLow != null) metaBits.push(`target ${fmtBg(fm.targetLow)}–${fmtBg(fm.targetHigh)} ${unitLabel()}`);
+
+  ui.importPill.textContent = `${okCount} new • ${dupCount} duplicate • ${errCount} errors`;
+  ui.importText.textContent =
+    `${pendingImport.fileName}: ${pendingImport.label}` +
+    ` • ${plan.length} rows` +
+    (metaBits.length ? ` • header: ${metaBits.join(", ")}` : "") +
+    (fileEvents.length ? ` • ${fileEvents.length} events (${newEvents.length} new)` : "") +
+    (plan.length > IMPORT_PREVIEW_LIMIT ? ` • showing first ${IMPORT_PREVIEW_LIMIT}` : "");
+
+  ui.importTbody.innerHTML = "";
+  plan.slice(0, IMPORT_PREVIEW_LIMIT).forEach(item => {
+    const tr = document.createElement("tr");
+
+    if (item.status === "error") {
+      tr.innerHTML = `
+        <td>${item.row}</td>
+        <td colspan="4" class="muted">${escapeHtml(item.cells.join(", "))}</td>
+        <td><span class="badge badge--low">${escapeHtml(item.errors.join("; "))}</span></td>
+      `;
+    } else {
+      const check = item.status === "ok"
+        ? `<span class="badge badge--in">NEW</span>`
+        : `<span class="badge badge--high">${item.match && merge ? "DUPLICATE → MERGE" : "DUPLICATE → SKIP"}</span>`;
+
+      tr.innerHTML = `
+        <td>${item.row}</td>
+        <td>${escapeHtml(formatLocal(item.record.dtIso))}</td>
+        <td><strong>${fmtBg(item.record.value)}</strong> <span class="muted">${unitLabel()}</span></td>
+        <td>${escapeHtml(item.record.context)}</td>
+        <td class="muted">${escapeHtml(item.record.notes)}</td>
+        <td>${check}</td>
+      `;
+    }
+
+    ui.importTbody.appendChild(tr);
+  });
+
+  const n = okCount + mergeCount;
+  const parts = [];
+  if (n) parts.push(`${n} reading${n === 1 ? "" : "s"}`);
+  if (newEvents.length) parts.push(`${newEvents.length} event${newEvents.length === 1 ? "" : "s"}`);
+  ui.importConfirmBtn.disabled = !parts.length;
+  ui.importConfirmBtn.textContent = parts.length ? `Import ${parts.join(" + ")}` : "Nothing to import";
+}
+
+function closeImport() {
+  pendingImport = null;
+  ui.importCard.hidden = true;
+  ui.importTbody.innerHTML = "";
+}
+
+async function commitImport() {
+  if (!pendingImport) return;
+
+  const plan = await currentImportPlan();
+  const merge = ui.importDupMode.value === "merge";
+  const changes = []; // journal entries: { storeName, before, after }
+
+  let added = 0, merged = 0, skipped = 0, errors = 0;
+  plan.forEach(item => {
+    if (item.status === "error") errors++;
+    else if (item.status === "ok") {
+      changes.push({ storeName: RECORD_STORE, before: null, after: { id: uid(), ...item.record } });
+      added++;
+    } else if (merge && item.match) {
+      changes.push({ storeName: RECORD_STORE, before: item.match, after: mergeImported(item.match, item.record) });
+      merged++;
+    } else skipped++;
+  });
+
+  await repoPutMany(changes.map(c => c.after));
+
+  const events = (pendingImport.events || []).length
+    ? newImportEvents(pendingImport.events, await repoAll(EVENT_STORE)).map(e => ({ id: uid(), ...e }))
+    : [];
+  await repoPutMany(events, EVENT_STORE);
+  events.forEach(after => changes.push({ storeName: EVENT_STORE, before: null, after }));
+  await journalRecord("import", changes);
+
+  const fm = pendingImport.fileMeta;
+  // The patient name only renames the active profile when that option was picked
+  if (ui.importApplyMeta.value !== "no") {
+    if (fm.patient && ui.importApplyMeta.value === "rename") {
+      saveProfile({ name: fm.patient });
+      renderProfileSelect();
+    }
+    if (fm.targetLow != null) {
+      writeBgInput(ui.targetLow, fm.targetLow);
+      writeBgInput(ui.targetHigh, fm.targetHigh);
+    }
+  }
 
-let lastDeleted = null;
-let syntheticSeries = null;
+  closeImport();
+  await render();
+  alert(`Import done: ${added} added • ${merged} merged • ${skipped} duplicates skipped • ${errors} rows with errors` +
+    (events.length ? ` • ${events.length} events added.` : "."));
+}
 
 /* ---------------------------
-   Preferences + render pipeline
+   Prediction panel handlers
 ---------------------------- */
 
-function getPrefs() {
-  const low = clampNumber(Number(ui.targetLow.value), 40, 300) ?? 70;
-  const high = clampNumber(Number(ui.targetHigh.value), 40, 400) ?? 180;
-  const days = Number(ui.windowDays.value);
-  const ctxFilter = ui.contextFilter.value;
-  const sortOrder = ui.sortOrder.value;
-  const patient = (ui.patientName.value || "").trim();
+// Model parameters; saved per profile as profile.prediction
+const DEFAULT_PREDICTION_PARAMS = { mgdlPerGram: 1.6, peakMin: 45, activityFactor: 1.0, isf: 50 };
 
-  const fixedLow = Math.min(low, high - 1);
-  const fixedHigh = Math.max(high, fixedLow + 1);
+function readPredictionParams() {
+  const d = DEFAULT_PREDICTION_PARAMS;
+  return {
+    mgdlPerGram: clampNumber(readBgInput(ui.mgdlPerGram) ?? NaN, 0, 10) ?? d.mgdlPerGram,
+    peakMin: clampNumber(Number(ui.absorbMin.value), 15, 180) ?? d.peakMin,
+    activityFactor: Number(ui.activityFactor.value) || d.activityFactor,
+    isf: clampNumber(readBgInput(ui.predIsf) ?? NaN, 5, 200) ?? d.isf
+  };
+}
 
-  return { low: fixedLow, high: fixedHigh, days, ctxFilter, sortOrder, patient };
+function writePredictionParams(params) {
+  writeBgInput(ui.mgdlPerGram, params.mgdlPerGram);
+  ui.absorbMin.value = String(params.peakMin);
+  const option = Array.from(ui.activityFactor.options).find(o => Number(o.value) === params.activityFactor);
+  if (option) ui.activityFactor.value = option.value;
+  writeBgInput(ui.predIsf, params.isf);
 }
 
-function filterRecords(records, prefs) {
-  return records
-    .filter(r => withinDays(r.dtIso, prefs.days))
-    .filter(r => prefs.ctxFilter === "ALL" ? true : r.context === prefs.ctxFilter);
+async function runPrediction() {
+  const prefs = getPrefs();
+
+  const currentMgdl = readBgInput(ui.predCurrent);
+  const current = currentMgdl == null ? null : clampNumber(currentMgdl, 40, 600);
+  const grams = clampNumber(Number(ui.predSugar.value), 0, 300);
+  const horizon = Number(ui.predHorizon.value);
+  const params = readPredictionParams();
+
+  // The Sugar field is a medium-speed carb input at t=0
+  const inputs = (grams ? [{ kind: "carbs", atMin: 0, grams, speed: "medium" }] : []).concat(predInputs);
+
+  if (current == null) {
+    ui.predText.textContent = "Enter current glucose.";
+    drawPredictionChart(ui.predChart, null, prefs.low, prefs.high);
+    return;
+  }
+  if (!inputs.length) {
+    ui.predText.textContent = "Enter sugar grams or add a timed input.";
+    drawPredictionChart(ui.predChart, null, prefs.low, prefs.high);
+    return;
+  }
+
+  const { points: curve, components } = predictStackedCurve(current, inputs, params, horizon);
+
+  // Spread: personal fit (if applied) or default uncertainty
+  const uncertainty = predictionUncertainty(activeProfile().foodModel);
+  const bands = predictionBands(current, inputs, params, horizon, uncertainty, prefs.low, prefs.high);
+
+  // Summarize key values
+  const peak = curve.reduce((best, p) => (p.bg > best.bg ? p : best), curve[0]);
+  const nadir = curve.reduce((best, p) => (p.bg < best.bg ? p : best), curve[0]);
+  const endBand = bands.points[bands.points.length - 1];
+  const iob = insulinOnBoard(inputs);
+  const range = (q) => `${fmtBg(q.p25)}–${fmtBg(q.p75)} (90%: ${fmtBg(q.p5)}–${fmtBg(q.p95)})`;
+  const pct = (x) => `${Math.round(x * 100)}%`;
+
+  ui.predText.textContent =
+    `Peak ≈ ${range(bands.peak)} ${unitLabel()} at ~${peak.tMin} min • ` +
+    (nadir.bg < current ? `Low point ≈ ${fmtBg(nadir.bg)} ${unitLabel()} at ~${nadir.tMin} min • ` : "") +
+    `End ≈ ${range(endBand)} ${unitLabel()} at ${horizon} min` +
+    (iob > 0.05 ? ` • insulin on board ${iob.toFixed(1)} u` : "") +
+    ` • chance of going above ${fmtBg(prefs.high)}: ${pct(bands.chanceAbove)}, below ${fmtBg(prefs.low)}: ${pct(bands.chanceBelow)}` +
+    ` • spread from ${uncertainty.source}` +
+    (uncertainty.residualMgdl ? `, past error ±${fmtBg(uncertainty.residualMgdl)} ${unitLabel()}` : "") +
+    " (educational estimate)";
+
+  drawPredictionChart(ui.predChart, curve, prefs.low, prefs.high, components, bands.points);
+
+  try {
+    await savePrediction({
+      currentBg: current,
+      inputs: inputs.map(({ id, ...input }) => input),
+      params,
+      horizonMin: horizon,
+      curve,
+      bands: bands.points.map(b => ({ tMin: b.tMin, p5: b.p5, p95: b.p95 }))
+    });
+  } catch (err) {
+    alert(`Could not save the prediction for accuracy tracking: ${err.message || err}`);
+    return;
+  }
+  renderAccuracy(await loadAccuracyReport());
 }
 
-function sortRecords(records, sortOrder) {
-  const dir = (sortOrder === "ASC") ? 1 : -1;
-  return records.slice().sort((a, b) => (new Date(a.dtIso) - new Date(b.dtIso)) * dir);
+// The accuracy panel scores it once readings arrive
+async function savePrediction(prediction) {
+  const now = Date.now();
+  const merge = lastSavedPrediction && now - lastSavedPrediction.at < PREDICTION_MERGE_MIN * 60000;
+  const id = merge ? lastSavedPrediction.id : uid();
+  lastSavedPrediction = { id, at: merge ? lastSavedPrediction.at : now };
+  await repoPutMany([{ id, dtIso: new Date(lastSavedPrediction.at).toISOString(), ...prediction }], PREDICTION_STORE);
 }
 
-function renderKPIs(summary, prefs) {
-  if (!summary.total) {
-    ui.kpiTir.textContent = "—";
-    ui.kpiTirSub.textContent = "No readings in selected window";
-    ui.kpiAvg.textContent = "—";
-    ui.kpiAvgSub.textContent = "—";
-    ui.kpiStd.textContent = "—";
-    ui.kpiStdSub.textContent = "—";
-    ui.kpiMedian.textContent = "—";
-    ui.kpiMedianSub.textContent = "—";
-    ui.kpiFastingAvg.textContent = "—";
-    ui.kpiFastingSub.textContent = "—";
-    ui.kpiEvents.textContent = "—";
-    ui.kpiEventsSub.textContent = `Target ${prefs.low}–${prefs.high}`;
-    return;
+/**
+ * Accuracy of the active profile's saved predictions. Each prediction reads
+ * only the readings within its own horizon, and the report is reused until
+ * a reading or prediction is written (storeRevs) or the profile changes.
+ */
+async function loadAccuracyReport() {
+  const key = `${activeProfileId}|${storeRevs[RECORD_STORE] || 0}|${storeRevs[PREDICTION_STORE] || 0}`;
+  if (accuracyCache.key === key) return accuracyCache.report;
+
+  const predictions = await repoAll(PREDICTION_STORE);
+  const points = [];
+  for (const p of predictions) {
+    const endIso = new Date(new Date(p.dtIso).getTime() + p.horizonMin * 60000).toISOString();
+    points.push(...evaluatePrediction(p, await repoQueryRange(p.dtIso, endIso)));
   }
+  accuracyCache = { key, report: accuracyReport(predictions.length, points) };
+  return accuracyCache.report;
+}
 
-  ui.kpiTir.textContent = `${summary.tirPct}%`;
-  ui.kpiTirSub.textContent = `${summary.inRange}/${summary.total} in range • ${summary.lowCount} low • ${summary.highCount} high`;
+function accuracyRow(label, sum) {
+  const tr = document.createElement("tr");
+  const fmtPct = (x) => (x == null ? "—" : `${Math.round(x)}%`);
+  tr.innerHTML = `
+    <td>${escapeHtml(label)}</td>
+    <td>${sum.predictions}</td>
+    <td>${sum.n}</td>
+    <td>${fmtBg(sum.mae, 1)}</td>
+    <td>${sum.bias >= 0 ? "+" : "−"}${fmtBg(Math.abs(sum.bias), 1)}</td>
+    <td>${fmtPct(sum.zonePct.A)} / ${fmtPct(sum.zonePct.A + sum.zonePct.B)}</td>
+    <td>${fmtPct(sum.band90Pct)}</td>
+  `;
+  return tr;
+}
 
-  ui.kpiAvg.textContent = summary.avg ? summary.avg.toFixed(1) : "—";
-  ui.kpiAvgSub.textContent = `mg/dL • ${prefs.days >= 99999 ? "all-time" : `${prefs.days}d`}`;
+function renderAccuracy(report) {
+  ui.accContextTbody.innerHTML = "";
+  ui.accWeekTbody.innerHTML = "";
 
-  ui.kpiStd.textContent = summary.sd ? summary.sd.toFixed(1) : "—";
-  ui.kpiStdSub.textContent = "std dev";
+  const o = report.overall;
+  if (!o.n) {
+    ui.accText.textContent = report.saved
+      ? `${report.saved} saved predictions; none has a reading logged within its horizon yet.`
+      : "Predictions are saved when you run them and scored against readings you log afterwards.";
+    return;
+  }
 
-  ui.kpiMedian.textContent = summary.med ? summary.med.toFixed(1) : "—";
-  ui.kpiMedianSub.textContent = "median";
+  ui.accText.textContent =
+    `${o.predictions} of ${report.saved} saved predictions scored against ${o.n} later readings • ` +
+    `MAE ${fmtBg(o.mae, 1)} ${unitLabel()} • bias ${o.bias >= 0 ? "+" : "−"}${fmtBg(Math.abs(o.bias), 1)} ` +
+    `(${o.bias >= 0 ? "over" : "under"}-predicts) • Clarke A ${Math.round(o.zonePct.A)}%, A+B ${Math.round(o.zonePct.A + o.zonePct.B)}%`;
 
-  ui.kpiFastingAvg.textContent = summary.fastingAvg ? summary.fastingAvg.toFixed(1) : "—";
-  ui.kpiFastingSub.textContent = summary.fastingCount ? `${summary.fastingCount} fasting` : "No fasting readings";
+  report.byContext.forEach(c => ui.accContextTbody.appendChild(accuracyRow(c.context, c)));
+  report.byWeek.forEach(w => ui.accWeekTbody.appendChild(accuracyRow(`Week of ${new Date(w.weekIso).toLocaleDateString()}`, w)));
+}
 
-  ui.kpiEvents.textContent = `${summary.lowCount + summary.highCount}`;
-  ui.kpiEventsSub.textContent = `Target ${prefs.low}–${prefs.high}`;
+// Amount + option fields follow the chosen input kind
+function syncPredInputFields() {
+  const kind = ui.predInKind.value;
+  const options = kind === "carbs"
+    ? Object.entries(CARB_SPEEDS).map(([value, s]) => [value, `${s.label} absorption`])
+    : kind === "exercise"
+      ? Object.keys(EXERCISE_RATES).map(value => [value, `${value[0].toUpperCase()}${value.slice(1)} intensity`])
+      : [];
+  ui.predInOption.innerHTML = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join("");
+  ui.predInOption.disabled = !options.length;
+  if (kind === "carbs") ui.predInOption.value = "medium";
+  if (kind === "exercise") ui.predInOption.value = "moderate";
+  ui.predInAmount.placeholder = { carbs: "grams", insulin: "units", exercise: "minutes" }[kind];
 }
 
-function renderTable(records, prefs) {
-  ui.tbody.innerHTML = "";
+function renderPredInputs() {
+  ui.predInputList.innerHTML = predInputs.map(input => `
+    <li>${escapeHtml(describePredInput(input))}
+      <button class="btn" data-remove-input="${input.id}" type="button">Remove</button></li>
+  `).join("");
+}
 
-  records.forEach(r => {
-    const st = statusFor(r.value, prefs.low, prefs.high);
+function addPredInput() {
+  const kind = ui.predInKind.value;
+  const amount = Number(ui.predInAmount.value);
+  const atMin = Math.round(Number(ui.predInAt.value) || 0);
 
-    const tr = document.createElement("tr");
-    tr.className = "clickRow";
-    tr.dataset.editId = r.id;
+  const limits = { carbs: [1, 300], insulin: [0.5, 50], exercise: [5, 240] }[kind];
+  if (!(amount >= limits[0] && amount <= limits[1])) {
+    alert(`Enter ${ui.predInAmount.placeholder} between ${limits[0]} and ${limits[1]}.`);
+    return;
+  }
+  if (atMin < -360 || atMin > 360) {
+    alert("Time must be within 6 hours of now (negative = already happened).");
+    return;
+  }
 
-    tr.innerHTML = `
-      <td>${escapeHtml(formatLocal(r.dtIso))}</td>
-      <td><strong>${r.value}</strong> <span class="muted">mg/dL</span></td>
-      <td><span class="badge ${st.cls}">${st.label}</span></td>
-      <td>${escapeHtml(r.context)}</td>
-      <td class="muted">${escapeHtml(r.notes)}</td>
-      <td><button class="btn" data-del="${r.id}" type="button">Delete</button></td>
-    `;
+  const input = { id: uid(), kind, atMin };
+  if (kind === "carbs") Object.assign(input, { grams: amount, speed: ui.predInOption.value });
+  if (kind === "insulin") Object.assign(input, { units: amount });
+  if (kind === "exercise") Object.assign(input, { durationMin: amount, intensity: ui.predInOption.value });
+  predInputs.push(input);
 
-    ui.tbody.appendChild(tr);
+  ui.predInAmount.value = "";
+  renderPredInputs();
+  runPrediction();
+}
+
+// Meals, rapid/short insulin and exercise logged in the last 6 hours
+async function addRecentEventsToPrediction() {
+  const now = Date.now();
+  const events = await repoQueryRange(new Date(now - 6 * 60 * 60000).toISOString(), new Date(now).toISOString(), "ALL", EVENT_STORE);
+
+  const added = [];
+  events.forEach(e => {
+    const atMin = Math.round((new Date(e.dtIso).getTime() - now) / 60000);
+    if (e.type === "meal" && mealGrams(e) > 0) added.push({ kind: "carbs", atMin, grams: mealGrams(e), speed: "medium" });
+    if (e.type === "insulin" && ["rapid", "short"].includes(e.insulinType)) added.push({ kind: "insulin", atMin, units: e.units });
+    if (e.type === "exercise") added.push({ kind: "exercise", atMin, durationMin: e.durationMin, intensity: e.intensity || "moderate" });
   });
+
+  if (!added.length) {
+    ui.predText.textContent = "No meals, rapid insulin or exercise logged in the last 6 hours.";
+    return;
+  }
+  predInputs.push(...added.map(input => ({ id: uid(), ...input })));
+  renderPredInputs();
+  runPrediction();
 }
 
-function render() {
-  const prefs = getPrefs();
+async function useLastLoggedAsCurrent() {
+  const last = await repoLatest();
+  if (!last) {
+    ui.predText.textContent = "No logged readings yet.";
+    return;
+  }
+  writeBgInput(ui.predCurrent, last.value);
+  ui.predText.textContent = `Using last logged value: ${fmtBg(last.value)} ${unitLabel()}`;
+}
 
-  // Persist prefs to meta (polished UX)
-  const meta = loadMeta();
-  meta.schemaVersion = SCHEMA_VERSION;
-  meta.patientName = prefs.patient;
-  meta.targetLow = prefs.low;
-  meta.targetHigh = prefs.high;
-  meta.windowDays = prefs.days;
-  meta.contextFilter = prefs.ctxFilter;
-  meta.sortOrder = prefs.sortOrder;
-  saveMeta(meta);
+async function calibrateFoodModel() {
+  const observations = collectMealObservations(await repoAll(), await repoAll(EVENT_STORE));
+  const fit = fitFoodModel(observations);
+  lastCalibration = fit.ok ? fit : null;
+  ui.applyCalibrationBtn.disabled = !fit.ok;
 
-  const all = loadRecords();
-  const filtered = filterRecords(all, prefs);
-  const summary = computeSummary(filtered, prefs.low, prefs.high);
+  if (!fit.ok) {
+    ui.calibText.textContent = `Can’t calibrate yet: ${fit.reason}.`;
+    return;
+  }
 
-  renderKPIs(summary, prefs);
-  drawSeriesChart(ui.mainChart, filtered, prefs.low, prefs.high);
+  const [kLo, kHi] = fit.mgdlPerGramCi;
+  const [pLo, pHi] = fit.peakMinCi;
+  const peakCi = pLo === pHi ? `within the ${FIT_PEAK_GRID.step}-min grid` : `${pLo}–${pHi}`;
+  ui.calibText.textContent =
+    `Fitted from ${fit.meals} meals (${fit.points} post-meal readings): ` +
+    `impact ${fmtRate(fit.mgdlPerGram)} ${unitLabel()}/g (95% CI ${fmtRate(kLo)}–${fmtRate(kHi)}) • ` +
+    `peak ~${fit.peakMin} min (95% CI ${peakCi}) • ` +
+    `typical error ±${fmtBg(fit.rmse)} ${unitLabel()}`;
+}
 
-  const sortedForTable = sortRecords(all, prefs.sortOrder);
-  renderTable(sortedForTable, prefs);
+function applyCalibration() {
+  if (!lastCalibration) return;
+  writeBgInput(ui.mgdlPerGram, lastCalibration.mgdlPerGram);
+  ui.absorbMin.value = String(lastCalibration.peakMin);
+
+  // Remember it so the panel starts from the personal values next time
+  saveProfile({
+    foodModel: {
+      mgdlPerGram: lastCalibration.mgdlPerGram,
+      mgdlPerGramCi: lastCalibration.mgdlPerGramCi,
+      peakMin: lastCalibration.peakMin,
+      peakMinCi: lastCalibration.peakMinCi,
+      rmse: lastCalibration.rmse,
+      meals: lastCalibration.meals,
+      fittedAt: new Date().toISOString()
+    },
+    prediction: readPredictionParams()
+  });
 
-  ui.undoBtn.disabled = !lastDeleted;
-  ui.undoPill.hidden = !lastDeleted;
+  ui.calibText.textContent += " • applied";
+  runPrediction();
 }
 
 /* ---------------------------
-   Form mode: Add vs Edit
+   Live alerts (engine on newly logged readings)
 ---------------------------- */
 
-function setModeAdd() {
-  ui.editingId.value = "";
-  ui.saveBtn.textContent = "Add";
-  ui.cancelEditBtn.disabled = true;
-  ui.modePill.textContent = "Mode: Add";
+/**
+ * Runs the alert engine on a reading that was just added by hand. Only the
+ * newest, recent reading counts; back-dated entries never alert. Earlier
+ * readings from the last ALERT_HISTORY_MIN feed smoothing and slope, and
+ * persistence/cooldown carry over between readings via the profile's alertState.
+ */
+async function checkAlertsFor(record) {
+  const settings = alertSettings();
+  if (!settings.enabled) return null;
+
+  const tMs = new Date(record.dtIso).getTime();
+  const now = Date.now();
+  if (now - tMs > ALERT_MAX_AGE_MIN * 60000 || tMs - now > 5 * 60000) return null;
+
+  const latest = await repoLatest();
+  if (latest && latest.id !== record.id) return null;
+
+  const fromIso = new Date(tMs - ALERT_HISTORY_MIN * 60000).toISOString();
+  const earlier = (await repoQueryRange(fromIso, record.dtIso)).filter(r => r.id !== record.id);
+
+  const profile = activeProfile();
+  const saved = profile.alertState && tMs - profile.alertState.lastMs <= ALERT_HISTORY_MIN * 60000
+    ? profile.alertState
+    : { ...(profile.alertState || {}), persist: 0, active: "NONE" };
+  const engine = createAlertEngine(settings, saved);
+  earlier.slice(-(ALERT_SLOPE_POINTS - 1)).forEach(r => engine.remember({ tMs: new Date(r.dtIso).getTime(), bg: r.value }));
+  const result = engine.push({ tMs, bg: record.value });
+
+  let entry = null;
+  if (result.alert) {
+    entry = {
+      id: uid(),
+      firedAt: record.dtIso,
+      readingId: record.id,
+      kind: result.risk,
+      bg: record.value,
+      projected: Math.round(result.projected),
+      low: settings.low,
+      high: settings.high,
+      horizonMin: settings.horizonMin
+    };
+  }
+  saveProfile({
+    alertState: { ...engine.state, lastMs: tMs },
+    alertLog: entry ? [entry, ...(profile.alertLog || [])].slice(0, ALERT_LOG_LIMIT) : profile.alertLog || []
+  });
+
+  if (entry) showAlert(entry, settings);
+  return result;
 }
 
-function setModeEdit(record) {
-  ui.editingId.value = record.id;
-  ui.glucose.value = record.value;
-  ui.context.value = record.context;
-  ui.dt.value = toLocalInputValue(new Date(record.dtIso));
-  ui.notes.value = record.notes || "";
+function alertMessage(entry) {
+  const low = entry.kind === "HYPO";
+  return `${low ? "Low" : "High"} glucose ahead: ${fmtBg(entry.bg)} now, projected ${fmtBg(entry.projected)} ${unitLabel()} ` +
+    `within ${entry.horizonMin} min (${low ? "below" : "above"} ${fmtBg(low ? entry.low : entry.high)}).`;
+}
+
+function showAlert(entry, settings) {
+  const message = alertMessage(entry);
+  ui.alertBannerText.textContent = message;
+  ui.alertBanner.className = `alertBanner alertBanner--${entry.kind === "HYPO" ? "low" : "high"}`;
+  ui.alertBanner.hidden = false;
+
+  if (settings.notify && "Notification" in window && Notification.permission === "granted") {
+    try {
+      new Notification("Glucose alert", { body: message, tag: "glucose-alert" });
+    } catch {
+      // Some mobile browsers only allow notifications from a service worker; the banner still shows
+    }
+  }
+}
 
-  ui.saveBtn.textContent = "Save Changes";
-  ui.cancelEditBtn.disabled = false;
-  ui.modePill.textContent = "Mode: Edit";
+function writeAlertSettings(settings) {
+  ui.alertEnabled.value = settings.enabled ? "on" : "off";
+  writeBgInput(ui.alertLow, settings.low);
+  writeBgInput(ui.alertHigh, settings.high);
+  ui.alertHorizon.value = String(settings.horizonMin);
+  ui.alertCooldown.value = String(settings.cooldownMin);
+  ui.alertNotify.value = settings.notify ? "on" : "off";
 }
 
-function readForm() {
-  const value = clampNumber(Number(ui.glucose.value), 20, 600);
-  const context = ui.context.value;
-  const dtLocal = ui.dt.value;
-  const notes = (ui.notes.value || "").trim();
+async function saveAlertSettings() {
+  const current = alertSettings();
+  const low = clampNumber(Math.round(readBgInput(ui.alertLow) ?? NaN), 40, 150) ?? current.low;
+  const high = clampNumber(Math.round(readBgInput(ui.alertHigh) ?? NaN), 120, 400) ?? current.high;
+  const settings = {
+    enabled: ui.alertEnabled.value === "on",
+    low: Math.min(low, high - 1),
+    high,
+    horizonMin: Number(ui.alertHorizon.value) || current.horizonMin,
+    cooldownMin: clampNumber(Math.round(Number(ui.alertCooldown.value)), 0, 480) ?? current.cooldownMin,
+    notify: ui.alertNotify.value === "on"
+  };
 
-  if (!value) return { ok: false, msg: "Enter glucose 20–600." };
-  if (!dtLocal) return { ok: false, msg: "Pick a date/time." };
+  if (settings.notify && !current.notify) {
+    const permission = "Notification" in window
+      ? (Notification.permission === "default" ? await Notification.requestPermission() : Notification.permission)
+      : "unsupported";
+    if (permission !== "granted") {
+      settings.notify = false;
+      alert(permission === "unsupported"
+        ? "This browser does not support notifications. Alerts will still show as a banner."
+        : "Notifications are blocked for this page. Alerts will still show as a banner.");
+    }
+  }
 
-  // Outlier confirm (safety-minded UX)
-  if (value < 55 || value > 350) {
-    const ok = confirm("This value is outside typical ranges. Confirm it’s correct?");
-    if (!ok) return { ok: false, msg: "Cancelled." };
+  saveProfile({ alerts: settings });
+  writeAlertSettings(settings);
+}
+
+/**
+ * Outcome of every alert in the log. One range query per alert, limited to
+ * its outcome window; the result is reused until a reading is written
+ * (storeRevs), the log changes, or the first pending alert's window ends.
+ */
+async function loadAlertOutcomes(log) {
+  const key = `${activeProfileId}|${storeRevs[RECORD_STORE] || 0}|${log.length}|${log.length ? log[0].id : ""}`;
+  if (alertOutcomeCache.key === key && Date.now() < alertOutcomeCache.until) return alertOutcomeCache.outcomes;
+
+  const outcomes = [];
+  let until = Infinity;
+  for (const entry of log) {
+    const endMs = new Date(entry.firedAt).getTime() + entry.horizonMin * 60000;
+    const outcome = alertOutcome(entry, await repoQueryRange(entry.firedAt, new Date(endMs).toISOString()));
+    if (outcome === "pending") until = Math.min(until, endMs);
+    outcomes.push(outcome);
   }
+  alertOutcomeCache = { key, outcomes, until };
+  return outcomes;
+}
 
-  const dtIso = new Date(dtLocal).toISOString();
-  return { ok: true, record: { value, context, dtIso, notes } };
+function renderAlertLog(log, outcomes) {
+  ui.alertTbody.innerHTML = "";
+  if (!log.length) {
+    ui.alertLogText.textContent = "No alerts yet.";
+    return;
+  }
+
+  const count = (o) => outcomes.filter(x => x === o).length;
+  ui.alertLogText.textContent =
+    `${log.length} alerts • ${count("came true")} came true • ${count("false alarm")} false alarms • ${count("pending")} pending`;
+
+  log.forEach((entry, i) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(formatLocal(entry.firedAt))}</td>
+      <td>${entry.kind === "HYPO" ? "Low" : "High"}</td>
+      <td>${fmtBg(entry.bg)}</td>
+      <td>${fmtBg(entry.projected)} in ${entry.horizonMin} min</td>
+      <td>${entry.kind === "HYPO" ? "&lt;" : "&gt;"} ${fmtBg(entry.kind === "HYPO" ? entry.low : entry.high)}</td>
+      <td>${escapeHtml(outcomes[i])}</td>
+    `;
+    ui.alertTbody.appendChild(tr);
+  });
 }
 
 /* ---------------------------
-   CRUD actions
+   Synthetic + backtest handlers
 ---------------------------- */
 
-function addRecord(record) {
-  const records = loadRecords();
-  records.push({ id: uid(), ...record });
-  saveRecords(records);
-}
-
-function updateRecord(id, patch) {
-  const records = loadRecords();
-  const idx = records.findIndex(r => r.id === id);
-  if (idx === -1) return;
-  records[idx] = { ...records[idx], ...patch };
-  saveRecords(records);
+// One number input per SYNTHETIC_PARAMS entry, filled from the chosen preset
+function renderSyntheticParams(params) {
+  ui.synParams.innerHTML = Object.entries(SYNTHETIC_PARAMS).map(([key, [label, min, max, step]]) => `
+    <div>
+      <label class="label" for="synParam_${key}">${escapeHtml(label)}</label>
+      <input id="synParam_${key}" class="input" type="number" data-syn-param="${key}"
+             min="${min}" max="${max}" step="${step}" value="${params[key]}" />
+    </div>
+  `).join("");
 }
 
-function deleteRecord(id) {
-  const records = loadRecords();
-  const idx = records.findIndex(r => r.id === id);
-  if (idx === -1) return;
-  lastDeleted = records[idx];
-  records.splice(idx, 1);
-  saveRecords(records);
+function readSyntheticParams() {
+  const params = {};
+  ui.synParams.querySelectorAll("[data-syn-param]").forEach(input => {
+    const [, min, max] = SYNTHETIC_PARAMS[input.dataset.synParam];
+    const value = clampNumber(Number(input.value), min, max);
+    if (value != null && input.value !== "") params[input.dataset.synParam] = value;
+  });
+  return params;
 }
 
-function undoDelete() {
-  if (!lastDeleted) return;
-  const records = loadRecords();
-  records.push(lastDeleted);
-  saveRecords(records);
-  lastDeleted = null;
+function describeSyntheticSet(set, verb) {
+  const truth = set.truth || [];
+  const countOf = (type) => truth.filter(e => e.type === type).length;
+  const interval = stepMinutes(set.series);
+  return `${verb} synthetic series:\n` +
+    `- preset: ${SYNTHETIC_PRESETS[set.preset]?.label || set.preset} • seed ${set.seed}\n` +
+    `- days: ${set.days} • points: ${set.series.length} • interval: ${interval.toFixed(1)} min\n` +
+    (set.truth
+      ? `- ground truth: ${countOf("meal")} meals (${countOf("missed-meal")} missed), ${countOf("hypo")} lows, ${countOf("hyper")} highs, ` +
+        `${countOf("compression")} compression lows, ${countOf("dropout")} dropouts\n`
+      : "- ground truth: not kept\n") +
+    `\nNext: click "Run Backtest" to compare the alert strategies.`;
 }
 
-/* ---------------------------
-   Export / Report
----------------------------- */
-
-function exportCSV() {
-  const prefs = getPrefs();
-  const records = loadRecords().slice().sort((a, b) => new Date(a.dtIso) - new Date(b.dtIso));
+function generateTestSet() {
+  const days = clampNumber(Number(ui.synDays.value), 7, 180) ?? 90;
+  const pts = clampNumber(Number(ui.synPoints.value), 100, 5000) ?? 500;
 
-  const headerLines = [
-    "# Glucose Log Export",
-    `# exported_at=${new Date().toISOString()}`,
-    `# patient=${prefs.patient || "N/A"}`,
-    `# target_range_mgdl=${prefs.low}-${prefs.high}`,
-    `# notes=manual entry; not medical advice`,
-    "datetime_iso,datetime_local,value_mgdl,context,notes"
-  ];
+  // A blank seed picks one, shown so the run can be repeated
+  let seed = Math.round(Number(ui.synSeed.value));
+  if (ui.synSeed.value === "" || !Number.isFinite(seed)) {
+    seed = Math.floor(Math.random() * 1e9);
+    ui.synSeed.value = String(seed);
+  }
 
-  const rows = records.map(r => {
-    const local = new Date(r.dtIso).toLocaleString();
-    const safeNotes = String(r.notes || "").replaceAll('"', '""');
-    return `${r.dtIso},"${local}",${r.value},"${r.context}","${safeNotes}"`;
+  syntheticSet = generateSyntheticSet({
+    days,
+    approxPoints: pts,
+    seed,
+    preset: ui.synPreset.value,
+    params: readSyntheticParams(),
+    withTruth: ui.synTruth.value === "on"
   });
+  ui.btSource.value = "synthetic";
+  ui.backtestOut.textContent = describeSyntheticSet(syntheticSet, "Generated");
+}
 
-  const csv = headerLines.join("\n") + "\n" + rows.join("\n");
-  const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+function exportTestSet() {
+  if (!syntheticSet) {
+    alert("Generate or load a test set first.");
+    return;
+  }
+  const blob = new Blob([JSON.stringify(syntheticSet)], { type: "application/json" });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement("a");
   a.href = url;
-  a.download = "glucose_log.csv";
+  a.download = `synthetic_${syntheticSet.preset}_seed${syntheticSet.seed}.json`;
   a.click();
   URL.revokeObjectURL(url);
 }
 
-function printReport() {
-  const prefs = getPrefs();
-  const all = loadRecords();
-  const filtered = filterRecords(all, prefs).sort((a, b) => new Date(a.dtIso) - new Date(b.dtIso));
-  const summary = computeSummary(filtered, prefs.low, prefs.high);
-
-  const meanTxt = summary.avg ? summary.avg.toFixed(1) : "—";
-  const medTxt = summary.med ? summary.med.toFixed(1) : "—";
-  const sdTxt = summary.sd ? summary.sd.toFixed(1) : "—";
-  const tirTxt = summary.tirPct != null ? `${summary.tirPct}%` : "—";
-
-  const html = `
-  <html>
-    <head>
-      <title>Glucose Summary Report</title>
-      <meta charset="utf-8" />
-      <style>
-        body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; margin: 24px; }
-        h1 { margin: 0 0 6px; }
-        .muted { color: #555; }
-        .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; margin: 14px 0; }
-        .card { border: 1px solid #ddd; border-radius: 12px; padding: 12px; }
-        .big { font-size: 28px; margin-top: 6px; }
-        table { width: 100%; border-collapse: collapse; margin-top: 10px; }
-        th, td { text-align:left; border-bottom: 1px solid #eee; padding: 8px; font-size: 12px; vertical-align: top; }
-        th { color: #555; }
-        @media print { button { display:none; } }
-      </style>
-    </head>
-    <body>
-      <h1>Glucose Summary Report</h1>
-      <div class="muted">
-        Generated: ${new Date().toLocaleString()} • Patient: ${escapeHtml(prefs.patient || "N/A")}<br/>
-        Window: ${prefs.days >= 99999 ? "All time" : `Last ${prefs.days} days`} • Context: ${escapeHtml(prefs.ctxFilter)} • Target: ${prefs.low}–${prefs.high} mg/dL
-      </div>
+function loadTestSet(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    const parsed = parseSyntheticSet(reader.result);
+    if (!parsed.ok) {
+      alert(`Could not load the test set: ${parsed.msg}`);
+      return;
+    }
 
-      <div class="grid">
-        <div class="card">
-          <div class="muted">Time in Range</div>
-          <div class="big">${tirTxt}</div>
-          <div class="muted">${summary.inRange || 0}/${summary.total || 0} in range • ${summary.lowCount || 0} low • ${summary.highCount || 0} high</div>
-        </div>
-        <div class="card">
-          <div class="muted">Average / Median / Std Dev</div>
-          <div class="big">${meanTxt}</div>
-          <div class="muted">avg mg/dL • median ${medTxt} • std dev ${sdTxt}</div>
-        </div>
-        <div class="card">
-          <div class="muted">Fasting</div>
-          <div class="big">${summary.fastingAvg ? summary.fastingAvg.toFixed(1) : "—"}</div>
-          <div class="muted">${summary.fastingCount || 0} fasting readings</div>
-        </div>
-        <div class="card">
-          <div class="muted">Events</div>
-          <div class="big">${(summary.lowCount || 0) + (summary.highCount || 0)}</div>
-          <div class="muted">low + high events</div>
-        </div>
-      </div>
+    // Show what produced it, so it can also be regenerated from the seed
+    syntheticSet = parsed.set;
+    if (SYNTHETIC_PRESETS[syntheticSet.preset]) ui.synPreset.value = syntheticSet.preset;
+    ui.synSeed.value = String(syntheticSet.seed ?? "");
+    ui.synDays.value = String(syntheticSet.days ?? ui.synDays.value);
+    ui.synPoints.value = String(syntheticSet.approxPoints ?? ui.synPoints.value);
+    if (syntheticSet.params) renderSyntheticParams({ ...SYNTHETIC_PRESETS[ui.synPreset.value].params, ...syntheticSet.params });
+    ui.btSource.value = "synthetic";
+    ui.backtestOut.textContent = describeSyntheticSet(syntheticSet, "Loaded");
+  };
+  reader.onerror = () => alert("Could not read that file.");
+  reader.readAsText(file);
+}
 
-      <h2 style="margin:18px 0 6px;">Readings</h2>
-      <table>
-        <thead><tr><th>Date</th><th>Value</th><th>Context</th><th>Notes</th></tr></thead>
-        <tbody>
-          ${filtered.map(r => `
-            <tr>
-              <td>${escapeHtml(new Date(r.dtIso).toLocaleString())}</td>
-              <td>${r.value} mg/dL</td>
-              <td>${escapeHtml(r.context)}</td>
-              <td>${escapeHtml(r.notes)}</td>
-            </tr>
-          `).join("")}
-        </tbody>
-      </table>
+// Target band as the thresholds; the food-model strategy uses the panel's model
+function backtestConfig(prefs, horizonMin) {
+  return {
+    low: prefs.low,
+    high: prefs.high,
+    horizonMin,
+    cooldownMin: 60,
+    foodModel: {
+      mgdlPerGram: clampNumber(readBgInput(ui.mgdlPerGram) ?? NaN, 0, 10) ?? 1.6,
+      peakMin: clampNumber(Number(ui.absorbMin.value), 15, 240) ?? 60
+    }
+  };
+}
 
-      <p class="muted" style="margin-top:14px;">
-        Not medical advice. Data source: manual entry. Share with a clinician for interpretation.
-      </p>
+/**
+ * Segments for the chosen data source -> { segments, label, coverage } or
+ * { error }. Logged readings go through historySegments; coverage says how
+ * much of the history could be scored.
+ */
+async function backtestData(prefs) {
+  const source = ui.btSource.value;
+  if (source === "synthetic") {
+    if (!syntheticSet) return { error: "No synthetic series yet. Click 'Generate Test Set' first." };
+    const { segments } = syntheticSegments(syntheticSet);
+    return {
+      segments,
+      label: `synthetic, ${SYNTHETIC_PRESETS[syntheticSet.preset]?.label || syntheticSet.preset}, seed ${syntheticSet.seed}`,
+      coverage: segments.length > 1 ? `${segments.length} stretches between sensor dropouts\n` : ""
+    };
+  }
 
-      <button onclick="window.print()">Print / Save as PDF</button>
-    </body>
-  </html>`;
+  const fromIso = source === "window" ? windowStartIso(prefs.days) : null;
+  const records = await repoQueryRange(fromIso, null);
+  const events = await repoQueryRange(fromIso, null, "ALL", EVENT_STORE);
+  const history = historySegments(records, events);
+  const c = history.coverage;
+  const label = source === "window"
+    ? (prefs.days >= 99999 ? "my readings, all time" : `my readings, last ${prefs.days} days`)
+    : "my readings, all time";
+
+  if (!c.readings) return { error: `No logged readings to backtest (${label}).` };
+  if (!history.segments.length) {
+    return {
+      error: `Not enough closely spaced readings to backtest (${label}): ${c.readings} readings, none in a stretch of ` +
+        `${BACKTEST_MIN_POINTS}+ samples without a gap over ${RESAMPLE_MAX_GAP_MIN} min. CGM data (imported) works best.`
+    };
+  }
 
-  const w = window.open("", "_blank");
-  w.document.open();
-  w.document.write(html);
-  w.document.close();
+  const hours = (ms) => `${(ms / 3600000).toFixed(1)} h`;
+  const coverage =
+    `Evaluated ${c.usedReadings} of ${c.readings} readings (${Math.round((c.usedReadings / c.readings) * 100)}%) • ` +
+    `${hours(c.usedMs)} of ${hours(c.spanMs)} • ${history.segments.length} of ${c.stretches} stretches between gaps > ${RESAMPLE_MAX_GAP_MIN} min ` +
+    `(shorter than ${BACKTEST_MIN_POINTS} samples are skipped) • resampled every ${history.stepMin} min\n`;
+  return { segments: history.segments, label, coverage };
 }
 
-/* ---------------------------
-   Prediction panel handlers
----------------------------- */
-
-function runPrediction() {
+async function runBacktest() {
   const prefs = getPrefs();
+  const horizon = Number(ui.btHorizon.value);
 
-  const current = clampNumber(Number(ui.predCurrent.value), 40, 600);
-  const grams = clampNumber(Number(ui.predSugar.value), 0, 300);
-  const horizon = Number(ui.predHorizon.value);
-  const mgdlPerGram = clampNumber(Number(ui.mgdlPerGram.value), 0, 10) ?? 1.6;
-  const peakMin = clampNumber(Number(ui.absorbMin.value), 15, 180) ?? 45;
-  const activityFactor = Number(ui.activityFactor.value) || 1.0;
-
-  if (current == null) {
-    ui.predText.textContent = "Enter current glucose.";
-    drawPredictionChart(ui.predChart, null, prefs.low, prefs.high);
+  const data = await backtestData(prefs);
+  if (data.error) {
+    ui.backtestOut.textContent = data.error;
     return;
   }
-  if (grams == null) {
-    ui.predText.textContent = "Enter sugar grams.";
-    drawPredictionChart(ui.predChart, null, prefs.low, prefs.high);
+
+  const config = backtestConfig(prefs, horizon);
+  const result = backtest(data.segments, config);
+  if (!result) {
+    ui.backtestOut.textContent = "Backtest failed (insufficient series length).";
     return;
   }
 
-  const curve = predictSugarCurve(current, grams, mgdlPerGram, peakMin, horizon, activityFactor);
+  const pct = (x) => `${(x * 100).toFixed(1)}%`;
+  const lead = (c) => (c.leadMin == null ? "—" : `${Math.round(c.leadMin)} min (median ${Math.round(c.leadMedianMin)})`);
+  const scoreLine = (name, c) =>
+    `  ${name}: ${c.detected}/${c.events} events caught, ${c.missed} missed • ${c.falseAlarms} false of ${c.alarms} alarms • ` +
+    `precision=${pct(c.precision)} recall=${pct(c.recall)} lead=${lead(c)}`;
+  const baseline = result.results.find(r => r.id === "linear");
+  const falseAlarms = (r) => r.hypo.falseAlarms + r.hyper.falseAlarms;
 
-  // Summarize key values
-  const peak = curve.reduce((best, p) => (p.bg > best.bg ? p : best), curve[0]);
-  const end = curve[curve.length - 1];
+  ui.backtestOut.textContent =
+    `Backtest (${data.label}, ${result.days.toFixed(1)} days, ${result.stepMin.toFixed(0)}-min samples, scored per episode)\n` +
+    data.coverage +
+    `Thresholds: low=${fmtBg(prefs.low)}, high=${fmtBg(prefs.high)} ${unitLabel()} • horizon=${horizon} min • cooldown=${config.cooldownMin} min\n\n` +
+    result.results.map(r => {
+      const fpChange = baseline && r !== baseline && falseAlarms(baseline)
+        ? `\n  false alarms vs baseline: ${(((falseAlarms(r) - falseAlarms(baseline)) / falseAlarms(baseline)) * 100).toFixed(1)}%`
+        : "";
+      return `${r.label.toUpperCase()} [${r.id}] • ${r.alertsPerDay.toFixed(1)} alarms/day\n` +
+        `${scoreLine("hypo ", r.hypo)}\n${scoreLine("hyper", r.hyper)}${fpChange}`;
+    }).join("\n\n");
+}
 
-  ui.predText.textContent =
-    `Peak ≈ ${peak.bg.toFixed(0)} mg/dL at ~${peak.tMin} min • End ≈ ${end.bg.toFixed(0)} mg/dL at ${horizon} min (educational estimate)`;
+async function runSweep() {
+  const prefs = getPrefs();
 
-  drawPredictionChart(ui.predChart, curve, prefs.low, prefs.high);
-}
+  const data = await backtestData(prefs);
+  if (data.error) {
+    ui.backtestOut.textContent = data.error;
+    return;
+  }
 
-function useLastLoggedAsCurrent() {
-  const records = loadRecords().slice().sort((a, b) => new Date(b.dtIso) - new Date(a.dtIso));
-  if (!records.length) {
-    ui.predText.textContent = "No logged readings yet.";
+  const sweep = sweepBacktest(data.segments, backtestConfig(prefs, Number(ui.btHorizon.value)));
+  if (!sweep) {
+    ui.backtestOut.textContent = "Sweep failed (insufficient series length).";
     return;
   }
-  ui.predCurrent.value = String(records[0].value);
-  ui.predText.textContent = `Using last logged value: ${records[0].value} mg/dL`;
+  drawSweepChart(ui.sweepChart, sweep);
+
+  const pct = (x) => `${Math.round(x * 100)}%`;
+  const margin = (m) => `${m >= 0 ? "+" : "−"}${fmtBg(Math.abs(m), 0)}`;
+  ui.backtestOut.textContent =
+    `Sweep (${data.label})\n` +
+    data.coverage +
+    `Alert margins ${SWEEP_MARGINS.map(margin).join("/")} ${unitLabel()} • ` +
+    `horizons ${SWEEP_HORIZONS.join("/")} min • cooldowns ${SWEEP_COOLDOWNS.join("/")} min\n` +
+    `Target: low=${fmtBg(prefs.low)}, high=${fmtBg(prefs.high)} ${unitLabel()}\n\n` +
+    `Best F1 per strategy:\n` +
+    sweep.map(s => {
+      const best = s.points.reduce((a, p) => (p.f1 > a.f1 ? p : a), s.points[0]);
+      return `  ${s.label}: F1=${best.f1.toFixed(2)} (recall ${pct(best.recall)}, precision ${pct(best.precision)}, ` +
+        `${best.falseAlarmsPerDay.toFixed(1)} false alarms/day) at margin ${margin(best.margin)}, ` +
+        `horizon ${best.horizonMin} min, cooldown ${best.cooldownMin} min`;
+    }).join("\n");
 }
 
 /* ---------------------------
-   Synthetic + backtest handlers
+   Profile switcher
 ---------------------------- */
 
-function generateTestSet() {
-  const days = clampNumber(Number(ui.synDays.value), 7, 180) ?? 90;
-  const pts = clampNumber(Number(ui.synPoints.value), 100, 5000) ?? 500;
+function renderProfileSelect(meta = loadMeta()) {
+  const profiles = profileList(meta);
+  const current = activeProfile(meta).id;
+  ui.profileSelect.innerHTML = profiles
+    .map(p => `<option value="${escapeHtml(p.id)}"${p.id === current ? " selected" : ""}>${escapeHtml(p.name)}</option>`)
+    .join("");
+  ui.profileDeleteBtn.disabled = profiles.length < 2;
+}
 
-  syntheticSeries = generateSyntheticSeries(days, pts);
+// Targets, prediction parameters and alert settings -> inputs (profiles from before
+// prediction parameters were saved start from their applied food-model fit)
+function writeProfileSettings(profile) {
+  writeBgInput(ui.targetLow, profile.targetLow || 70);
+  writeBgInput(ui.targetHigh, profile.targetHigh || 180);
+  const fitted = profile.foodModel ? { mgdlPerGram: profile.foodModel.mgdlPerGram, peakMin: profile.foodModel.peakMin } : {};
+  writePredictionParams({ ...DEFAULT_PREDICTION_PARAMS, ...(profile.prediction || fitted) });
+  writeAlertSettings({ ...DEFAULT_ALERT_SETTINGS, ...(profile.alerts || {}) });
+}
 
-  ui.backtestOut.textContent =
-    `Generated synthetic series:\n` +
-    `- days: ${days}\n` +
-    `- points: ${syntheticSeries.length}\n` +
-    `- approx interval: ${((syntheticSeries[1].tMs - syntheticSeries[0].tMs)/60000).toFixed(1)} min\n\n` +
-    `Next: click "Run Backtest" to compare baseline vs improved alert logic.`;
+async function switchProfile(id) {
+  const meta = loadMeta();
+  meta.profiles = profileList(meta);
+  meta.activeProfile = id;
+  saveMeta(meta);
+  activeProfileId = id;
+
+  // Edits, prediction inputs and a pending fit belong to the profile being left
+  journalPage = 0;
+  lastSavedPrediction = null;
+  lastCalibration = null;
+  predInputs = [];
+  ui.applyCalibrationBtn.disabled = true;
+  ui.calibText.textContent = "Click “Calibrate from my log” to fit this profile’s meals.";
+  ui.predCurrent.value = "";
+  ui.alertBanner.hidden = true;
+  setModeAdd();
+  setEventModeAdd();
+  renderPredInputs();
+
+  renderProfileSelect(meta);
+  writeProfileSettings(activeProfile(meta));
+  runPrediction();
+  await render();
 }
 
-function runBacktest() {
-  const prefs = getPrefs();
-  const horizon = Number(ui.btHorizon.value);
+async function addProfile() {
+  const name = (prompt("Name for the new profile (e.g., Dad / initials):") || "").trim();
+  if (!name) return;
+  const meta = loadMeta();
+  const profile = { id: uid(), name, alerts: { ...DEFAULT_ALERT_SETTINGS }, alertLog: [] };
+  meta.profiles = [...profileList(meta), profile];
+  saveMeta(meta);
+  await switchProfile(profile.id);
+}
+
+function renameProfile() {
+  const profile = activeProfile();
+  const name = (prompt("Profile name:", profile.name) || "").trim();
+  if (!name || name === profile.name) return;
+  saveProfile({ name });
+  renderProfileSelect();
+}
 
-  if (!syntheticSeries) {
-    ui.backtestOut.textContent = "No synthetic series yet. Click 'Generate Test Set' first.";
+async function deleteProfile() {
+  const meta = loadMeta();
+  const profile = activeProfile(meta);
+  const rest = profileList(meta).filter(p => p.id !== profile.id);
+  if (!rest.length) {
+    alert("This is the only profile. Use Clear All to remove its data instead.");
     return;
   }
+  if (!confirm(`Delete the profile “${profile.name}” with all its readings, logged events, saved predictions and alert history?`)) return;
+
+  // repoClear only touches the active profile, which is the one being deleted
+  await repoClear();
+  await repoClear(EVENT_STORE);
+  await repoClear(PREDICTION_STORE);
+  await repoClear(JOURNAL_STORE);
+  saveMeta({ ...meta, profiles: rest });
+  await switchProfile(rest[0].id);
+}
 
-  const result = backtest(syntheticSeries, prefs.low, prefs.high, horizon);
-  if (!result) {
-    ui.backtestOut.textContent = "Backtest failed (insufficient series length).";
-    return;
+/* ---------------------------
+   Offline app (service worker, install, quick log)
+---------------------------- */
+
+let installPrompt = null; // beforeinstallprompt event, kept until Install is clicked
+let waitingWorker = null; // new sw.js version waiting for "Reload to update"
+
+/**
+ * Registers sw.js (http/https only; a file:// page just runs uncached).
+ * A new version waits instead of taking over a running page; it activates
+ * when the user clicks "Reload to update", and the page reloads once it controls it.
+ */
+function setupOfflineApp() {
+  if ("serviceWorker" in navigator && location.protocol !== "file:") {
+    const offerUpdate = (worker) => {
+      waitingWorker = worker;
+      ui.updateBanner.hidden = false;
+    };
+    navigator.serviceWorker.register("./sw.js").then(reg => {
+      if (reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        worker.addEventListener("statechange", () => {
+          // No controller yet = first install, nothing to update
+          if (worker.state === "installed" && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+      });
+    }).catch(() => {
+      // Still works online; only the offline cache is missing
+    });
+
+    let updating = false;
+    ui.updateReloadBtn.addEventListener("click", () => {
+      if (!waitingWorker) return;
+      updating = true;
+      waitingWorker.postMessage({ type: "SKIP_WAITING" });
+    });
+    // Also fires when the first worker claims the page; only reload for an accepted update
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (updating) location.reload();
+    });
   }
 
-  const b = result.baseline;
-  const im = result.improved;
+  window.addEventListener("beforeinstallprompt", (e) => {
+    e.preventDefault();
+    installPrompt = e;
+    ui.installBtn.hidden = false;
+  });
+  window.addEventListener("appinstalled", () => {
+    installPrompt = null;
+    ui.installBtn.hidden = true;
+  });
+  ui.installBtn.addEventListener("click", async () => {
+    if (!installPrompt) return;
+    installPrompt.prompt();
+    await installPrompt.userChoice;
+    installPrompt = null;
+    ui.installBtn.hidden = true;
+  });
+}
 
-  ui.backtestOut.textContent =
-    `Backtest (synthetic)\n` +
-    `Thresholds: low=${prefs.low}, high=${prefs.high} • horizon=${horizon} min\n\n` +
-    `BASELINE:\n` +
-    `  TP=${b.TP} FP=${b.FP} FN=${b.FN}\n` +
-    `  precision=${(b.precision*100).toFixed(1)}% recall=${(b.recall*100).toFixed(1)}%\n\n` +
-    `IMPROVED (smoothing+persistence+cooldown+hysteresis):\n` +
-    `  TP=${im.TP} FP=${im.FP} FN=${im.FN}\n` +
-    `  precision=${(im.precision*100).toFixed(1)}% recall=${(im.recall*100).toFixed(1)}%\n\n` +
-    `False-positive reduction vs baseline: ${result.fpReductionPct.toFixed(1)}%`;
+// Home-screen shortcut (manifest "Log a reading") opens ./?action=log
+function openQuickLog() {
+  if (new URLSearchParams(location.search).get("action") !== "log") return;
+  ui.glucose.scrollIntoView({ block: "center" });
+  ui.glucose.focus();
 }
 
 /* ---------------------------
    Event wiring + init
 ---------------------------- */
 
-function init() {
-  migrateIfNeeded();
+async function init() {
+  await repoInit();
+  // App lock on: nothing is read until the passphrase opens the vault
+  setupLockSync();
+  if (loadLockConfig()) await showLockScreen();
+  const migration = await migrateIfNeeded();
+  if (!migration.ok) alert(`Data upgrade problem: ${migration.error}\nYour existing data was left as it was.`);
 
   // Default dt to now
   ui.dt.value = toLocalInputValue(new Date());
 
-  // Load meta prefs
+  // Load meta prefs (unit first: target inputs are shown in it)
   const meta = loadMeta();
-  if (meta.patientName) ui.patientName.value = meta.patientName;
-  if (meta.targetLow) ui.targetLow.value = meta.targetLow;
-  if (meta.targetHigh) ui.targetHigh.value = meta.targetHigh;
+  activeProfileId = activeProfile(meta).id;
+  applyUnit(meta.unit || "mgdl");
+  renderProfileSelect(meta);
+  writeProfileSettings(activeProfile(meta));
   if (meta.windowDays) ui.windowDays.value = String(meta.windowDays);
   if (meta.contextFilter) ui.contextFilter.value = meta.contextFilter;
   if (meta.sortOrder) ui.sortOrder.value = meta.sortOrder;
 
   // Main save/add button
-  ui.saveBtn.addEventListener("click", () => {
+  ui.saveBtn.addEventListener("click", async () => {
     const result = readForm();
     if (!result.ok) {
       if (result.msg !== "Cancelled.") alert(result.msg);
@@ -1056,10 +6748,11 @@ function init() {
 
     const editingId = ui.editingId.value;
     if (editingId) {
-      updateRecord(editingId, result.record);
+      await updateRecord(editingId, result.record);
       setModeAdd();
     } else {
-      addRecord(result.record);
+      const added = await addRecord(result.record);
+      await checkAlertsFor(added);
     }
 
     // Clear for quick next entry
@@ -1077,62 +6770,269 @@ function init() {
     render();
   });
 
+  // Event log form
+  ui.evDt.value = toLocalInputValue(new Date());
+  showEventFields(ui.evType.value);
+  ui.evType.addEventListener("change", () => showEventFields(ui.evType.value));
+
+  ui.evSaveBtn.addEventListener("click", async () => {
+    const result = readEventForm();
+    if (!result.ok) {
+      alert(result.msg);
+      return;
+    }
+
+    const editingId = ui.evEditingId.value;
+    if (editingId) {
+      await updateEvent(editingId, result.event);
+      setEventModeAdd();
+    } else {
+      await addEvent(result.event);
+    }
+
+    clearEventForm();
+    render();
+  });
+
+  ui.evCancelBtn.addEventListener("click", () => {
+    setEventModeAdd();
+    clearEventForm();
+    render();
+  });
+
   ui.exportBtn.addEventListener("click", exportCSV);
   ui.reportBtn.addEventListener("click", printReport);
 
-  ui.clearBtn.addEventListener("click", () => {
-    if (confirm("Delete ALL readings from this browser?")) {
-      localStorage.removeItem(STORAGE_KEY);
-      lastDeleted = null;
+  // Encrypted backup / restore (all profiles)
+  ui.backupBtn.addEventListener("click", exportBackup);
+  ui.restoreBtn.addEventListener("click", () => ui.backupFile.click());
+  ui.backupFile.addEventListener("change", () => {
+    const file = ui.backupFile.files[0];
+    if (file) restoreBackupFile(file);
+    ui.backupFile.value = "";
+  });
+
+  // App lock (at-rest encryption + auto-lock)
+  ui.lockToggleBtn.addEventListener("click", () => (vault ? disableLock() : enableLock()));
+  ui.lockChangeBtn.addEventListener("click", changeLockPassphrase);
+  ui.lockNowBtn.addEventListener("click", lockApp);
+  ui.autoLockMin.addEventListener("change", () => {
+    saveLockConfig({ ...loadLockConfig(), autoLockMin: Number(ui.autoLockMin.value) });
+  });
+  renderLockSettings();
+  setupAutoLock();
+
+  // CSV import: pick file -> preview/mapping -> confirm
+  ui.importBtn.addEventListener("click", () => ui.importFile.click());
+  ui.importFile.addEventListener("change", () => {
+    const file = ui.importFile.files[0];
+    if (file) openImportFile(file);
+    ui.importFile.value = ""; // allow re-picking the same file
+  });
+  [ui.importColDate, ui.importColValue, ui.importColContext, ui.importColNotes, ui.importUnit, ui.importDupMode].forEach(sel => {
+    sel.addEventListener("change", renderImportPreview);
+  });
+  ui.importConfirmBtn.addEventListener("click", commitImport);
+  ui.importCancelBtn.addEventListener("click", closeImport);
+
+  ui.clearBtn.addEventListener("click", async () => {
+    if (confirm(`Delete ALL readings, logged events, saved predictions and alert history of “${activeProfile().name}” from this browser?\n` +
+      "Undo brings back everything except the alert history.")) {
+      try {
+        await clearAll();
+      } catch (err) {
+        alert(`Could not clear the data: ${err.message}`);
+        return;
+      }
+      saveProfile({ alertLog: [], alertState: undefined });
+      ui.alertBanner.hidden = true;
       setModeAdd();
+      setEventModeAdd();
       render();
     }
   });
 
-  ui.undoBtn.addEventListener("click", () => {
-    undoDelete();
+  ui.undoBtn.addEventListener("click", undoChange);
+  ui.redoBtn.addEventListener("click", redoChange);
+  ui.journalDetails.addEventListener("toggle", renderJournalTrail);
+  ui.journalPrevBtn.addEventListener("click", () => {
+    journalPage--;
+    renderJournalTrail();
+  });
+  ui.journalNextBtn.addEventListener("click", () => {
+    journalPage++;
+    renderJournalTrail();
+  });
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+    // Text fields keep their own undo
+    if (e.target.closest?.("textarea, select, input:not([type=checkbox])")) return;
+    e.preventDefault();
+    if (e.shiftKey) redoChange();
+    else undoChange();
+  });
+
+  ui.profileSelect.addEventListener("change", () => switchProfile(ui.profileSelect.value));
+  ui.profileAddBtn.addEventListener("click", addProfile);
+  ui.profileRenameBtn.addEventListener("click", renameProfile);
+  ui.profileDeleteBtn.addEventListener("click", deleteProfile);
+
+  ui.unitPref.addEventListener("change", () => {
+    applyUnit(ui.unitPref.value);
     render();
+    renderImportPreview();
   });
 
   // Filters re-render
-  ["windowDays", "targetLow", "targetHigh", "contextFilter", "sortOrder", "patientName"].forEach(id => {
+  ["windowDays", "targetLow", "targetHigh", "contextFilter", "sortOrder"].forEach(id => {
     el(id).addEventListener("change", render);
     el(id).addEventListener("input", render);
   });
 
-  // Table click: delete or edit
-  ui.tbody.addEventListener("click", (e) => {
+  // Table click: select, delete or edit (readings and events)
+  ui.tbody.addEventListener("click", async (e) => {
+    const selectKey = e.target?.dataset?.select;
+    if (selectKey) {
+      if (e.target.checked) historyState.selected.add(selectKey);
+      else historyState.selected.delete(selectKey);
+      renderHistory();
+      return;
+    }
+
     const delId = e.target?.dataset?.del;
     if (delId) {
-      deleteRecord(delId);
+      await deleteRecord(delId);
+      render();
+      return;
+    }
+
+    const delEventId = e.target?.dataset?.delEvent;
+    if (delEventId) {
+      await deleteEvent(delEventId);
       render();
       return;
     }
 
     const tr = e.target.closest("tr");
+    const editEventId = tr?.dataset?.editEventId;
+    if (editEventId) {
+      const ev = await repoGet(editEventId, EVENT_STORE);
+      if (ev) setEventModeEdit(ev);
+      return;
+    }
+
     const editId = tr?.dataset?.editId;
     if (!editId) return;
 
-    const records = loadRecords();
-    const rec = records.find(r => r.id === editId);
+    const rec = await repoGet(editId);
     if (!rec) return;
 
     setModeEdit(rec);
     render();
   });
 
+  // Supporting readings in Insights open in the form, like history rows
+  ui.insightsList.addEventListener("click", async (e) => {
+    const editId = e.target.closest("tr")?.dataset?.editId;
+    if (!editId) return;
+    const rec = await repoGet(editId);
+    if (!rec) return;
+    setModeEdit(rec);
+    render();
+  });
+
+  // History search, paging + bulk actions (table only; no full render)
+  ui.historySearch.addEventListener("input", () => {
+    historyState.page = 0;
+    renderHistory();
+  });
+  ui.historyPrevBtn.addEventListener("click", () => {
+    historyState.page--;
+    renderHistory();
+  });
+  ui.historyNextBtn.addEventListener("click", () => {
+    historyState.page++;
+    renderHistory();
+  });
+  ui.historySelectPage.addEventListener("change", () => {
+    const start = historyState.page * HISTORY_PAGE_SIZE;
+    historyState.rows.slice(start, start + HISTORY_PAGE_SIZE).forEach(r => {
+      if (ui.historySelectPage.checked) historyState.selected.add(r.key);
+      else historyState.selected.delete(r.key);
+    });
+    renderHistory();
+  });
+  ui.historySelectAllBtn.addEventListener("click", () => {
+    historyState.rows.forEach(r => historyState.selected.add(r.key));
+    renderHistory();
+  });
+  ui.historyClearSelBtn.addEventListener("click", () => {
+    historyState.selected.clear();
+    renderHistory();
+  });
+  ui.historyDeleteBtn.addEventListener("click", bulkDelete);
+  ui.historyRetagBtn.addEventListener("click", bulkRetag);
+  ui.historyExportBtn.addEventListener("click", exportSelected);
+
+  setupChartInteractions();
+
+  // Live alert settings (saved to the profile's alerts) + banner
+  [ui.alertEnabled, ui.alertLow, ui.alertHigh, ui.alertHorizon, ui.alertCooldown, ui.alertNotify].forEach(input => {
+    input.addEventListener("change", saveAlertSettings);
+  });
+  ui.alertDismissBtn.addEventListener("click", () => { ui.alertBanner.hidden = true; });
+
   // Prediction buttons
   ui.predictBtn.addEventListener("click", runPrediction);
   ui.useLastBtn.addEventListener("click", useLastLoggedAsCurrent);
+  ui.calibrateBtn.addEventListener("click", calibrateFoodModel);
+  ui.predInKind.addEventListener("change", syncPredInputFields);
+  ui.predAddInputBtn.addEventListener("click", addPredInput);
+  ui.predFromLogBtn.addEventListener("click", addRecentEventsToPrediction);
+  ui.predClearInputsBtn.addEventListener("click", () => {
+    predInputs = [];
+    renderPredInputs();
+    runPrediction();
+  });
+  ui.predInputList.addEventListener("click", (e) => {
+    const id = e.target?.dataset?.removeInput;
+    if (!id) return;
+    predInputs = predInputs.filter(i => i.id !== id);
+    renderPredInputs();
+    runPrediction();
+  });
+  ui.applyCalibrationBtn.addEventListener("click", applyCalibration);
+  // Model parameters are remembered per profile
+  [ui.mgdlPerGram, ui.absorbMin, ui.activityFactor, ui.predIsf].forEach(input => {
+    input.addEventListener("change", () => saveProfile({ prediction: readPredictionParams() }));
+  });
 
   // Synthetic/backtest buttons
   ui.genTestBtn.addEventListener("click", generateTestSet);
+  ui.synPreset.innerHTML = Object.entries(SYNTHETIC_PRESETS)
+    .map(([id, preset]) => `<option value="${id}">${escapeHtml(preset.label)}</option>`).join("");
+  renderSyntheticParams(SYNTHETIC_PRESETS[ui.synPreset.value].params);
+  ui.synPreset.addEventListener("change", () => renderSyntheticParams(SYNTHETIC_PRESETS[ui.synPreset.value].params));
+  ui.synExportBtn.addEventListener("click", exportTestSet);
+  ui.synLoadBtn.addEventListener("click", () => ui.synFile.click());
+  ui.synFile.addEventListener("change", () => {
+    const file = ui.synFile.files[0];
+    if (file) loadTestSet(file);
+    ui.synFile.value = "";
+  });
   ui.runBacktestBtn.addEventListener("click", runBacktest);
+  ui.sweepBtn.addEventListener("click", runSweep);
 
   // First render
+  syncPredInputFields();
   setModeAdd();
+  setEventModeAdd();
   render();
   drawPredictionChart(ui.predChart, null, getPrefs().low, getPrefs().high);
+  drawSweepChart(ui.sweepChart, null);
+
+  setupOfflineApp();
+  openQuickLog();
 }
 
 init();
@@ -0,0 +1,102 @@
+/*
+  Runs each CGM vendor importer on its fixture in dev/fixtures and checks the
+  readings it returns. Usage: node dev/check-importers.js
+  Vendor timestamps are device-local, so they are compared in local time.
+*/
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { loadApp } = require("./load-app");
+
+const { app } = loadApp();
+
+function importFixture(name) {
+  return app.parseImportFile(fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8"));
+}
+
+// "YYYY-MM-DD hh:mm" in local time
+function local(dtIso) {
+  const d = new Date(dtIso);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// ok results -> [time, mg/dL, notes]; rejected rows -> their first error.
+// Array.from: arrays made inside the vm context never deep-equal this realm's.
+function summarize(results, time = local) {
+  return Array.from(results, r => (r.ok ? [time(r.record.dtIso), r.record.value, r.record.notes] : r.errors[0]));
+}
+
+const checks = {
+  "Dexcom Clarity (mg/dL, High/Low markers)": () => {
+    const parsed = importFixture("dexcom-clarity.csv");
+    assert.strictEqual(parsed.kind, "dexcom");
+    assert.deepStrictEqual(summarize(parsed.results), [
+      ["2024-03-01 08:00", 112, ""],
+      ["2024-03-01 08:05", 118, ""],
+      ["2024-03-01 08:10", 400, ""],
+      ["2024-03-01 08:15", 40, ""],
+      "value is not a number"
+    ]);
+    assert.ok(parsed.results.filter(r => r.ok).every(r => r.record.source === "dexcom" && r.record.context === "Other"));
+  },
+
+  "Dexcom Clarity (mmol/L, decimal comma)": () => {
+    const parsed = importFixture("dexcom-clarity-mmol.csv");
+    assert.strictEqual(parsed.kind, "dexcom");
+    assert.deepStrictEqual(summarize(parsed.results), [
+      ["2024-03-01 08:00", 99, ""],
+      ["2024-03-01 08:05", 130, ""],
+      ["2024-03-01 08:10", 400, ""],
+      ["2024-03-01 08:15", 40, ""]
+    ]);
+  },
+
+  "LibreView (mg/dL, month-first dates, record types)": () => {
+    const parsed = importFixture("libreview-mgdl.csv");
+    assert.strictEqual(parsed.kind, "libreview");
+    assert.deepStrictEqual(summarize(parsed.results), [
+      ["2024-03-01 07:00", 104, ""],
+      ["2024-03-01 07:15", 40, ""],
+      ["2024-03-01 07:20", 131, "scan"],
+      ["2024-03-01 07:25", 98, "fingerstick"],
+      ["2024-03-01 07:45", 500, ""]
+    ]);
+    assert.ok(parsed.results.every(r => r.record.source === "libreview"));
+  },
+
+  "LibreView (mmol/L, day-first dates, decimal comma)": () => {
+    const parsed = importFixture("libreview-mmol-dmy.csv");
+    assert.strictEqual(parsed.kind, "libreview");
+    assert.deepStrictEqual(summarize(parsed.results), [
+      ["2024-02-24 07:00", 99, ""],
+      ["2024-02-24 07:10", 130, "scan"]
+    ]);
+  },
+
+  "Nightscout entries.json (sgv, mbg, untyped, out of range)": () => {
+    const parsed = importFixture("nightscout-entries.json");
+    assert.strictEqual(parsed.kind, "nightscout");
+    assert.deepStrictEqual(summarize(parsed.results, dtIso => dtIso), [
+      ["2024-03-01T08:00:00.000Z", 145, ""],
+      ["2024-03-01T08:05:00.000Z", 150, "fingerstick"],
+      ["2024-03-01T08:10:00.000Z", 160, ""],
+      "value outside 20–600 mg/dL (1.1–33.3 mmol/L)"
+    ]);
+    assert.ok(parsed.results.filter(r => r.ok).every(r => r.record.source === "nightscout"));
+  }
+};
+
+let failed = 0;
+for (const [name, check] of Object.entries(checks)) {
+  try {
+    check();
+    console.log(`ok   ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`FAIL ${name}\n${err.message}`);
+  }
+}
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,183 @@
+/*
+  Runs every schema migration step on fixtures saved the way each older
+  version stored its data, then checks the result against schemaProblems()
+  and the fixture's own expectations. Usage: node dev/check-migrations.js
+  When a step is added to MIGRATIONS (app.js), add a fixture for the
+  version it upgrades from.
+*/
+"use strict";
+
+const { loadApp } = require("./load-app");
+
+const { app, run } = loadApp();
+const SCHEMA_VERSION = run("SCHEMA_VERSION");
+const DEFAULT_PROFILE_ID = run("DEFAULT_PROFILE_ID");
+const DEFAULT_ALERT_SETTINGS = run("DEFAULT_ALERT_SETTINGS");
+
+// One or more fixtures per older schema version, as that version stored them
+const MIGRATION_FIXTURES = [
+  {
+    name: "v3: meta without schemaVersion, string values, missing notes",
+    version: 3,
+    data: {
+      meta: { patientName: "Dad", targetLow: "70", targetHigh: 180, windowDays: 14 },
+      records: [
+        { id: "r1", value: "112", context: "Fasting", dtIso: "2024-01-05T13:30:00.000Z" },
+        { id: "r2", value: 188, context: "2-hr post-meal", dtIso: "2024-01-05T19:10:00.000Z", notes: "pasta" }
+      ]
+    },
+    expect: (out) => [
+      out.records.length === 2 || "expected 2 records",
+      out.records[0].value === 112 || "string value not converted",
+      out.records[0].notes === "" || "missing notes not defaulted",
+      out.records.every(r => r.source === "manual") || "source not backfilled",
+      out.meta.profiles[0].targetLow === 70 || "targetLow not numeric",
+      out.meta.profiles[0].name === "Dad" || "patientName lost"
+    ]
+  },
+  {
+    name: "v3: unreadable rows, duplicate id, non-canonical ISO date",
+    version: 3,
+    data: {
+      meta: { schemaVersion: 3 },
+      records: [
+        { id: "d", value: 140, context: "Other", dtIso: "2024-02-01T08:00:00Z", notes: "" },
+        { id: "d", value: 150, context: "", dtIso: "2024-02-01T09:00:00.000Z", notes: "" },
+        { id: "x", value: "n/a", context: "Other", dtIso: "2024-02-01T10:00:00.000Z" },
+        { value: 99, context: "Bedtime", dtIso: "not a date" }
+      ]
+    },
+    expect: (out) => [
+      out.records.length === 2 || "unreadable rows should be dropped",
+      out.records[0].dtIso === "2024-02-01T08:00:00.000Z" || "dtIso not canonical",
+      out.records[1].context === "Other" || "empty context not defaulted"
+    ]
+  },
+  {
+    name: "v4: IndexedDB records, mixed sources",
+    version: 4,
+    data: {
+      meta: { schemaVersion: 4, storageBackend: "indexeddb", targetLow: 80, targetHigh: 160 },
+      records: [
+        { id: "a", value: 101, context: "Fasting", dtIso: "2024-03-01T07:00:00.000Z", notes: "", source: "dexcom" },
+        { id: "b", value: 130, context: "Other", dtIso: "2024-03-01T07:05:00.000Z", notes: "" }
+      ]
+    },
+    expect: (out) => [
+      out.records[0].source === "dexcom" || "existing source overwritten",
+      out.records[1].source === "manual" || "source not backfilled",
+      out.meta.storageBackend === "indexeddb" || "storageBackend lost"
+    ]
+  },
+  {
+    name: "v5: normalized records, no unit preference",
+    version: 5,
+    data: {
+      meta: { schemaVersion: 5, storageBackend: "indexeddb", targetLow: 70, targetHigh: 180 },
+      records: [
+        { id: "m1", value: 95, context: "Fasting", dtIso: "2024-04-01T06:30:00.000Z", notes: "", source: "manual" }
+      ]
+    },
+    expect: (out) => [
+      out.meta.unit === "mgdl" || "unit not defaulted to mg/dL",
+      out.records[0].value === 95 || "stored value changed"
+    ]
+  },
+  {
+    name: "v6: mmol/L user, no event log yet",
+    version: 6,
+    data: {
+      meta: { schemaVersion: 6, storageBackend: "indexeddb", unit: "mmol", targetLow: 70, targetHigh: 180 },
+      records: [
+        { id: "u1", value: 160, context: "1-hr post-meal", dtIso: "2024-05-02T12:45:00.000Z", notes: "45g sugar", source: "manual" }
+      ]
+    },
+    expect: (out) => [
+      Array.isArray(out.events) && out.events.length === 0 || "events not initialized",
+      out.meta.unit === "mmol" || "unit preference lost"
+    ]
+  },
+  {
+    name: "v7: event log, applied food model, no saved predictions yet",
+    version: 7,
+    data: {
+      meta: { schemaVersion: 7, storageBackend: "indexeddb", unit: "mgdl", foodModel: { mgdlPerGram: 2.1, peakMin: 55, meals: 6 } },
+      records: [
+        { id: "w1", value: 104, context: "Pre-meal", dtIso: "2024-06-01T11:55:00.000Z", notes: "", source: "manual" }
+      ],
+      events: [
+        { id: "e1", type: "meal", dtIso: "2024-06-01T12:00:00.000Z", notes: "", carbsG: 50, sugarG: 20, description: "lunch" }
+      ]
+    },
+    expect: (out) => [
+      Array.isArray(out.predictions) && out.predictions.length === 0 || "predictions not initialized",
+      out.events.length === 1 || "event lost",
+      out.meta.profiles[0].foodModel && out.meta.profiles[0].foodModel.peakMin === 55 || "food model lost"
+    ]
+  },
+  {
+    name: "v8: saved prediction, partial alert settings from a pre-release build",
+    version: 8,
+    data: {
+      meta: { schemaVersion: 8, storageBackend: "indexeddb", unit: "mgdl", alerts: { low: 80 } },
+      records: [
+        { id: "x1", value: 131, context: "Other", dtIso: "2024-07-01T08:00:00.000Z", notes: "", source: "manual" }
+      ],
+      events: [],
+      predictions: [
+        { id: "p1", dtIso: "2024-07-01T07:30:00.000Z", currentBg: 110, horizonMin: 120, curve: [{ tMin: 0, bg: 110 }, { tMin: 60, bg: 150 }] }
+      ]
+    },
+    expect: (out) => [
+      out.meta.profiles[0].alerts.low === 80 || "custom alert threshold lost",
+      out.meta.profiles[0].alerts.horizonMin === DEFAULT_ALERT_SETTINGS.horizonMin || "alert defaults not filled in",
+      Array.isArray(out.meta.profiles[0].alertLog) || "alert log not initialized",
+      out.predictions.length === 1 || "prediction lost"
+    ]
+  },
+  {
+    name: "v9: single-person data with alert history, no profiles yet",
+    version: 9,
+    data: {
+      meta: {
+        schemaVersion: 9, storageBackend: "indexeddb", unit: "mgdl", patientName: "Mum", targetLow: 80, targetHigh: 170,
+        alerts: { enabled: true, low: 70, high: 220, horizonMin: 30, cooldownMin: 60, notify: false },
+        alertLog: [{ id: "al1", firedAt: "2024-08-01T09:00:00.000Z", readingId: "y1", kind: "HYPER", bg: 210, projected: 235, low: 70, high: 220, horizonMin: 30 }]
+      },
+      records: [
+        { id: "y1", value: 210, context: "Other", dtIso: "2024-08-01T09:00:00.000Z", notes: "", source: "manual" }
+      ],
+      events: [
+        { id: "e2", type: "insulin", dtIso: "2024-08-01T09:05:00.000Z", notes: "", insulinType: "rapid", units: 2 }
+      ],
+      predictions: []
+    },
+    expect: (out) => [
+      out.meta.activeProfile === DEFAULT_PROFILE_ID || "active profile not set",
+      out.meta.profiles.length === 1 && out.meta.profiles[0].name === "Mum" || "patient name not carried into the profile",
+      out.meta.profiles[0].targetHigh === 170 || "targets not moved into the profile",
+      out.meta.profiles[0].alerts.high === 220 || "alert settings not moved into the profile",
+      out.meta.profiles[0].alertLog.length === 1 || "alert history lost",
+      out.meta.patientName === undefined && out.meta.alerts === undefined || "per-person keys left in meta",
+      out.events[0].profileId === DEFAULT_PROFILE_ID || "event not assigned to the default profile"
+    ]
+  }
+];
+
+const results = MIGRATION_FIXTURES.map(f => {
+  let problems;
+  try {
+    const out = app.runMigrations(JSON.parse(JSON.stringify(f.data)), f.version);
+    problems = [...app.schemaProblems(out), ...f.expect(out).filter(x => x !== true)];
+  } catch (err) {
+    problems = [`threw: ${err.message}`];
+  }
+  return { name: f.name, problems };
+});
+
+for (let v = 3; v < SCHEMA_VERSION; v++) {
+  if (!MIGRATION_FIXTURES.some(f => f.version === v)) results.push({ name: `(missing) v${v}`, problems: [`no fixture for schema v${v}`] });
+}
+
+results.forEach(r => console.log(r.problems.length ? `FAIL ${r.name}\n  ${r.problems.join("\n  ")}` : `ok   ${r.name}`));
+process.exitCode = results.some(r => r.problems.length) ? 1 : 0;
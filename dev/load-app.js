@@ -0,0 +1,45 @@
+/*
+  Loads app.js into a Node vm context without booting the UI, so the dev
+  checks can call its parsers and migrations directly.
+  - document.getElementById returns inert objects (the `ui` map is never used)
+  - localStorage is an in-memory Map; there is no IndexedDB (localStorage backend)
+  - the trailing init() call is dropped
+  No dependencies: runs with plain `node` (18+).
+*/
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+    clear: () => items.clear()
+  };
+}
+
+// -> { app, run(code) }: app holds app.js's functions; run() evaluates code
+// in the same scope (for its top-level const/let, e.g. run("SCHEMA_VERSION"))
+function loadApp() {
+  const source = fs.readFileSync(path.join(__dirname, "..", "app.js"), "utf8").replace(/\ninit\(\);\s*$/, "\n");
+  const app = {
+    console,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    setTimeout,
+    clearTimeout,
+    document: { getElementById: () => ({}) },
+    localStorage: memoryStorage()
+  };
+  app.window = app;
+  vm.createContext(app);
+  vm.runInContext(source, app, { filename: "app.js" });
+  return { app, run: (code) => vm.runInContext(code, app) };
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,53 @@
+/*
+  Service worker for Glucose Log + Predictor
+  ==========================================
+  - Precaches the app shell so the app opens with no network at all
+  - Cache first for the shell; everything else goes to the network
+  - Bump CACHE_VERSION whenever index.html, app.js, styles.css or the
+    manifest change. The new worker installs next to the old one and waits;
+    the page shows "Update available" and switches over when the user agrees
+    (see setupOfflineApp in app.js).
+*/
+
+"use strict";
+
+const CACHE_VERSION = "v3";
+const CACHE_PREFIX = "glucose-log-";
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const PRECACHE = ["./", "./index.html", "./app.js", "./styles.css", "./manifest.webmanifest", "./icon.svg"];
+
+self.addEventListener("install", (e) => {
+  // No skipWaiting here: an open page keeps running the version it loaded
+  // cache: "reload" skips the HTTP cache, so a new version never precaches stale files
+  e.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE.map(url => new Request(url, { cache: "reload" })))));
+});
+
+self.addEventListener("activate", (e) => {
+  e.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+// The page's "Reload to update" button
+self.addEventListener("message", (e) => {
+  if (e.data && e.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+self.addEventListener("fetch", (e) => {
+  const req = e.request;
+  if (req.method !== "GET" || new URL(req.url).origin !== self.location.origin) return;
+
+  e.respondWith((async () => {
+    // Navigations ignore the query string, so ./?action=log (quick-log shortcut) hits the cached shell
+    const cached = await caches.match(req, { ignoreSearch: req.mode === "navigate" });
+    if (cached) return cached;
+    try {
+      return await fetch(req);
+    } catch (err) {
+      if (req.mode === "navigate") return caches.match("./index.html");
+      throw err;
+    }
+  })());
+});